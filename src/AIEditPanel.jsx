@@ -0,0 +1,181 @@
+import { useState, useEffect, useEffectEvent, useRef } from "react";
+import { DiffEditor } from "@monaco-editor/react";
+import { cancelCodeEdit } from "./aiChat";
+
+// Overlay that asks for an instruction, has the chat model rewrite the original code,
+// and shows the result as a diff against the original for review
+// requestEdit(instruction, onToken) resolves with { code, explanation }; with an
+// initialInstruction the request starts right away
+// onAccept receives the rewritten code, edited further in the diff view if the user did so
+function AIEditPanel({
+  title,
+  original,
+  initialInstruction = "",
+  requestEdit,
+  theme,
+  fontSize,
+  fontFamily,
+  applyError,
+  onAccept,
+  onClose,
+}) {
+  const [instruction, setInstruction] = useState(initialInstruction);
+  const [stage, setStage] = useState(initialInstruction ? "generating" : "prompt"); // prompt, generating, review
+  const [modified, setModified] = useState("");
+  const [explanation, setExplanation] = useState("");
+  const [editError, setEditError] = useState(null);
+  const diffEditorRef = useRef(null);
+  const isMountedRef = useRef(true);
+  const requestIdRef = useRef(0);
+
+  const runRequest = (text) => {
+    // Only the latest request may update the panel
+    const requestId = ++requestIdRef.current;
+    const isCurrent = () => isMountedRef.current && requestId === requestIdRef.current;
+
+    requestEdit(text, (reply) => {
+      if (isCurrent()) setModified(reply);
+    })
+      .then((result) => {
+        if (!isCurrent()) return;
+        setModified(result.code);
+        setExplanation(result.explanation || "");
+        setStage("review");
+      })
+      .catch((err) => {
+        if (!isCurrent()) return;
+        setStage("prompt");
+        if (err.message !== "Chat cancelled") setEditError(err.message);
+      });
+  };
+
+  const sendInitialInstruction = useEffectEvent(() => {
+    if (initialInstruction) runRequest(initialInstruction);
+  });
+
+  // Send the instruction the panel opened with; stop generating when it closes
+  useEffect(() => {
+    isMountedRef.current = true;
+    sendInitialInstruction();
+    return () => {
+      isMountedRef.current = false;
+      cancelCodeEdit();
+    };
+  }, []);
+
+  const generate = () => {
+    const text = instruction.trim();
+    if (!text) return;
+
+    setStage("generating");
+    setEditError(null);
+    setModified("");
+    setExplanation("");
+    runRequest(text);
+  };
+
+  const accept = () => {
+    const diffEditor = diffEditorRef.current;
+    onAccept(diffEditor ? diffEditor.getModifiedEditor().getValue() : modified);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      generate();
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div
+      className="ai-edit-panel"
+      onKeyDown={(e) => {
+        if (e.key === "Escape" && stage !== "prompt") onClose();
+      }}
+    >
+      <div className="ai-edit-header">
+        <span>{title}</span>
+        <button className="file-close-btn" onClick={onClose} title="Close (Esc)">
+          ×
+        </button>
+      </div>
+
+      {stage === "prompt" && (
+        <input
+          className="ai-edit-input"
+          autoFocus
+          value={instruction}
+          onChange={(e) => setInstruction(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Describe the change, e.g. convert to async/await (Enter to generate, Esc to cancel)"
+        />
+      )}
+
+      {stage === "generating" && (
+        <div className="ai-edit-status">
+          <span className="spinner"></span>
+          <span>Rewriting: {instruction}</span>
+          <button className="btn btn-stop" onClick={cancelCodeEdit} title="Stop generating">
+            Stop
+          </button>
+        </div>
+      )}
+
+      {stage === "generating" && modified && (
+        <pre className="ai-edit-preview">
+          <code>{modified}</code>
+        </pre>
+      )}
+
+      {stage === "review" && (
+        <>
+          <div className="ai-edit-status">
+            <span>{instruction}</span>
+          </div>
+          {explanation && <div className="ai-edit-explanation">{explanation}</div>}
+          {modified === original && <div className="ai-edit-status">No changes suggested.</div>}
+          <div className="ai-edit-diff">
+            <DiffEditor
+              height="100%"
+              language="javascript"
+              theme={theme}
+              original={original}
+              modified={modified}
+              onMount={(diffEditor) => {
+                diffEditorRef.current = diffEditor;
+              }}
+              options={{
+                fontSize,
+                fontFamily,
+                readOnly: false,
+                originalEditable: false,
+                renderSideBySide: true,
+                minimap: { enabled: false },
+                scrollBeyondLastLine: false,
+                automaticLayout: true,
+              }}
+            />
+          </div>
+          <div className="ai-edit-actions">
+            <button className="btn btn-primary" onClick={accept} title="Apply the rewritten code">
+              Accept
+            </button>
+            <button className="btn btn-secondary" onClick={() => setStage("prompt")} title="Change the instruction">
+              Retry
+            </button>
+            <button className="btn btn-stop" onClick={onClose} title="Discard the rewritten code">
+              Reject
+            </button>
+          </div>
+        </>
+      )}
+
+      {(editError || applyError) && <div className="chat-error">{editError || applyError}</div>}
+    </div>
+  );
+}
+
+export default AIEditPanel;
@@ -1,59 +1,286 @@
 import { useState, useEffect, useRef, useCallback } from "react";
 import Editor from "@monaco-editor/react";
 import "./App.css";
+import CompletionStats from "./CompletionStats";
 import {
   registerAICompletionProvider,
   preloadModel,
   setProgressCallback,
   getLoadingState,
+  switchModel,
+  updateProjectFiles,
+  updateCompletionSettings,
 } from "./aiCompletionProvider";
+import { MODEL_REGISTRY, getModelInfo, ERROR_FIX_CONFIG } from "./aiConstants";
+import { requestCodeEdit, requestErrorFix, requestTests, cancelCodeEdit, saveChatHistory } from "./aiChat";
+import {
+  findFunctionAt,
+  addExport,
+  getTestFileName,
+  getImportLine,
+  mergeGeneratedTests,
+} from "./testGenerator";
+import ChatPanel from "./ChatPanel";
+import AIEditPanel from "./AIEditPanel";
+import TestResultsPanel from "./TestResultsPanel";
+import FileExplorer from "./FileExplorer";
+import SearchPanel from "./SearchPanel";
+import HistoryPanel from "./HistoryPanel";
+import HistoryDiffPanel from "./HistoryDiffPanel";
+import { exportProjectArchive, readProjectImport } from "./projectArchive";
+import ProjectSwitcher from "./ProjectSwitcher";
+import ConsoleOutput from "./ConsoleOutput";
+import SettingsPanel from "./SettingsPanel";
+import CommandPalette from "./CommandPalette";
+import { COMMANDS, getCommandTitle, addCommandActions } from "./commands";
+import {
+  formatKeyEvent,
+  hasCommandModifier,
+  loadKeybindingOverrides,
+  saveKeybindingOverrides,
+  resolveKeybindings,
+} from "./keybindings";
+import {
+  FONT_FAMILIES,
+  loadSettings,
+  saveSettings,
+  clampSetting,
+  getCompletionSettings,
+} from "./settings";
+import { executeCode, executeTests, stopExecution } from "./codeRunner";
+import { getModelPath, getUriFileName, syncFileModels } from "./editorModels";
+import {
+  loadInitialProject,
+  listProjects,
+  loadProject,
+  createProject,
+  renameProject,
+  deleteProject,
+  scheduleProjectSave,
+  flushProjectSave,
+  setStorageErrorCallback,
+} from "./projectStorage";
+import {
+  trackFileHistory,
+  saveFileSnapshots,
+  createCheckpoint,
+  deleteCheckpoint,
+  setHistoryChangeCallback,
+} from "./localHistory";
+import {
+  getBaseName,
+  getParentPath,
+  joinPath,
+  isWithin,
+  replacePrefix,
+  validateName,
+  getAllFolders,
+  getUniqueFileName,
+  getFreePath,
+} from "./fileTree";
+import {
+  MIN_RUN_TIMEOUT_MS,
+  MAX_RUN_TIMEOUT_MS,
+  MAX_OUTPUT_LINES,
+  TEST_FILE_SUFFIX,
+} from "./runnerConstants";
+
+// Show a position in the editor and put the cursor there, selecting up to
+// endLine and endColumn when they are given
+function revealPosition(editor, { line, column, endLine, endColumn }) {
+  editor.revealLineInCenter(line);
+  if (endLine) {
+    editor.setSelection({ startLineNumber: line, startColumn: column, endLineNumber: endLine, endColumn });
+  } else {
+    editor.setPosition({ lineNumber: line, column });
+  }
+  editor.focus();
+}
+
+function isTestFile(file) {
+  return file.name.endsWith(TEST_FILE_SUFFIX);
+}
+
+// File names typed without an extension are JavaScript files
+function withJsExtension(name) {
+  return name.endsWith(".js") ? name : `${name}.js`;
+}
+
+// Save a Blob through a temporary download link
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// Files of a new project
+function createDefaultFiles() {
+  return [
+    {
+      id: Date.now().toString(),
+      name: "main.js",
+      content:
+        '// Welcome to your JavaScript IDE\nconsole.log("Hello, World!");\n',
+    },
+  ];
+}
 
 function App() {
+  // Projects are loaded from IndexedDB after mount; projectId is null until then
+  const [projectId, setProjectId] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [storageError, setStorageError] = useState(null);
   const [files, setFiles] = useState([]);
+  // Folders that hold no files yet; the rest are implied by the file paths
+  const [folders, setFolders] = useState([]);
   const [activeFileId, setActiveFileId] = useState(null);
-  const [theme, setTheme] = useState("vs-dark");
-  const [fontFamily, setFontFamily] = useState(
-    'Consolas, "Courier New", monospace'
+  // Files shown as tabs, in tab order
+  const [openFileIds, setOpenFileIds] = useState([]);
+  const [sidebarView, setSidebarView] = useState("explorer"); // explorer, search, history or null when hidden
+  const [searchFocusRequest, setSearchFocusRequest] = useState(null); // { id, withReplace }
+  const [historyRevision, setHistoryRevision] = useState(0); // Counts changes to the local history
+  const [historyCompare, setHistoryCompare] = useState(null); // Snapshot shown against the current file
+  const [sideFileId, setSideFileId] = useState(null); // File in the split editor; null when not split
+  const [focusedPane, setFocusedPane] = useState("main"); // Pane of the editor last focused: main or side
+  const [isMonacoReady, setIsMonacoReady] = useState(false);
+  // Editor, run and AI completion settings, saved for the user rather than per project
+  const [settings, setSettings] = useState(loadSettings);
+  const { theme, fontFamily, fontSize, outputPanelHeight, runTimeoutMs } = settings;
+  const [modelLoadingProgress, setModelLoadingProgress] = useState(
+    () => getLoadingState().progress
+  );
+  // The model starts loading on mount unless a previous mount already loaded it
+  const [isModelLoading, setIsModelLoading] = useState(
+    () => !getLoadingState().isLoaded
   );
-  const [fontSize, setFontSize] = useState(14);
-  const [modelLoadingProgress, setModelLoadingProgress] = useState(0);
-  const [isModelLoading, setIsModelLoading] = useState(false);
-  const [isModelLoaded, setIsModelLoaded] = useState(false);
+  const [isModelLoaded, setIsModelLoaded] = useState(
+    () => getLoadingState().isLoaded
+  );
+  const [modelId, setModelId] = useState(() => getLoadingState().modelId);
+  const [modelLoadError, setModelLoadError] = useState(null);
   const [isGeneratingCompletion, setIsGeneratingCompletion] = useState(false);
-  const [outputPanelHeight, setOutputPanelHeight] = useState(200);
   const [output, setOutput] = useState([]);
+  const [outputTab, setOutputTab] = useState("output"); // output or tests
+  const [testResults, setTestResults] = useState([]);
+  // { status: "generating" | "review" | "error", fn, sourceFileId, testFileName, generatedCode, message }
+  const [testGeneration, setTestGeneration] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const [entryFileId, setEntryFileId] = useState(null); // null runs the active file
   const [isResizing, setIsResizing] = useState(false);
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
-  const editorRef = useRef(null);
+  const [settingsPanelView, setSettingsPanelView] = useState(null); // form, json or keybindings while open
+  const [keybindingOverrides, setKeybindingOverrides] = useState(loadKeybindingOverrides);
+  const [paletteCommands, setPaletteCommands] = useState(null); // Commands listed while the palette is open
+  const [isChatOpen, setIsChatOpen] = useState(false);
+  // { kind: "edit" | "fix", fileId, original, applyError, ... } while an AI edit is open
+  const [aiEdit, setAIEdit] = useState(null);
+  const editorRef = useRef(null); // The editor last focused, which commands act on
+  const mainEditorRef = useRef(null);
+  const sideEditorRef = useRef(null);
   const completionTimeoutRef = useRef(null);
   const monacoRef = useRef(null);
   const providerRegisteredRef = useRef(false);
   const resizeStartYRef = useRef(0);
   const resizeStartHeightRef = useRef(0);
   const settingsMenuRef = useRef(null);
+  const pendingOutputRef = useRef([]);
+  const outputFlushFrameRef = useRef(null);
+  const runIdRef = useRef(0);
+  const filesRef = useRef(files); // Latest files, for async work that outlives a render
+  const aiEditRangeRef = useRef(null); // Decoration tracking the code being edited
+  const pendingRevealRef = useRef(null); // { pane, position } to show once that pane has switched files
+  const testDecorationsRef = useRef(new WeakMap()); // Pass/fail icons in the gutter: model -> decoration ids
+  const commandHandlersRef = useRef({}); // Latest handler of each command in commands.js
+  const editorOpenerRef = useRef(null); // Latest handler for go-to-definition into another file
+  const commandActionsRef = useRef(new Map()); // The commands added to each editor as actions: editor -> actions
+
+  // Show a loaded project, reopening the tabs it had open
+  const showProject = (project, projectFiles) => {
+    const fileIds = projectFiles.map((file) => file.id);
+    const tabs = (project.openFileIds || []).filter((id) => fileIds.includes(id));
+    const activeId = fileIds.includes(project.activeFileId) ? project.activeFileId : tabs[0] || fileIds[0] || null;
+
+    setProjectId(project.id);
+    setFiles(projectFiles);
+    setFolders(project.folders || []);
+    setOpenFileIds(tabs.includes(activeId) || !activeId ? tabs : [...tabs, activeId]);
+    setActiveFileId(activeId);
+    setEntryFileId(null);
+    setSideFileId(null);
+  };
 
-  // Load files from localStorage on mount
+  // Open the last project, moving files saved by earlier versions into a first project
   useEffect(() => {
-    const savedFiles = localStorage.getItem("ide-files");
-    if (savedFiles) {
-      const parsedFiles = JSON.parse(savedFiles);
-      setFiles(parsedFiles);
-      if (parsedFiles.length > 0) {
-        setActiveFileId(parsedFiles[0].id);
-      }
-    } else {
-      // Create default file if no files exist
-      const defaultFile = {
-        id: Date.now().toString(),
-        name: "main.js",
-        content:
-          '// Welcome to your JavaScript IDE\nconsole.log("Hello, World!");\n',
-      };
-      setFiles([defaultFile]);
-      setActiveFileId(defaultFile.id);
-    }
+    setStorageErrorCallback(setStorageError);
+    setHistoryChangeCallback(() => setHistoryRevision((revision) => revision + 1));
+    loadInitialProject(createDefaultFiles()).then(({ projects: savedProjects, project, files: projectFiles }) => {
+      setProjects(savedProjects);
+      showProject(project, projectFiles);
+    });
+    return () => {
+      setStorageErrorCallback(null);
+      setHistoryChangeCallback(null);
+    };
   }, []);
 
+  // Keep the settings for the next visit and hand the completion tuning to the provider,
+  // which passes it on to the worker, so changes apply without a reload
+  useEffect(() => {
+    saveSettings(settings);
+    updateCompletionSettings(getCompletionSettings(settings));
+  }, [settings]);
+
+  const updateSettings = (changes) => {
+    setSettings((current) => ({ ...current, ...changes }));
+  };
+
+  // Keybinding of each command, with the user's overrides: commandId -> keybinding or null
+  const keybindings = resolveKeybindings(COMMANDS, keybindingOverrides);
+  const runCommand = useCallback((commandId) => commandHandlersRef.current[commandId](), []);
+
+  // Keep the keybindings for the next visit and re-add the editor actions with them
+  useEffect(() => {
+    saveKeybindingOverrides(keybindingOverrides);
+    const monaco = monacoRef.current;
+    if (!monaco) return;
+    const actionsByEditor = commandActionsRef.current;
+    for (const [editor, actions] of actionsByEditor) {
+      actions.forEach((action) => action.dispose());
+      actionsByEditor.set(
+        editor,
+        addCommandActions(editor, monaco, resolveKeybindings(COMMANDS, keybindingOverrides), runCommand)
+      );
+    }
+  }, [keybindingOverrides, runCommand]);
+
+  // Run commands by keybinding outside the editor; inside it, the editor actions take the
+  // keys first and stop them from reaching the window
+  useEffect(() => {
+    const commandIds = new Map();
+    for (const [commandId, keybinding] of resolveKeybindings(COMMANDS, keybindingOverrides)) {
+      if (keybinding && !commandIds.has(keybinding)) commandIds.set(keybinding, commandId);
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented) return;
+      const keybinding = formatKeyEvent(e);
+      const commandId = keybinding && commandIds.get(keybinding);
+      if (!commandId) return;
+      // Keys without Ctrl or Alt type text in fields
+      if (e.target.closest && e.target.closest("input, textarea, select") && !hasCommandModifier(keybinding)) return;
+      e.preventDefault();
+      runCommand(commandId);
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [keybindingOverrides, runCommand]);
+
   // Preload AI model on mount
   useEffect(() => {
     // Set up progress callback with proper React state batching
@@ -79,10 +306,12 @@ function App() {
             }, 150);
           }
         } else if (progress !== null && progress !== undefined) {
-          // This is model loading progress
+          // This is model loading progress (or a load error, reported with progress 0)
+          const state = getLoadingState();
           setModelLoadingProgress(progress);
-          setIsModelLoading(progress < 100);
-          setIsModelLoaded(progress === 100);
+          setIsModelLoading(state.isLoading);
+          setIsModelLoaded(state.isLoaded);
+          setModelLoadError(state.error);
         }
       });
     });
@@ -90,7 +319,6 @@ function App() {
     // Start preloading the model
     const state = getLoadingState();
     if (!state.isLoaded && !state.isLoading) {
-      setIsModelLoading(true);
       // Use setTimeout to yield to browser before starting heavy operation
       setTimeout(() => {
         preloadModel().then(() => {
@@ -98,13 +326,9 @@ function App() {
           setIsModelLoading(newState.isLoading);
           setIsModelLoaded(newState.isLoaded);
           setModelLoadingProgress(newState.progress);
+          setModelLoadError(newState.error);
         });
       }, 0);
-    } else {
-      // Model is already loading or loaded
-      setIsModelLoading(state.isLoading);
-      setIsModelLoaded(state.isLoaded);
-      setModelLoadingProgress(state.progress);
     }
 
     // Cleanup timeout on unmount
@@ -115,13 +339,52 @@ function App() {
     };
   }, []);
 
-  // Auto-save files to localStorage whenever they change
+  // Save the project whenever it changes; only changed files are written, once typing pauses
   useEffect(() => {
-    if (files.length > 0) {
-      localStorage.setItem("ide-files", JSON.stringify(files));
+    if (projectId) {
+      scheduleProjectSave(projectId, { files, folders, openFileIds, activeFileId });
     }
+  }, [projectId, files, folders, openFileIds, activeFileId]);
+
+  // Keep the content files had before they were edited or deleted in local history
+  useEffect(() => {
+    if (projectId) trackFileHistory(projectId, files);
+  }, [projectId, files]);
+
+  // Write pending changes before the page is closed or hidden
+  useEffect(() => {
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") flushProjectSave();
+    };
+    window.addEventListener("pagehide", flushProjectSave);
+    document.addEventListener("visibilitychange", handleVisibilityChange);
+    return () => {
+      window.removeEventListener("pagehide", flushProjectSave);
+      document.removeEventListener("visibilitychange", handleVisibilityChange);
+    };
+  }, []);
+
+  useEffect(() => {
+    filesRef.current = files;
   }, [files]);
 
+  // Finish a jump to a position in another file once the pane shows that file; a pane
+  // that is still being created does it when it mounts
+  useEffect(() => {
+    const pending = pendingRevealRef.current;
+    const editor = pending && (pending.pane === "side" ? sideEditorRef.current : mainEditorRef.current);
+    if (editor) {
+      revealPosition(editor, pending.position);
+      pendingRevealRef.current = null;
+    }
+  }, [activeFileId, sideFileId]);
+
+  // Keep a Monaco model for every file, so each keeps its undo history and the TypeScript
+  // service sees the whole project
+  useEffect(() => {
+    if (isMonacoReady) syncFileModels(monacoRef.current, files);
+  }, [files, isMonacoReady]);
+
   // Close settings menu when clicking outside
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -144,11 +407,108 @@ function App() {
   }, [isSettingsOpen]);
 
   const activeFile = files.find((f) => f.id === activeFileId);
+  const selectedEntryFile = files.find((f) => f.id === entryFileId);
+  const entryFile = selectedEntryFile || activeFile;
+  const sideFile = files.find((f) => f.id === sideFileId);
+  const focusedFileId = focusedPane === "side" && sideFile ? sideFile.id : activeFileId;
+  const openFiles = openFileIds.map((id) => files.find((f) => f.id === id)).filter(Boolean);
+  // Changes when a file, and so a model, is added, renamed or removed
+  const fileNamesKey = files.map((f) => f.name).join("\n");
+  const historyFile = historyCompare && files.find((f) => f.id === historyCompare.fileId);
+
+  // Share the project with the AI provider for cross-file completion context
+  useEffect(() => {
+    updateProjectFiles(files, focusedFileId);
+  }, [files, focusedFileId]);
+
+  // Underline where errors from the last run were thrown, in every file
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    if (!isMonacoReady) return;
+
+    for (const model of monaco.editor.getModels()) {
+      const fileName = getUriFileName(model.uri);
+      if (fileName === null) continue;
+
+      const markers = output
+        .filter((line) => line.type === "error" && line.stack && line.stack[0].path === fileName)
+        .filter((line) => line.stack[0].line <= model.getLineCount())
+        .map((line) => {
+          const lineNumber = line.stack[0].line;
+          const column = Math.min(line.stack[0].column, model.getLineMaxColumn(lineNumber));
+          const word = model.getWordAtPosition({ lineNumber, column });
+          return {
+            severity: monaco.MarkerSeverity.Error,
+            message: line.message,
+            source: "Run",
+            startLineNumber: lineNumber,
+            startColumn: word ? word.startColumn : column,
+            endLineNumber: lineNumber,
+            endColumn: word ? word.endColumn : model.getLineMaxColumn(lineNumber),
+          };
+        });
+      monaco.editor.setModelMarkers(model, "runner", markers);
+    }
+  }, [output, fileNamesKey, isMonacoReady]);
+
+  // Mark each test as passed or failed in every test file, and underline failed expectations
+  useEffect(() => {
+    const monaco = monacoRef.current;
+    if (!isMonacoReady) return;
+
+    for (const model of monaco.editor.getModels()) {
+      const fileName = getUriFileName(model.uri);
+      if (fileName === null) continue;
+
+      const fileResults = testResults.filter(
+        (result) => result.file === fileName && result.status !== "skipped"
+      );
+      const lineCount = model.getLineCount();
+
+      const decorations = fileResults
+        .filter((result) => result.location && result.location.line <= lineCount)
+        .map((result) => ({
+          range: new monaco.Range(result.location.line, 1, result.location.line, 1),
+          options: {
+            glyphMarginClassName: `test-glyph test-glyph-${result.status}`,
+            glyphMarginHoverMessage: {
+              value: result.status === "passed" ? "Test passed" : `Test failed: ${result.error.message}`,
+            },
+          },
+        }));
+      // Decorations of the model rather than of an editor, so both panes show them
+      const previousIds = testDecorationsRef.current.get(model) || [];
+      testDecorationsRef.current.set(model, model.deltaDecorations(previousIds, decorations));
+
+      const markers = fileResults.flatMap((result) => {
+        const location = result.error && result.error.stack && result.error.stack[0];
+        if (!location || location.path !== fileName || location.line > lineCount) return [];
+        return [{
+          severity: monaco.MarkerSeverity.Error,
+          message: result.error.message,
+          source: "Tests",
+          startLineNumber: location.line,
+          startColumn: model.getLineFirstNonWhitespaceColumn(location.line) || 1,
+          endLineNumber: location.line,
+          endColumn: model.getLineMaxColumn(location.line),
+        }];
+      });
+      monaco.editor.setModelMarkers(model, "tests", markers);
+    }
+  }, [testResults, fileNamesKey, isMonacoReady]);
 
-  const handleEditorDidMount = (editor, monaco) => {
+  // Set up an editor once it is created: the main one when a file is first shown,
+  // the side one each time the editor is split
+  const handleEditorDidMount = (editor, monaco, pane) => {
     editorRef.current = editor;
     monacoRef.current = monaco;
-    
+    if (pane === "side") {
+      sideEditorRef.current = editor;
+    } else {
+      mainEditorRef.current = editor;
+    }
+    setFocusedPane(pane);
+
     // Configure Monaco for JavaScript (safe to call multiple times)
     monaco.languages.typescript.javascriptDefaults.setCompilerOptions({
       target: monaco.languages.typescript.ScriptTarget.ES2020,
@@ -162,165 +522,875 @@ function App() {
       allowJs: true,
       typeRoots: ["node_modules/@types"],
     });
-    
+    // Give the TypeScript service every file's model, not only the ones on screen
+    monaco.languages.typescript.javascriptDefaults.setEagerModelSync(true);
+
     // Register AI provider only once, even if editor remounts
     if (!providerRegisteredRef.current) {
       registerAICompletionProvider(monaco);
+      // Go to definition and the like open other files through the IDE's tabs
+      monaco.editor.registerEditorOpener({
+        openCodeEditor: (source, resource, selectionOrPosition) =>
+          editorOpenerRef.current(source, resource, selectionOrPosition),
+      });
       providerRegisteredRef.current = true;
     }
+    setIsMonacoReady(true);
+
+    editor.onDidFocusEditorText(() => {
+      editorRef.current = editor;
+      setFocusedPane(pane);
+    });
+    editor.onDidDispose(() => {
+      commandActionsRef.current.delete(editor);
+      if (pane === "side") {
+        sideEditorRef.current = null;
+        setFocusedPane("main");
+      }
+      if (editorRef.current === editor) {
+        editorRef.current = pane === "side" ? mainEditorRef.current : sideEditorRef.current;
+      }
+    });
+    commandActionsRef.current.set(editor, addCommandActions(editor, monaco, keybindings, runCommand));
+
+    const pending = pendingRevealRef.current;
+    if (pending && pending.pane === pane) {
+      revealPosition(editor, pending.position);
+      pendingRevealRef.current = null;
+    }
+  };
+
+  // The project file an editor shows
+  const getEditorFile = (editor) => {
+    const model = editor && editor.getModel();
+    return model ? files.find((f) => f.name === getUriFileName(model.uri)) : undefined;
   };
 
-  const handleEditorChange = (value) => {
-    if (activeFileId) {
-      setFiles((prevFiles) =>
-        prevFiles.map((file) =>
-          file.id === activeFileId ? { ...file, content: value || "" } : file
-        )
+  // Open the instruction overlay for the selected code, marking the selection so it
+  // can be found again if the user keeps typing while the rewrite is generated
+  const startAIEdit = (editor, monaco) => {
+    const model = editor.getModel();
+    const selection = editor.getSelection();
+    const file = getEditorFile(editor);
+    if (!model || !file || !selection || selection.isEmpty()) return;
+
+    if (aiEditRangeRef.current) aiEditRangeRef.current.clear();
+    aiEditRangeRef.current = editor.createDecorationsCollection([
+      {
+        range: selection,
+        options: {
+          className: "ai-edit-range",
+          stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges,
+        },
+      },
+    ]);
+    // A new key remounts the panel when an edit replaces an open one
+    setAIEdit((prev) => ({
+      kind: "edit",
+      requestKey: prev ? prev.requestKey + 1 : 0,
+      fileId: file.id,
+      original: model.getValueInRange(selection),
+      applyError: null,
+    }));
+  };
+
+  const closeAIEdit = () => {
+    if (aiEditRangeRef.current) {
+      aiEditRangeRef.current.clear();
+      aiEditRangeRef.current = null;
+    }
+    setAIEdit(null);
+    if (editorRef.current) editorRef.current.focus();
+  };
+
+  // Jump to a file position from the Output panel
+  const revealLocation = ({ path, line, column }) => {
+    const file = files.find((f) => f.name === path);
+    if (file) revealInFile(file.id, { line, column });
+  };
+
+  // Show a position or range in a file, opening the file first if needed
+  // pane is "main", where the file is opened in a tab, or "side" for the split editor
+  const revealInFile = (fileId, position, pane = "main") => {
+    const editor = pane === "side" ? sideEditorRef.current : mainEditorRef.current;
+    if (editor && fileId === (pane === "side" ? sideFileId : activeFileId)) {
+      revealPosition(editor, position);
+      return;
+    }
+    pendingRevealRef.current = { pane, position };
+    if (pane === "side") {
+      setSideFileId(fileId);
+    } else {
+      openFile(fileId);
+    }
+  };
+
+  // Show another file for go-to-definition and the like, in the pane that asked for it
+  // Returns false for anything that is not a project file, which Monaco then ignores
+  const openFromEditor = (source, resource, selectionOrPosition) => {
+    const fileName = getUriFileName(resource);
+    const file = files.find((f) => f.name === fileName);
+    if (!file) return false;
+
+    const pane = source === sideEditorRef.current ? "side" : "main";
+    if (!selectionOrPosition) {
+      revealInFile(file.id, { line: 1, column: 1 }, pane);
+    } else if ("startLineNumber" in selectionOrPosition) {
+      revealInFile(
+        file.id,
+        {
+          line: selectionOrPosition.startLineNumber,
+          column: selectionOrPosition.startColumn,
+          endLine: selectionOrPosition.endLineNumber,
+          endColumn: selectionOrPosition.endColumn,
+        },
+        pane
       );
+    } else {
+      revealInFile(file.id, { line: selectionOrPosition.lineNumber, column: selectionOrPosition.column }, pane);
     }
+    return true;
   };
 
-  const createNewFile = () => {
-    const newFile = {
-      id: Date.now().toString(),
-      name: `file${files.length + 1}.js`,
-      content: "",
-    };
-    setFiles((prevFiles) => [...prevFiles, newFile]);
-    setActiveFileId(newFile.id);
+  // Show the focused file in a second editor next to the first, or close that editor
+  const toggleSplitEditor = () => {
+    setSideFileId(sideFile ? null : focusedFileId);
   };
 
-  const deleteFile = (fileId) => {
-    if (files.length === 1) {
-      alert("Cannot delete the last file. Create a new file first.");
+  // Open the search sidebar and focus its query box
+  const openSearch = (withReplace) => {
+    setSidebarView("search");
+    setSearchFocusRequest((prev) => ({ id: prev ? prev.id + 1 : 0, withReplace }));
+  };
+
+  // Write the new content of the files changed by Replace All in the search sidebar
+  const replaceInFiles = (changes) => {
+    const contents = new Map(changes.map((change) => [change.fileId, change.content]));
+    saveFileSnapshots(projectId, files.filter((file) => contents.has(file.id)), "replace");
+    setFiles((prevFiles) =>
+      prevFiles.map((file) => (contents.has(file.id) ? { ...file, content: contents.get(file.id) } : file))
+    );
+  };
+
+  // Ask the chat model to explain an error from the Output panel and fix the code around it
+  const startErrorFix = (outputLine) => {
+    const location = outputLine.stack[0];
+    const file = files.find((f) => f.name === location.path);
+    if (!file) return;
+
+    const lines = file.content.split("\n");
+    const startLine = Math.max(1, location.line - ERROR_FIX_CONFIG.CONTEXT_LINES);
+    const endLine = Math.min(lines.length, location.line + ERROR_FIX_CONFIG.CONTEXT_LINES);
+
+    revealLocation(location);
+    if (aiEditRangeRef.current) {
+      aiEditRangeRef.current.clear();
+      aiEditRangeRef.current = null;
+    }
+    setAIEdit((prev) => ({
+      kind: "fix",
+      requestKey: prev ? prev.requestKey + 1 : 0,
+      fileId: file.id,
+      original: lines.slice(startLine - 1, endLine).join("\n"),
+      instruction: "Explain the error and suggest a fix",
+      errorMessage: outputLine.message,
+      errorLine: location.line - startLine + 1,
+      applyError: null,
+    }));
+  };
+
+  const requestAIEdit = (instruction, onToken) => {
+    const fileName = files.find((f) => f.id === aiEdit.fileId)?.name;
+    if (aiEdit.kind === "fix") {
+      return requestErrorFix({
+        code: aiEdit.original,
+        error: aiEdit.errorMessage,
+        errorLine: aiEdit.errorLine,
+        instruction,
+        fileName,
+        onToken,
+      });
+    }
+    return requestCodeEdit({ code: aiEdit.original, instruction, fileName, onToken }).then((code) => ({ code }));
+  };
+
+  // Apply an accepted rewrite over the code it was generated from
+  const acceptAIEdit = (code) => {
+    const editor = editorRef.current;
+    const model = editor && editor.getModel();
+    const editorFile = getEditorFile(editor);
+    const isFileShown = Boolean(editorFile) && editorFile.id === aiEdit.fileId;
+
+    if (model && isFileShown) {
+      let range = aiEditRangeRef.current && aiEditRangeRef.current.getRange(0);
+      if (!range || model.getValueInRange(range) !== aiEdit.original) {
+        // Look for the code elsewhere, as long as it appears only once
+        const matches = model.findMatches(aiEdit.original, false, false, true, null, false, 2);
+        range = matches.length === 1 ? matches[0].range : null;
+      }
+
+      if (range) {
+        saveFileSnapshots(projectId, files.filter((f) => f.id === aiEdit.fileId), "ai-edit");
+        editor.pushUndoStop();
+        editor.executeEdits("ai-edit", [{ range, text: code, forceMoveMarkers: true }]);
+        editor.pushUndoStop();
+        closeAIEdit();
+        return;
+      }
+    }
+
+    // The editor has moved on to another file; replace the code if it is still there once
+    const file = files.find((f) => f.id === aiEdit.fileId);
+    const index = file && !isFileShown ? file.content.indexOf(aiEdit.original) : -1;
+    if (index === -1 || file.content.indexOf(aiEdit.original, index + 1) !== -1) {
+      setAIEdit((prev) => ({
+        ...prev,
+        applyError: "The original code has changed since the edit was requested. Select it again and retry.",
+      }));
       return;
     }
-    const newFiles = files.filter((f) => f.id !== fileId);
-    setFiles(newFiles);
-    if (activeFileId === fileId) {
-      setActiveFileId(newFiles[0].id);
+
+    const content = file.content.slice(0, index) + code + file.content.slice(index + aiEdit.original.length);
+    saveFileSnapshots(projectId, [file], "ai-edit");
+    setFiles((prevFiles) => prevFiles.map((f) => (f.id === file.id ? { ...f, content } : f)));
+    closeAIEdit();
+  };
+
+  // Keep what is typed in an editor in the project; both panes report edits to a file
+  // they share, so an edit that is already there changes nothing
+  const handleEditorChange = (fileId, value) => {
+    const content = value || "";
+    setFiles((prevFiles) =>
+      prevFiles.some((file) => file.id === fileId && file.content !== content)
+        ? prevFiles.map((file) => (file.id === fileId ? { ...file, content } : file))
+        : prevFiles
+    );
+  };
+
+  // Show a file in a tab and make it the active one
+  const openFile = (fileId) => {
+    setOpenFileIds((prev) => (prev.includes(fileId) ? prev : [...prev, fileId]));
+    setActiveFileId(fileId);
+  };
+
+  // Close tabs, moving to the tab next to the active one if it is closed
+  const closeTabs = (fileIds) => {
+    const remaining = openFileIds.filter((id) => !fileIds.includes(id));
+    setOpenFileIds(remaining);
+    if (fileIds.includes(activeFileId)) {
+      const index = Math.min(openFileIds.indexOf(activeFileId), remaining.length - 1);
+      setActiveFileId(index >= 0 ? remaining[index] : null);
+    }
+  };
+
+  // Returns an error message when a file or folder already has this path
+  const checkPathIsFree = (path) => {
+    if (files.some((f) => f.name === path) || getAllFolders(files, folders).includes(path)) {
+      return `"${path}" already exists`;
     }
+    return null;
+  };
+
+  // Keep a folder in the explorer after its last file is moved or deleted
+  const keepFolder = (path) => {
+    if (path) setFolders((prev) => (prev.includes(path) ? prev : [...prev, path]));
+  };
+
+  const addFile = (path) => {
+    const newFile = { id: Date.now().toString(), name: path, content: "" };
+    setFiles((prevFiles) => [...prevFiles, newFile]);
+    openFile(newFile.id);
+  };
+
+  const createNewFile = () => {
+    addFile(getUniqueFileName(files, ""));
   };
 
-  const renameFile = (fileId, newName, enforceExtension = false) => {
-    // Strip any existing .js extension first to avoid duplicates
-    let nameWithoutExt = newName.endsWith(".js")
-      ? newName.slice(0, -3)
-      : newName;
+  // The explorer's callbacks return an error message to show, or null
+  const createFile = (folderPath, name) => {
+    const path = joinPath(folderPath, withJsExtension(name));
+    const error = validateName(name) || checkPathIsFree(path);
+    if (error) return error;
+    addFile(path);
+    return null;
+  };
+
+  const createFolder = (parentPath, name) => {
+    const path = joinPath(parentPath, name);
+    const error = validateName(name) || checkPathIsFree(path);
+    if (error) return error;
+    setFolders((prev) => [...prev, path]);
+    return null;
+  };
 
-    // Only enforce .js extension if requested (on blur)
-    // While typing, allow the name without extension
-    const name = enforceExtension ? `${nameWithoutExt}.js` : nameWithoutExt;
+  // Give a file or folder a new path, taking everything inside a folder with it
+  const moveItem = (item, newPath) => {
+    if (newPath === item.path) return null;
+    if (item.type === "folder" && isWithin(newPath, item.path)) {
+      return "A folder cannot be moved into itself";
+    }
+    const error = checkPathIsFree(newPath);
+    if (error) return error;
+
+    keepFolder(getParentPath(item.path));
+    if (item.type === "file") {
+      setFiles((prevFiles) => prevFiles.map((f) => (f.id === item.id ? { ...f, name: newPath } : f)));
+      return null;
+    }
 
     setFiles((prevFiles) =>
-      prevFiles.map((file) => (file.id === fileId ? { ...file, name } : file))
+      prevFiles.map((f) =>
+        isWithin(f.name, item.path) ? { ...f, name: replacePrefix(f.name, item.path, newPath) } : f
+      )
+    );
+    setFolders((prev) => prev.map((path) => (isWithin(path, item.path) ? replacePrefix(path, item.path, newPath) : path)));
+    return null;
+  };
+
+  const renameItem = (item, name) => {
+    const error = validateName(name);
+    if (error) return error;
+    return moveItem(item, joinPath(getParentPath(item.path), item.type === "file" ? withJsExtension(name) : name));
+  };
+
+  const moveItemToFolder = (item, folderPath) => moveItem(item, joinPath(folderPath, getBaseName(item.path)));
+
+  const deleteItem = (item) => {
+    const deletedFiles = item.type === "file"
+      ? files.filter((f) => f.id === item.id)
+      : files.filter((f) => isWithin(f.name, item.path));
+    if (deletedFiles.length === files.length) {
+      alert("Cannot delete the last file. Create a new file first.");
+      return;
+    }
+
+    const question = item.type === "file"
+      ? `Delete ${item.path}?`
+      : `Delete the folder ${item.path}${
+          deletedFiles.length > 0 ? ` and the ${deletedFiles.length} file(s) in it` : ""
+        }?`;
+    if (!window.confirm(question)) return;
+
+    const deletedIds = deletedFiles.map((f) => f.id);
+    if (deletedIds.includes(sideFileId)) setSideFileId(null);
+    keepFolder(getParentPath(item.path));
+    setFiles((prevFiles) => prevFiles.filter((f) => !deletedIds.includes(f.id)));
+    if (item.type === "folder") {
+      setFolders((prev) => prev.filter((path) => !isWithin(path, item.path)));
+    }
+    closeTabs(deletedIds);
+  };
+
+  // Put back a version of a file from local history, or the file itself if it was deleted
+  const restoreSnapshot = (snapshot) => {
+    const file = files.find((f) => f.id === snapshot.fileId);
+    if (file) {
+      saveFileSnapshots(projectId, [file], "restore");
+      setFiles((prevFiles) => prevFiles.map((f) => (f.id === file.id ? { ...f, content: snapshot.content } : f)));
+    } else {
+      const path = getFreePath(snapshot.fileName, (candidate) => checkPathIsFree(candidate) !== null);
+      setFiles((prevFiles) => [...prevFiles, { id: snapshot.fileId, name: path, content: snapshot.content }]);
+    }
+    openFile(snapshot.fileId);
+    setHistoryCompare(null);
+  };
+
+  const createProjectCheckpoint = () => {
+    const name = window.prompt("Name of the checkpoint:", `Checkpoint ${new Date().toLocaleString()}`);
+    if (!name || !name.trim()) return;
+    createCheckpoint(projectId, name.trim(), { files, folders }).catch((err) =>
+      alert(`Could not create the checkpoint: ${err.message}`)
     );
   };
 
+  // Bring every file and folder back to a checkpoint, keeping the current ones in another
+  // checkpoint first so the restore can be undone
+  const restoreCheckpoint = (checkpoint) => {
+    if (
+      !window.confirm(
+        `Restore the checkpoint "${checkpoint.name}"? All files go back to how they were then; ` +
+          "the current files are kept in a new checkpoint first."
+      )
+    ) {
+      return;
+    }
+
+    createCheckpoint(projectId, `Before restoring "${checkpoint.name}"`, { files, folders })
+      .then(() => {
+        const fileIds = checkpoint.files.map((file) => file.id);
+        const tabs = openFileIds.filter((id) => fileIds.includes(id));
+        const activeId = fileIds.includes(activeFileId) ? activeFileId : tabs[0] || fileIds[0] || null;
+        setFiles(checkpoint.files);
+        setFolders(checkpoint.folders);
+        if (!fileIds.includes(sideFileId)) setSideFileId(null);
+        setOpenFileIds(tabs.includes(activeId) || !activeId ? tabs : [...tabs, activeId]);
+        setActiveFileId(activeId);
+        setHistoryCompare(null);
+      })
+      .catch((err) => alert(`Could not restore the checkpoint: ${err.message}`));
+  };
+
+  const removeCheckpoint = (checkpoint) => {
+    if (!window.confirm(`Delete the checkpoint "${checkpoint.name}"?`)) return;
+    deleteCheckpoint(projectId, checkpoint.id).catch((err) => alert(`Could not delete the checkpoint: ${err.message}`));
+  };
+
+  // File, cursor and selection of the active editor, for the chat panel
+  const getEditorContext = () => {
+    const editor = editorRef.current;
+    const model = editor && editor.getModel();
+    const file = getEditorFile(editor);
+    if (!model || !file) return {};
+
+    const selection = editor.getSelection();
+    return {
+      fileName: file.name,
+      content: model.getValue(),
+      cursorOffset: model.getOffsetAt(editor.getPosition()),
+      selection: selection && !selection.isEmpty() ? model.getValueInRange(selection) : "",
+    };
+  };
+
+  // Put code from a chat reply into the editor, at the cursor or over the selection
+  const insertChatCode = (code, replaceSelection) => {
+    const editor = editorRef.current;
+    if (!editor) return;
+
+    const selection = editor.getSelection();
+    const range = replaceSelection
+      ? selection
+      : {
+          startLineNumber: selection.positionLineNumber,
+          startColumn: selection.positionColumn,
+          endLineNumber: selection.positionLineNumber,
+          endColumn: selection.positionColumn,
+        };
+    editor.pushUndoStop();
+    editor.executeEdits("ai-chat", [{ range, text: code, forceMoveMarkers: true }]);
+    editor.pushUndoStop();
+    editor.focus();
+  };
+
+  const handleModelChange = (nextModelId) => {
+    setModelId(nextModelId);
+    setModelLoadError(null);
+    setIsModelLoading(true);
+    setIsModelLoaded(false);
+    setModelLoadingProgress(0);
+    switchModel(nextModelId).then(() => {
+      const state = getLoadingState();
+      if (state.modelId !== nextModelId) return; // Superseded by another switch
+      setIsModelLoading(state.isLoading);
+      setIsModelLoaded(state.isLoaded);
+      setModelLoadingProgress(state.progress);
+      setModelLoadError(state.error);
+    });
+  };
+
   const toggleTheme = () => {
-    setTheme((prevTheme) => (prevTheme === "vs-dark" ? "vs" : "vs-dark"));
+    setSettings((current) => ({ ...current, theme: current.theme === "vs-dark" ? "vs" : "vs-dark" }));
   };
 
   const downloadFile = () => {
     if (!activeFile) return;
 
-    const content = activeFile.content;
-    const fileName = activeFile.name.endsWith('.js') 
-      ? activeFile.name 
-      : `${activeFile.name}.js`;
-    
-    // Create a blob with the file content
-    const blob = new Blob([content], { type: 'text/javascript' });
-    const url = URL.createObjectURL(blob);
-    
-    // Create a temporary anchor element and trigger download
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = fileName;
-    document.body.appendChild(link);
-    link.click();
-    
-    // Cleanup
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    const blob = new Blob([activeFile.content], { type: 'text/javascript' });
+    downloadBlob(blob, withJsExtension(getBaseName(activeFile.name)));
   };
 
+  // Batch streamed output lines into one state update per animation frame
+  const appendOutput = useCallback((line) => {
+    pendingOutputRef.current.push(line);
+    if (pendingOutputRef.current.length > MAX_OUTPUT_LINES * 2) {
+      pendingOutputRef.current = pendingOutputRef.current.slice(-MAX_OUTPUT_LINES);
+    }
+    if (outputFlushFrameRef.current) return;
+
+    outputFlushFrameRef.current = requestAnimationFrame(() => {
+      const pendingLines = pendingOutputRef.current;
+      pendingOutputRef.current = [];
+      outputFlushFrameRef.current = null;
+      setOutput((prevOutput) =>
+        [...prevOutput, ...pendingLines].slice(-MAX_OUTPUT_LINES)
+      );
+    });
+  }, []);
+
+  // Drop anything still queued from a previous run
+  const resetOutput = useCallback(() => {
+    if (outputFlushFrameRef.current) {
+      cancelAnimationFrame(outputFlushFrameRef.current);
+      outputFlushFrameRef.current = null;
+    }
+    pendingOutputRef.current = [];
+    setOutput([]);
+  }, []);
+
+  // Run every test file, or only the one named
+  // runFiles replaces the project's files, e.g. to try generated tests before keeping them
+  const runTests = useCallback((fileName, runFiles = files) => {
+    const testFileNames = fileName ? [fileName] : runFiles.filter(isTestFile).map((file) => file.name);
+
+    setTestResults([]);
+    setOutputTab("tests");
+    if (testFileNames.length === 0) return;
+
+    resetOutput();
+    setIsRunning(true);
+
+    const runId = ++runIdRef.current;
+
+    executeTests(runFiles, testFileNames, {
+      timeoutMs: runTimeoutMs,
+      onOutput: appendOutput,
+      onTestResult: (result) => {
+        if (runId === runIdRef.current) setTestResults((prev) => [...prev, result]);
+      },
+    }).then((status) => {
+      if (runId !== runIdRef.current) return;
+
+      if (status === "stopped") {
+        appendOutput({ type: "info", message: "Test run stopped", prefix: "Info:" });
+      } else if (status !== "completed") {
+        // The error itself is in the Output tab
+        setOutputTab("output");
+      }
+      setIsRunning(false);
+    });
+  }, [files, runTimeoutMs, appendOutput, resetOutput]);
+
   const runCode = useCallback(() => {
-    if (!activeFile) return;
+    if (!entryFile) return;
+    // Test files have no entry point of their own; run their tests
+    if (isTestFile(entryFile)) {
+      runTests(entryFile.name);
+      return;
+    }
 
-    const code = activeFile.content;
-    const outputLines = [];
-    
-    // Capture console methods
-    const originalLog = console.log;
-    const originalError = console.error;
-    const originalWarn = console.warn;
-    const originalInfo = console.info;
-    
-    const captureOutput = (method, prefix) => {
-      return (...args) => {
-        const output = args.map(arg => {
-          if (typeof arg === 'object') {
-            try {
-              return JSON.stringify(arg, null, 2);
-            } catch {
-              return String(arg);
-            }
-          }
-          return String(arg);
-        }).join(' ');
-        outputLines.push({ type: method, message: output, prefix });
-        originalLog(...args); // Still log to browser console
-      };
+    resetOutput();
+    setOutputTab("output");
+    setIsRunning(true);
+
+    const runId = ++runIdRef.current;
+
+    executeCode(files, entryFile.name, {
+      timeoutMs: runTimeoutMs,
+      onOutput: appendOutput,
+    }).then((status) => {
+      // A newer run replaced this one; it manages the output and state now
+      if (runId !== runIdRef.current) return;
+
+      if (status === "stopped") {
+        appendOutput({ type: "info", message: "Execution stopped", prefix: "Info:" });
+      }
+      setIsRunning(false);
+    });
+  }, [files, entryFile, runTimeoutMs, appendOutput, resetOutput, runTests]);
+
+  // Write the tests to try with a source file whose function is exported for them
+  // currentFiles defaults to this render's files
+  const getTestPreviewFiles = (generation, sourceContent, currentFiles = files) => {
+    const sourceFile = currentFiles.find((f) => f.id === generation.sourceFileId);
+    const testFile = currentFiles.find((f) => f.name === generation.testFileName);
+    const testContent = mergeGeneratedTests(
+      testFile ? testFile.content : "",
+      generation.generatedCode,
+      generation.fn,
+      sourceFile.name
+    );
+    const exportedSource = addExport(sourceContent, generation.fn.name);
+
+    const previewFiles = currentFiles.map((f) => {
+      if (f.id === sourceFile.id) return { ...f, content: exportedSource };
+      if (testFile && f.id === testFile.id) return { ...f, content: testContent };
+      return f;
+    });
+    if (!testFile) previewFiles.push({ name: generation.testFileName, content: testContent });
+    return { previewFiles, testContent, exportedSource };
+  };
+
+  // Ask the chat model for tests of the function at the cursor and try them in the sandbox
+  const generateTests = (editor) => {
+    const model = editor.getModel();
+    const sourceFile = getEditorFile(editor);
+    if (!model || !sourceFile) return;
+
+    setOutputTab("tests");
+    if (isTestFile(sourceFile)) {
+      setTestGeneration({ status: "error", message: "Open the file with the function to test, not its test file" });
+      return;
+    }
+
+    const content = model.getValue();
+    const fn = findFunctionAt(content, model.getOffsetAt(editor.getPosition()));
+    if (fn.error) {
+      setTestGeneration({ status: "error", message: fn.error });
+      return;
+    }
+
+    const generation = {
+      status: "generating",
+      fn,
+      sourceFileId: sourceFile.id,
+      testFileName: getTestFileName(sourceFile.name),
     };
+    setTestGeneration(generation);
 
-    console.log = captureOutput('log', '');
-    console.error = captureOutput('error', 'Error:');
-    console.warn = captureOutput('warn', 'Warning:');
-    console.info = captureOutput('info', 'Info:');
+    requestTests({
+      code: fn.source,
+      functionName: fn.name,
+      fileName: sourceFile.name,
+      importLine: getImportLine(fn, sourceFile.name),
+    })
+      .then((generatedCode) => {
+        // A discarded or replaced request is cancelled, so this one is still current
+        // The files may have been edited while the model wrote the tests
+        const currentFiles = filesRef.current;
+        const currentSource = currentFiles.find((f) => f.id === generation.sourceFileId);
+        if (!currentSource) {
+          setTestGeneration({ status: "error", message: `${sourceFile.name} was deleted` });
+          return;
+        }
 
+        const reviewed = { ...generation, status: "review", generatedCode };
+        setTestGeneration(reviewed);
+        runTests(reviewed.testFileName, getTestPreviewFiles(reviewed, currentSource.content, currentFiles).previewFiles);
+      })
+      .catch((err) => {
+        if (err.message === "Chat cancelled") return;
+        setTestGeneration({ status: "error", message: err.message });
+      });
+  };
+
+  // Write the tried tests to the test file, exporting the function if needed
+  const keepGeneratedTests = () => {
+    const sourceFile = files.find((f) => f.id === testGeneration.sourceFileId);
+    if (!sourceFile) {
+      setTestGeneration(null);
+      return;
+    }
+
+    const { testContent, exportedSource } = getTestPreviewFiles(testGeneration, sourceFile.content);
+    const testFile = files.find((f) => f.name === testGeneration.testFileName);
+    const newTestFile = testFile ? null : {
+      id: Date.now().toString(),
+      name: testGeneration.testFileName,
+      content: testContent,
+    };
+
+    setFiles((prevFiles) => [
+      ...prevFiles.map((f) => {
+        if (f.id === sourceFile.id) return { ...f, content: exportedSource };
+        if (testFile && f.id === testFile.id) return { ...f, content: testContent };
+        return f;
+      }),
+      ...(newTestFile ? [newTestFile] : []),
+    ]);
+    openFile(testFile ? testFile.id : newTestFile.id);
+    setTestGeneration(null);
+  };
+
+  const discardGeneratedTests = () => {
+    if (testGeneration && testGeneration.status === "generating") cancelCodeEdit();
+    setTestGeneration(null);
+  };
+
+  // Close everything tied to the current project and open another one
+  const switchProject = (nextProjectId) => {
+    if (nextProjectId === projectId) return Promise.resolve();
+    stopExecution();
+    runIdRef.current++;
+    setIsRunning(false);
+    resetOutput();
+    setTestResults([]);
+    setTestGeneration(null);
+    if (aiEdit) closeAIEdit();
+    setHistoryCompare(null);
+    pendingRevealRef.current = null;
+
+    return loadProject(nextProjectId).then((loaded) => {
+      if (loaded) showProject(loaded.project, loaded.files);
+    });
+  };
+
+  const refreshProjects = () => listProjects().then(setProjects);
+
+  const createNewProject = () => {
+    const name = window.prompt("Name of the new project:", `Project ${projects.length + 1}`);
+    if (!name || !name.trim()) return;
+    createProject(name.trim(), createDefaultFiles())
+      .then((project) => {
+        refreshProjects();
+        switchProject(project.id);
+      })
+      .catch((err) => alert(`Could not create the project: ${err.message}`));
+  };
+
+  // Add " (2)", " (3)", ... to a name another project already has
+  const getUniqueProjectName = (name) => {
+    const names = new Set(projects.map((p) => p.name));
+    let uniqueName = name;
+    for (let index = 2; names.has(uniqueName); index++) uniqueName = `${name} (${index})`;
+    return uniqueName;
+  };
+
+  // Download the project's files, folders and editor settings as a zip
+  const exportCurrentProject = () => {
+    const project = projects.find((p) => p.id === projectId);
+    const name = project ? project.name : "project";
+    exportProjectArchive({
+      name,
+      files,
+      folders,
+      settings: {
+        theme,
+        fontFamily,
+        fontSize,
+        runTimeoutMs,
+        entryFile: selectedEntryFile ? selectedEntryFile.name : null,
+      },
+    }).then((blob) => downloadBlob(blob, `${name.replace(/[\\/:*?"<>|]/g, "_")}.zip`));
+  };
+
+  // Use the entry file of an imported project; its editor settings are the exporter's,
+  // so the user's own theme, font and run timeout stay as they are
+  const applyImportedEntryFile = (importedSettings, importedFiles) => {
+    const entry = importedFiles.find((f) => f.name === importedSettings.entryFile);
+    if (entry) setEntryFileId(entry.id);
+  };
+
+  // Create a new project from a zip, several files or a folder picked by the user
+  const importProject = async (fileList) => {
     try {
-      // Execute the code
-      const func = new Function(code);
-      const result = func();
-      
-      // If the code returns a value, display it
-      if (result !== undefined) {
-        outputLines.push({ 
-          type: 'result', 
-          message: typeof result === 'object' ? JSON.stringify(result, null, 2) : String(result),
-          prefix: 'Result:'
-        });
+      const imported = await readProjectImport(fileList);
+      if (imported.files.length === 0) {
+        alert("Nothing to import: none of the files could be read as text.");
+        return;
       }
-    } catch (error) {
-      outputLines.push({ 
-        type: 'error', 
-        message: error.message,
-        prefix: 'Error:'
-      });
-    } finally {
-      // Restore original console methods
-      console.log = originalLog;
-      console.error = originalError;
-      console.warn = originalWarn;
-      console.info = originalInfo;
+
+      const importId = Date.now();
+      const importedFiles = imported.files.map((file, index) => ({ id: `${importId}-${index}`, ...file }));
+      const project = await createProject(getUniqueProjectName(imported.name), importedFiles, imported.folders);
+      refreshProjects();
+      await switchProject(project.id);
+      if (imported.settings) applyImportedEntryFile(imported.settings, importedFiles);
+
+      if (imported.skipped.length > 0) {
+        alert(
+          `Imported ${importedFiles.length} file(s). Skipped:\n` +
+            imported.skipped.map(({ path, reason }) => `${path} (${reason})`).join("\n")
+        );
+      }
+    } catch (err) {
+      alert(`Could not import: ${err.message}`);
+    }
+  };
+
+  const renameCurrentProject = () => {
+    const project = projects.find((p) => p.id === projectId);
+    const name = window.prompt("Rename the project:", project ? project.name : "");
+    if (!name || !name.trim()) return;
+    renameProject(projectId, name.trim())
+      .then(refreshProjects)
+      .catch((err) => alert(`Could not rename the project: ${err.message}`));
+  };
+
+  const deleteCurrentProject = () => {
+    const project = projects.find((p) => p.id === projectId);
+    const nextProject = projects.find((p) => p.id !== projectId);
+    if (!project || !nextProject) {
+      alert("Cannot delete the last project. Create a new project first.");
+      return;
     }
+    if (!window.confirm(`Delete the project "${project.name}" and all of its files?`)) return;
+
+    deleteProject(projectId)
+      .then(() => {
+        saveChatHistory(projectId, []);
+        refreshProjects();
+        switchProject(nextProject.id);
+      })
+      .catch((err) => alert(`Could not delete the project: ${err.message}`));
+  };
 
-    setOutput(outputLines);
-  }, [activeFile]);
+  const stopCode = useCallback(() => {
+    stopExecution();
+  }, []);
 
-  // Keyboard shortcut for Run (Ctrl+Enter)
+  // Kill any run still in progress when the IDE unmounts
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
-        e.preventDefault();
-        runCode();
+    return () => {
+      stopExecution();
+      if (outputFlushFrameRef.current) {
+        cancelAnimationFrame(outputFlushFrameRef.current);
       }
     };
+  }, []);
+
+  // Ask for an AI completion at the cursor now, without waiting for a pause in typing
+  const triggerCompletion = () => {
+    const editor = editorRef.current;
+    if (!editor) return;
+    editor.focus();
+    editor.trigger("command", "editor.action.inlineSuggest.trigger");
+  };
 
-    window.addEventListener('keydown', handleKeyDown);
-    return () => window.removeEventListener('keydown', handleKeyDown);
-  }, [runCode]);
+  // Show the command palette with the commands in commands.js and the editor's own actions
+  const openCommandPalette = () => {
+    const commandIds = new Set(COMMANDS.map((command) => command.id));
+    const editorActions = editorRef.current
+      ? editorRef.current.getSupportedActions().filter((action) => !commandIds.has(action.id))
+      : [];
+    setPaletteCommands([
+      ...COMMANDS.map((command) => ({
+        id: command.id,
+        title: getCommandTitle(command),
+        keybinding: keybindings.get(command.id),
+      })),
+      ...editorActions.map((action) => ({ id: action.id, title: `Editor: ${action.label}`, keybinding: null })),
+    ]);
+  };
+
+  const runPaletteCommand = (commandId) => {
+    setPaletteCommands(null);
+    const editor = editorRef.current;
+    if (editor) editor.focus();
+    if (commandHandlersRef.current[commandId]) {
+      runCommand(commandId);
+    } else if (editor && editor.getAction(commandId)) {
+      editor.getAction(commandId).run();
+    }
+  };
+
+  // The keybindings and editor actions are set up once; they call the latest handlers
+  useEffect(() => {
+    commandHandlersRef.current = {
+      "workbench.showCommands": openCommandPalette,
+      "workbench.openSettings": () => setSettingsPanelView("form"),
+      "workbench.openKeybindings": () => setSettingsPanelView("keybindings"),
+      "workbench.toggleTheme": toggleTheme,
+      "workbench.toggleExplorer": () => setSidebarView((view) => (view === "explorer" ? null : "explorer")),
+      "search.findInFiles": () => openSearch(false),
+      "search.replaceInFiles": () => openSearch(true),
+      "history.showTimeline": () => setSidebarView("history"),
+      "history.createCheckpoint": () => projectId && createProjectCheckpoint(),
+      "workbench.toggleChat": () => setIsChatOpen((open) => !open),
+      "workbench.toggleSplitEditor": () => (sideFile || focusedFileId) && toggleSplitEditor(),
+      "file.new": () => projectId && createNewFile(),
+      "file.download": downloadFile,
+      "file.close": () => activeFileId && closeTabs([activeFileId]),
+      "run.runCode": () => !isRunning && runCode(),
+      "run.runTests": () => !isRunning && runTests(),
+      "run.stop": stopCode,
+      "project.new": () => projectId && createNewProject(),
+      "project.rename": () => projectId && renameCurrentProject(),
+      "project.export": () => projectId && exportCurrentProject(),
+      "ai.triggerCompletion": triggerCompletion,
+      "ai.editWithInstruction": () => editorRef.current && startAIEdit(editorRef.current, monacoRef.current),
+      "ai.generateTests": () => editorRef.current && generateTests(editorRef.current),
+    };
+    editorOpenerRef.current = openFromEditor;
+  });
 
   const handleResizeStart = (e) => {
     setIsResizing(true);
@@ -334,8 +1404,8 @@ function App() {
       if (!isResizing) return;
       
       const deltaY = resizeStartYRef.current - e.clientY; // Inverted because we're resizing from bottom
-      const newHeight = Math.max(100, Math.min(600, resizeStartHeightRef.current + deltaY));
-      setOutputPanelHeight(newHeight);
+      const newHeight = clampSetting("outputPanelHeight", resizeStartHeightRef.current + deltaY);
+      setSettings((current) => ({ ...current, outputPanelHeight: newHeight }));
     };
 
     const handleResizeEnd = () => {
@@ -357,6 +1427,34 @@ function App() {
     };
   }, [isResizing, outputPanelHeight]);
 
+  // Options of both editor panes
+  const editorOptions = {
+    fontSize: fontSize,
+    fontFamily: fontFamily,
+    minimap: { enabled: true },
+    scrollBeyondLastLine: false,
+    automaticLayout: true,
+    tabSize: 2,
+    wordWrap: "on",
+    lineNumbers: "on",
+    roundedSelection: false,
+    cursorStyle: "line",
+    cursorBlinking: "blink",
+    folding: true,
+    showFoldingControls: "always",
+    matchBrackets: "always",
+    autoIndent: "full",
+    formatOnPaste: true,
+    formatOnType: true,
+    suggestOnTriggerCharacters: true,
+    acceptSuggestionOnEnter: "on",
+    quickSuggestions: true,
+    // Shows which AI candidate is displayed and the cycle/accept actions
+    inlineSuggest: { enabled: true, showToolbar: "always" },
+    // Pass/fail icons next to tests
+    glyphMargin: true,
+  };
+
   return (
     <div className="ide-container">
       <div className="ide-header">
@@ -380,13 +1478,29 @@ function App() {
               <path d="M12 0c-6.626 0-12 5.373-12 12 0 5.302 3.438 9.8 8.207 11.387.599.111.793-.261.793-.577v-2.234c-3.338.726-4.033-1.416-4.033-1.416-.546-1.387-1.333-1.756-1.333-1.756-1.089-.745.083-.729.083-.729 1.205.084 1.839 1.237 1.839 1.237 1.07 1.834 2.807 1.304 3.492.997.107-.775.418-1.305.762-1.604-2.665-.305-5.467-1.334-5.467-5.931 0-1.311.469-2.381 1.236-3.221-.124-.303-.535-1.524.117-3.176 0 0 1.008-.322 3.301 1.23.957-.266 1.983-.399 3.003-.404 1.02.005 2.047.138 3.006.404 2.291-1.552 3.297-1.23 3.297-1.23.653 1.653.242 2.874.118 3.176.77.84 1.235 1.911 1.235 3.221 0 4.609-2.807 5.624-5.479 5.921.43.372.823 1.102.823 2.222v3.293c0 .319.192.694.801.576 4.765-1.589 8.199-6.086 8.199-11.386 0-6.627-5.373-12-12-12z"/>
             </svg>
           </a>
+          <ProjectSwitcher
+            projects={projects}
+            projectId={projectId}
+            onSwitch={switchProject}
+            onCreate={createNewProject}
+            onRename={renameCurrentProject}
+            onDelete={deleteCurrentProject}
+            onExport={exportCurrentProject}
+            onImport={importProject}
+          />
           {isModelLoading && (
             <div className="model-loading-indicator">
               <span className="loading-text">
-                Loading AI model... {modelLoadingProgress}%
+                Loading {getModelInfo(modelId).name}... {modelLoadingProgress}%
               </span>
             </div>
           )}
+          {modelLoadError && !isModelLoading && (
+            <div className="model-loading-indicator model-load-error" title={modelLoadError}>
+              <span className="loading-text">AI model failed to load</span>
+            </div>
+          )}
+          {isModelLoaded && <CompletionStats />}
           {isModelLoaded && isGeneratingCompletion && (
             <div
               className="completion-loading-indicator"
@@ -409,37 +1523,102 @@ function App() {
             </svg>
           </button>
           <div className={`ide-controls ${isSettingsOpen ? 'open' : ''}`}>
-            <button onClick={runCode} className="btn btn-run" title="Run code (Ctrl+Enter)">
-              ▶ Run
-            </button>
+            {isRunning ? (
+              <button onClick={stopCode} className="btn btn-stop" title="Stop the running code">
+                ■ Stop
+              </button>
+            ) : (
+              <>
+                <button
+                  onClick={runCode}
+                  className="btn btn-run"
+                  title={keybindings.get("run.runCode") ? `Run code (${keybindings.get("run.runCode")})` : "Run code"}
+                >
+                  ▶ Run
+                </button>
+                <button
+                  onClick={() => runTests()}
+                  className="btn btn-secondary"
+                  title={`Run the tests in every *${TEST_FILE_SUFFIX} file`}
+                >
+                  🧪 Test
+                </button>
+              </>
+            )}
+            <div className="font-controls">
+              <label title="File to run; it can import the other files with relative paths">
+                Entry:
+                <select
+                  value={selectedEntryFile ? selectedEntryFile.id : ""}
+                  onChange={(e) => setEntryFileId(e.target.value || null)}
+                  className="font-select"
+                >
+                  <option value="">Active file</option>
+                  {files.map((file) => (
+                    <option key={file.id} value={file.id}>
+                      {file.name}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
             <button onClick={downloadFile} className="btn btn-secondary" title="Download current file as .js">
               🗁 Save
             </button>
             <button onClick={createNewFile} className="btn btn-primary">
               + New
             </button>
+            <button
+              onClick={() => setIsChatOpen(!isChatOpen)}
+              className="btn btn-secondary"
+              title="Ask the AI about the current file or selection"
+            >
+              💬 Chat
+            </button>
             <button onClick={toggleTheme} className="btn btn-secondary">
               {theme === "vs-dark" ? "☀️ Light" : "🌙 Dark"}
             </button>
+            <button
+              onClick={() => setSettingsPanelView("form")}
+              className="btn btn-secondary"
+              title="All settings, including AI completion tuning"
+            >
+              ⚙ Settings
+            </button>
+            <div className="font-controls">
+              <label title="Code completion model; it is downloaded on first use">
+                Model:
+                <select
+                  value={modelId}
+                  onChange={(e) => handleModelChange(e.target.value)}
+                  className="font-select"
+                >
+                  {MODEL_REGISTRY.map((model) => (
+                    <option key={model.id} value={model.id}>
+                      {`${model.name} (${model.size}, ${model.dtype}${
+                        model.supportsFim ? ", FIM" : ""
+                      })`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
             <div className="font-controls">
               <label>
                 Font:
                 <select
                   value={fontFamily}
-                  onChange={(e) => setFontFamily(e.target.value)}
+                  onChange={(e) => updateSettings({ fontFamily: e.target.value })}
                   className="font-select"
                 >
-                  <option value='Consolas, "Courier New", monospace'>
-                    Consolas
-                  </option>
-                  <option value='Monaco, "Courier New", monospace'>Monaco</option>
-                  <option value='"Fira Code", "Courier New", monospace'>
-                    Fira Code
-                  </option>
-                  <option value='"Source Code Pro", "Courier New", monospace'>
-                    Source Code Pro
-                  </option>
-                  <option value='"Courier New", monospace'>Courier New</option>
+                  {!FONT_FAMILIES.some((font) => font.value === fontFamily) && (
+                    <option value={fontFamily}>Custom</option>
+                  )}
+                  {FONT_FAMILIES.map((font) => (
+                    <option key={font.value} value={font.value}>
+                      {font.label}
+                    </option>
+                  ))}
                 </select>
               </label>
               <label>
@@ -449,7 +1628,20 @@ function App() {
                   min="10"
                   max="24"
                   value={fontSize}
-                  onChange={(e) => setFontSize(Number(e.target.value))}
+                  onChange={(e) => updateSettings({ fontSize: clampSetting("fontSize", Number(e.target.value)) })}
+                  className="font-size-input"
+                />
+              </label>
+              <label title="Stop runs that take longer than this">
+                Timeout (s):
+                <input
+                  type="number"
+                  min={MIN_RUN_TIMEOUT_MS / 1000}
+                  max={MAX_RUN_TIMEOUT_MS / 1000}
+                  value={runTimeoutMs / 1000}
+                  onChange={(e) =>
+                    updateSettings({ runTimeoutMs: clampSetting("runTimeoutMs", Number(e.target.value) * 1000) })
+                  }
                   className="font-size-input"
                 />
               </label>
@@ -458,127 +1650,323 @@ function App() {
         </div>
       </div>
 
-      <div className="ide-body">
-        <div className="file-tabs">
-          {files.map((file) => (
-            <div
-              key={file.id}
-              className={`file-tab ${activeFileId === file.id ? "active" : ""}`}
-              onClick={() => setActiveFileId(file.id)}
-            >
-              <input
-                type="text"
-                value={file.name}
-                onChange={(e) => renameFile(file.id, e.target.value, false)}
-                onMouseDown={(e) => {
-                  // If clicking on a different file, switch to it first
-                  if (activeFileId !== file.id) {
-                    setActiveFileId(file.id);
-                    // Prevent default to avoid focusing input immediately
-                    // User can click again to edit if needed
-                    e.preventDefault();
-                  }
-                  // If clicking on the active file's input, allow normal behavior (focus for editing)
-                  // Don't stop propagation - let the tab's onClick handle switching if needed
-                }}
-                onFocus={() => {
-                  // Ensure we're on the right file when focusing to edit
-                  if (activeFileId !== file.id) {
-                    setActiveFileId(file.id);
-                  }
-                }}
-                onBlur={(e) => {
-                  const trimmedValue = e.target.value.trim();
-                  if (!trimmedValue) {
-                    // Restore original name if empty
-                    renameFile(file.id, file.name, true);
-                  } else {
-                    // Enforce .js extension on blur
-                    renameFile(file.id, trimmedValue, true);
-                  }
-                }}
-                className="file-name-input"
-              />
-              {files.length > 1 && (
-                <button
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    deleteFile(file.id);
-                  }}
-                  className="file-close-btn"
-                  title="Close file"
-                >
-                  ×
-                </button>
-              )}
-            </div>
-          ))}
-        </div>
-
-        <div className="editor-container" style={{ height: `calc(100% - ${outputPanelHeight}px)` }}>
-          {activeFile && (
-            <Editor
-              height="100%"
-              language="javascript"
-              theme={theme}
-              value={activeFile.content}
-              onChange={handleEditorChange}
-              onMount={handleEditorDidMount}
-              options={{
-                fontSize: fontSize,
-                fontFamily: fontFamily,
-                minimap: { enabled: true },
-                scrollBeyondLastLine: false,
-                automaticLayout: true,
-                tabSize: 2,
-                wordWrap: "on",
-                lineNumbers: "on",
-                roundedSelection: false,
-                cursorStyle: "line",
-                cursorBlinking: "blink",
-                folding: true,
-                showFoldingControls: "always",
-                matchBrackets: "always",
-                autoIndent: "full",
-                formatOnPaste: true,
-                formatOnType: true,
-                suggestOnTriggerCharacters: true,
-                acceptSuggestionOnEnter: "on",
-                quickSuggestions: true,
-              }}
-            />
-          )}
+      {storageError && (
+        <div className="storage-error-banner" role="alert">
+          <span>{storageError}</span>
+          <button className="output-clear-btn" onClick={() => setStorageError(null)}>
+            Dismiss
+          </button>
         </div>
+      )}
 
-        <div className="output-panel-container" style={{ height: `${outputPanelHeight}px` }}>
-          <div 
-            className="output-resize-handle"
-            onMouseDown={handleResizeStart}
+      <div className="ide-workspace">
+        {sidebarView === "explorer" && (
+          <FileExplorer
+            files={files}
+            folders={folders}
+            activeFileId={activeFileId}
+            onOpenFile={openFile}
+            onCreateFile={createFile}
+            onCreateFolder={createFolder}
+            onRename={renameItem}
+            onMove={moveItemToFolder}
+            onDelete={deleteItem}
+          />
+        )}
+        <SearchPanel
+          files={files}
+          isVisible={sidebarView === "search"}
+          focusRequest={searchFocusRequest}
+          onOpenMatch={(fileId, match) => revealInFile(fileId, match)}
+          onReplace={replaceInFiles}
+        />
+        {sidebarView === "history" && projectId && (
+          <HistoryPanel
+            projectId={projectId}
+            files={files}
+            activeFile={activeFile}
+            revision={historyRevision}
+            onCompare={setHistoryCompare}
+            onCreateCheckpoint={createProjectCheckpoint}
+            onRestoreCheckpoint={restoreCheckpoint}
+            onDeleteCheckpoint={removeCheckpoint}
           />
-          <div className="output-panel-header">
-            <span>Output</span>
-            <button 
-              className="output-clear-btn"
-              onClick={() => setOutput([])}
-              title="Clear output"
+        )}
+        <div className="ide-body">
+          <div className="file-tabs">
+            <button
+              className={`file-explorer-toggle ${sidebarView === "explorer" ? "active" : ""}`}
+              onClick={() => setSidebarView(sidebarView === "explorer" ? null : "explorer")}
+              title={sidebarView === "explorer" ? "Hide the file explorer" : "Show the file explorer"}
             >
-              Clear
+              🗂
+            </button>
+            <button
+              className={`file-explorer-toggle ${sidebarView === "search" ? "active" : ""}`}
+              onClick={() => (sidebarView === "search" ? setSidebarView(null) : openSearch(false))}
+              title={sidebarView === "search" ? "Hide search" : "Search in all files"}
+            >
+              🔍
+            </button>
+            <button
+              className={`file-explorer-toggle ${sidebarView === "history" ? "active" : ""}`}
+              onClick={() => setSidebarView(sidebarView === "history" ? null : "history")}
+              title={sidebarView === "history" ? "Hide the timeline" : "Show earlier versions and checkpoints"}
+            >
+              🕘
+            </button>
+            {openFiles.map((file) => {
+              // Tell apart open files that share a name by their folder
+              const isAmbiguous = openFiles.some(
+                (other) => other.id !== file.id && getBaseName(other.name) === getBaseName(file.name)
+              );
+              return (
+                <div
+                  key={file.id}
+                  className={`file-tab ${activeFileId === file.id ? "active" : ""} ${
+                    isTestFile(file) ? "file-tab-test" : ""
+                  }`}
+                  title={file.name}
+                  onClick={() => setActiveFileId(file.id)}
+                  onAuxClick={(e) => {
+                    if (e.button === 1) closeTabs([file.id]); // Middle click
+                  }}
+                >
+                  <span className="file-tab-name">
+                    {getBaseName(file.name)}
+                    {isAmbiguous && getParentPath(file.name) && (
+                      <span className="file-tab-folder">{getParentPath(file.name)}</span>
+                    )}
+                  </span>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      closeTabs([file.id]);
+                    }}
+                    className="file-close-btn"
+                    title="Close tab"
+                  >
+                    ×
+                  </button>
+                </div>
+              );
+            })}
+            <button
+              className={`file-explorer-toggle file-tabs-split ${sideFile ? "active" : ""}`}
+              onClick={toggleSplitEditor}
+              disabled={!sideFile && !focusedFileId}
+              title={sideFile ? "Close the split editor" : "Show this file in a second editor to the side"}
+            >
+              ◫
             </button>
           </div>
-          <div className="output-panel-content">
-            {output.length === 0 ? (
-              <div className="output-empty">No output yet. Click "Run" to execute your code.</div>
-            ) : (
-              output.map((line, index) => (
-                <div key={index} className={`output-line output-line-${line.type}`}>
-                  {line.prefix && <span className="output-prefix">{line.prefix}</span>}
-                  <span className="output-message">{line.message}</span>
+
+          <div className="editor-container" style={{ height: `calc(100% - ${outputPanelHeight}px)` }}>
+            <div className={`editor-panes ${sideFile ? "split" : ""}`}>
+              <div className={`editor-pane ${sideFile && focusedPane === "main" ? "focused" : ""}`}>
+                {!activeFile && (
+                  <div className="editor-empty">
+                    {projectId ? 'Open a file from the explorer, or create one with "+ New".' : "Loading project..."}
+                  </div>
+                )}
+                {activeFile && (
+                  <Editor
+                    height="100%"
+                    language="javascript"
+                    theme={theme}
+                    path={getModelPath(activeFile.name)}
+                    defaultValue={activeFile.content}
+                    keepCurrentModel
+                    onChange={(value) => handleEditorChange(activeFile.id, value)}
+                    onMount={(editor, monaco) => handleEditorDidMount(editor, monaco, "main")}
+                    options={editorOptions}
+                  />
+                )}
+              </div>
+              {sideFile && (
+                <div className={`editor-pane ${focusedPane === "side" ? "focused" : ""}`}>
+                  <div className="editor-pane-header">
+                    <select
+                      value={sideFile.id}
+                      onChange={(e) => setSideFileId(e.target.value)}
+                      className="font-select"
+                      title="File shown in the split editor"
+                    >
+                      {files.map((file) => (
+                        <option key={file.id} value={file.id}>
+                          {file.name}
+                        </option>
+                      ))}
+                    </select>
+                    <button className="file-close-btn" onClick={() => setSideFileId(null)} title="Close the split editor">
+                      ×
+                    </button>
+                  </div>
+                  <div className="editor-pane-body">
+                    <Editor
+                      height="100%"
+                      language="javascript"
+                      theme={theme}
+                      path={getModelPath(sideFile.name)}
+                      defaultValue={sideFile.content}
+                      keepCurrentModel
+                      onChange={(value) => handleEditorChange(sideFile.id, value)}
+                      onMount={(editor, monaco) => handleEditorDidMount(editor, monaco, "side")}
+                      options={editorOptions}
+                    />
+                  </div>
                 </div>
-              ))
+              )}
+            </div>
+            {aiEdit && (
+              <AIEditPanel
+                key={aiEdit.requestKey}
+                title={
+                  aiEdit.kind === "fix"
+                    ? `Fix ${aiEdit.errorMessage}`
+                    : `Edit selection in ${files.find((f) => f.id === aiEdit.fileId)?.name || "file"}`
+                }
+                original={aiEdit.original}
+                initialInstruction={aiEdit.instruction}
+                requestEdit={requestAIEdit}
+                theme={theme}
+                fontSize={fontSize}
+                fontFamily={fontFamily}
+                applyError={aiEdit.applyError}
+                onAccept={acceptAIEdit}
+                onClose={closeAIEdit}
+              />
+            )}
+            {historyCompare && (
+              <HistoryDiffPanel
+                key={historyCompare.id}
+                title={
+                  historyFile
+                    ? `${historyFile.name}: version of ${new Date(historyCompare.createdAt).toLocaleString()} ↔ current`
+                    : `Deleted file ${historyCompare.fileName}`
+                }
+                snapshot={historyCompare.content}
+                current={historyFile ? historyFile.content : ""}
+                theme={theme}
+                fontSize={fontSize}
+                fontFamily={fontFamily}
+                restoreLabel={historyFile ? "Restore This Version" : "Restore File"}
+                onRestore={() => restoreSnapshot(historyCompare)}
+                onClose={() => setHistoryCompare(null)}
+              />
             )}
           </div>
+
+          <div className="output-panel-container" style={{ height: `${outputPanelHeight}px` }}>
+            <div 
+              className="output-resize-handle"
+              onMouseDown={handleResizeStart}
+            />
+            <div className="output-panel-header">
+              <span className="output-tabs">
+                <button
+                  className={`output-tab ${outputTab === "output" ? "active" : ""}`}
+                  onClick={() => setOutputTab("output")}
+                >
+                  Output
+                </button>
+                <button
+                  className={`output-tab ${outputTab === "tests" ? "active" : ""}`}
+                  onClick={() => setOutputTab("tests")}
+                >
+                  Tests
+                </button>
+                {isRunning && <span className="output-running-indicator">Running...</span>}
+              </span>
+              <button 
+                className="output-clear-btn"
+                onClick={() => (outputTab === "tests" ? setTestResults([]) : setOutput([]))}
+                title={outputTab === "tests" ? "Clear test results" : "Clear output"}
+              >
+                Clear
+              </button>
+            </div>
+            <div className="output-panel-content">
+              {outputTab === "tests" && testGeneration && (
+                <div className={`test-generation-bar test-generation-${testGeneration.status}`}>
+                  {testGeneration.status === "generating" && (
+                    <>
+                      <span className="spinner"></span>
+                      <span>Writing tests for {testGeneration.fn.name}...</span>
+                    </>
+                  )}
+                  {testGeneration.status === "review" && (
+                    <span>
+                      Generated tests for {testGeneration.fn.name}
+                      {isRunning ? " are running" : " ran below"}. Keep them in {testGeneration.testFileName}?
+                    </span>
+                  )}
+                  {testGeneration.status === "error" && <span>{testGeneration.message}</span>}
+                  {testGeneration.status === "review" && (
+                    <button className="btn btn-primary" onClick={keepGeneratedTests} disabled={isRunning}>
+                      Keep
+                    </button>
+                  )}
+                  <button className="btn btn-secondary" onClick={discardGeneratedTests}>
+                    {testGeneration.status === "error" ? "Dismiss" : "Discard"}
+                  </button>
+                </div>
+              )}
+              {outputTab === "tests" ? (
+                <TestResultsPanel
+                  results={testResults}
+                  testFileNames={files.filter(isTestFile).map((file) => file.name)}
+                  isRunning={isRunning}
+                  onRunFile={runTests}
+                  onReveal={revealLocation}
+                />
+              ) : output.length === 0 ? (
+                <div className="output-empty">No output yet. Click "Run" to execute your code.</div>
+              ) : (
+                <ConsoleOutput lines={output} onReveal={revealLocation} onExplainError={startErrorFix} />
+              )}
+            </div>
+          </div>
         </div>
+
+        {isChatOpen && projectId && (
+          <ChatPanel
+            key={projectId}
+            projectId={projectId}
+            getEditorContext={getEditorContext}
+            onInsertCode={(code) => insertChatCode(code, false)}
+            onReplaceSelection={(code) => insertChatCode(code, true)}
+            onClose={() => setIsChatOpen(false)}
+          />
+        )}
       </div>
+
+      {settingsPanelView && (
+        <SettingsPanel
+          key={settingsPanelView}
+          settings={settings}
+          modelId={modelId}
+          theme={theme}
+          fontFamily={fontFamily}
+          keybindings={keybindings}
+          keybindingOverrides={keybindingOverrides}
+          initialView={settingsPanelView}
+          onChange={setSettings}
+          onKeybindingsChange={setKeybindingOverrides}
+          onClose={() => setSettingsPanelView(null)}
+        />
+      )}
+
+      {paletteCommands && (
+        <CommandPalette
+          commands={paletteCommands}
+          onRun={runPaletteCommand}
+          onClose={() => {
+            setPaletteCommands(null);
+            if (editorRef.current) editorRef.current.focus();
+          }}
+        />
+      )}
     </div>
   );
 }
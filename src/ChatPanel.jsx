@@ -0,0 +1,214 @@
+import { useState, useEffect, useRef } from "react";
+import {
+  sendChatMessage,
+  cancelChatMessage,
+  setChatLoadProgressCallback,
+  isChatModelLoaded,
+  splitCodeBlocks,
+  loadChatHistory,
+  saveChatHistory,
+} from "./aiChat";
+import { CHAT_MODEL } from "./aiConstants";
+
+// Side panel for asking the chat model about the current file or selection
+// getEditorContext returns { fileName, content, cursorOffset, selection } of the active editor
+function ChatPanel({ projectId, getEditorContext, onInsertCode, onReplaceSelection, onClose }) {
+  const [messages, setMessages] = useState(() => loadChatHistory(projectId));
+  const [input, setInput] = useState("");
+  const [streamingText, setStreamingText] = useState(null); // null when no reply is streaming
+  const [modelProgress, setModelProgress] = useState(null); // null unless the model is downloading
+  const [error, setError] = useState(null);
+  const streamingTextRef = useRef("");
+  const messagesEndRef = useRef(null);
+
+  const isGenerating = streamingText !== null;
+
+  useEffect(() => {
+    saveChatHistory(projectId, messages);
+  }, [projectId, messages]);
+
+  useEffect(() => {
+    setChatLoadProgressCallback((progress) => {
+      setModelProgress(progress < 100 ? progress : null);
+    });
+    return () => setChatLoadProgressCallback(null);
+  }, []);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (messagesEndRef.current) {
+      messagesEndRef.current.scrollIntoView({ block: "end" });
+    }
+  }, [messages, streamingText]);
+
+  // Stop generating when the panel closes
+  useEffect(() => () => cancelChatMessage(), []);
+
+  const sendMessage = () => {
+    const question = input.trim();
+    if (!question || isGenerating) return;
+
+    const editorContext = getEditorContext();
+    const history = messages;
+    setMessages((prev) => [
+      ...prev,
+      {
+        role: "user",
+        content: question,
+        fileName: editorContext.fileName,
+        hasSelection: Boolean(editorContext.selection),
+      },
+    ]);
+    setInput("");
+    setError(null);
+    streamingTextRef.current = "";
+    setStreamingText("");
+
+    sendChatMessage({
+      question,
+      history,
+      editorContext,
+      onToken: (text) => {
+        streamingTextRef.current = text;
+        setStreamingText(text);
+      },
+    })
+      .then((reply) => {
+        setMessages((prev) => [...prev, { role: "assistant", content: reply }]);
+      })
+      .catch((err) => {
+        // Keep what was written before the reply was stopped
+        if (err.message === "Chat cancelled" && streamingTextRef.current.trim()) {
+          setMessages((prev) => [
+            ...prev,
+            { role: "assistant", content: streamingTextRef.current.trim(), isStopped: true },
+          ]);
+        } else if (err.message !== "Chat cancelled") {
+          setError(err.message);
+        }
+      })
+      .finally(() => {
+        setStreamingText(null);
+        setModelProgress(null);
+      });
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter sends, Shift+Enter adds a new line
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      sendMessage();
+    }
+  };
+
+  const clearConversation = () => {
+    cancelChatMessage();
+    setMessages([]);
+    setError(null);
+  };
+
+  const renderReply = (text) =>
+    splitCodeBlocks(text).map((part, index) =>
+      part.type === "code" ? (
+        <div key={index} className="chat-code-block">
+          <pre className="chat-code">
+            <code>{part.content}</code>
+          </pre>
+          <div className="chat-code-actions">
+            <button onClick={() => onInsertCode(part.content)} title="Insert this code at the cursor">
+              Insert at cursor
+            </button>
+            <button onClick={() => onReplaceSelection(part.content)} title="Replace the selected code with this code">
+              Replace selection
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div key={index} className="chat-text">
+          {part.content.trim()}
+        </div>
+      )
+    );
+
+  return (
+    <div className="chat-panel">
+      <div className="chat-panel-header">
+        <span>AI Chat</span>
+        <div className="chat-panel-header-actions">
+          <button
+            className="output-clear-btn"
+            onClick={clearConversation}
+            title="Clear this project's conversation"
+          >
+            Clear
+          </button>
+          <button className="file-close-btn" onClick={onClose} title="Close chat">
+            ×
+          </button>
+        </div>
+      </div>
+
+      <div className="chat-messages">
+        {messages.length === 0 && !isGenerating && (
+          <div className="output-empty">
+            Ask about the current file or select code first to ask about the selection.
+            {!isChatModelLoaded() && ` The first question downloads ${CHAT_MODEL.name} (${CHAT_MODEL.size}).`}
+          </div>
+        )}
+        {messages.map((message, index) => (
+          <div key={index} className={`chat-message chat-message-${message.role}`}>
+            {message.role === "user" ? (
+              <>
+                {message.fileName && (
+                  <div className="chat-message-context">
+                    {message.hasSelection ? `Selection in ${message.fileName}` : message.fileName}
+                  </div>
+                )}
+                <div className="chat-text">{message.content}</div>
+              </>
+            ) : (
+              <>
+                {renderReply(message.content)}
+                {message.isStopped && <div className="chat-message-context">Stopped</div>}
+              </>
+            )}
+          </div>
+        ))}
+        {isGenerating && (
+          <div className="chat-message chat-message-assistant">
+            {modelProgress !== null && (
+              <div className="chat-message-context">
+                Loading {CHAT_MODEL.name}... {modelProgress}%
+              </div>
+            )}
+            {streamingText ? renderReply(streamingText) : <span className="spinner"></span>}
+          </div>
+        )}
+        {error && <div className="chat-error">{error}</div>}
+        <div ref={messagesEndRef} />
+      </div>
+
+      <div className="chat-input-container">
+        <textarea
+          className="chat-input"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Ask about this file... (Enter to send)"
+          rows={3}
+        />
+        {isGenerating ? (
+          <button className="btn btn-stop" onClick={cancelChatMessage} title="Stop the reply">
+            Stop
+          </button>
+        ) : (
+          <button className="btn btn-primary" onClick={sendMessage} disabled={!input.trim()}>
+            Send
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ChatPanel;
@@ -0,0 +1,95 @@
+import { useState, useRef, useEffect } from "react";
+
+// How well a title matches the query: higher is better, -1 for no match
+// Every query character must appear in order; words starting with the query rank first
+function scoreMatch(title, query) {
+  const text = title.toLowerCase();
+  const wanted = query.toLowerCase().trim();
+  if (!wanted) return 0;
+
+  const index = text.indexOf(wanted);
+  if (index >= 0) {
+    const atWordStart = index === 0 || /[\s:]/.test(text[index - 1]);
+    return (atWordStart ? 3000 : 2000) - index;
+  }
+
+  let position = 0;
+  for (const char of wanted) {
+    if (char === " ") continue;
+    position = text.indexOf(char, position);
+    if (position < 0) return -1;
+    position++;
+  }
+  return 1000 - position;
+}
+
+// Searchable list of commands, opened with Ctrl+Shift+P
+// commands are { id, title, keybinding }; onRun receives the picked command's id
+function CommandPalette({ commands, onRun, onClose }) {
+  const [query, setQuery] = useState("");
+  const [selectedIndex, setSelectedIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const matches = commands
+    .map((command, order) => ({ command, order, score: scoreMatch(command.title, query) }))
+    .filter((match) => match.score >= 0)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .map((match) => match.command);
+  const selected = Math.min(selectedIndex, matches.length - 1);
+
+  // Keep the selected command in view while moving through the list with the arrow keys
+  useEffect(() => {
+    const item = listRef.current && listRef.current.children[selected];
+    if (item) item.scrollIntoView({ block: "nearest" });
+  }, [selected]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setSelectedIndex(matches.length === 0 ? 0 : (selected + 1) % matches.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setSelectedIndex(matches.length === 0 ? 0 : (selected - 1 + matches.length) % matches.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (matches[selected]) onRun(matches[selected].id);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="settings-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div className="command-palette">
+        <input
+          className="ai-edit-input"
+          autoFocus
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setSelectedIndex(0);
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="Type the name of a command to run"
+        />
+        <ul className="command-palette-list" ref={listRef}>
+          {matches.map((command, index) => (
+            <li
+              key={command.id}
+              className={`command-palette-item ${index === selected ? "selected" : ""}`}
+              onMouseMove={() => setSelectedIndex(index)}
+              onClick={() => onRun(command.id)}
+            >
+              <span>{command.title}</span>
+              {command.keybinding && <kbd className="keybinding-label">{command.keybinding}</kbd>}
+            </li>
+          ))}
+          {matches.length === 0 && <li className="command-palette-empty">No matching commands</li>}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+export default CommandPalette;
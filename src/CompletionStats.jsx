@@ -0,0 +1,116 @@
+import { useState, useEffect, useRef } from "react";
+import { getLastTokenUsage, getCompletionCacheStats, clearCompletionCache } from "./aiCompletionProvider";
+
+// Header button showing the token counts of the last completion and the completion
+// cache's hits, as they were when it opened
+function CompletionStats() {
+  const [isOpen, setIsOpen] = useState(false);
+  const [tokenUsage, setTokenUsage] = useState(null);
+  const [cacheStats, setCacheStats] = useState(null);
+  const containerRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener("mousedown", handleClickOutside);
+    return () => document.removeEventListener("mousedown", handleClickOutside);
+  }, [isOpen]);
+
+  const toggle = () => {
+    if (!isOpen) {
+      setTokenUsage(getLastTokenUsage());
+      setCacheStats(getCompletionCacheStats());
+    }
+    setIsOpen(!isOpen);
+  };
+
+  const clearCache = () => {
+    clearCompletionCache();
+    setCacheStats(getCompletionCacheStats());
+  };
+
+  return (
+    <div className="completion-stats" ref={containerRef}>
+      <button
+        className="completion-stats-btn"
+        onClick={toggle}
+        title="Completion statistics"
+        aria-label="Completion statistics"
+      >
+        Σ
+      </button>
+      {isOpen && (
+        <div className="completion-stats-popover">
+          <div className="completion-stats-title">Last completion</div>
+          {tokenUsage ? (
+            <table className="completion-stats-table">
+              <tbody>
+                <tr>
+                  <td>Prompt tokens</td>
+                  <td>{tokenUsage.promptTokens}</td>
+                </tr>
+                <tr>
+                  <td>Before the cursor</td>
+                  <td>{tokenUsage.prefixTokens}</td>
+                </tr>
+                <tr>
+                  <td>After the cursor</td>
+                  <td>{tokenUsage.suffixTokens}</td>
+                </tr>
+                <tr>
+                  <td>From other files</td>
+                  <td>{tokenUsage.contextTokens}</td>
+                </tr>
+                <tr>
+                  <td>Generated</td>
+                  <td>{tokenUsage.completionTokens}</td>
+                </tr>
+              </tbody>
+            </table>
+          ) : (
+            <div className="completion-stats-empty">No completion yet</div>
+          )}
+          <div className="completion-stats-title">Completion cache</div>
+          <table className="completion-stats-table">
+            <tbody>
+              <tr>
+                <td>Cached suggestions</td>
+                <td>{cacheStats.size}</td>
+              </tr>
+              <tr>
+                <td>Hits</td>
+                <td>{cacheStats.hits}</td>
+              </tr>
+              <tr>
+                <td>Hits while typing a suggestion</td>
+                <td>{cacheStats.extendedHits}</td>
+              </tr>
+              <tr>
+                <td>Misses</td>
+                <td>{cacheStats.misses}</td>
+              </tr>
+              <tr>
+                <td>Hit rate</td>
+                <td>{Math.round(cacheStats.hitRate * 100)}%</td>
+              </tr>
+            </tbody>
+          </table>
+          <button
+            className="btn btn-secondary completion-stats-clear"
+            onClick={clearCache}
+            disabled={cacheStats.size === 0}
+          >
+            Clear cache
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CompletionStats;
@@ -0,0 +1,124 @@
+import { useState } from "react";
+import ObjectInspector from "./ObjectInspector";
+import { previewValue } from "./valueSerializer";
+
+// Nest the output lines under their console.group headers, using each line's depth
+// Lines whose group header was dropped from the front of the output stay at the top
+function buildGroups(lines) {
+  const root = { children: [] };
+  const stack = [root];
+  lines.forEach((line, index) => {
+    while (stack.length - 1 > (line.depth || 0)) stack.pop();
+    const node = { line, index, children: [] };
+    stack[stack.length - 1].children.push(node);
+    if (line.group) stack.push(node);
+  });
+  return root.children;
+}
+
+// Rows of console.table
+function ConsoleTable({ table }) {
+  return (
+    <div className="console-table-wrapper">
+      <table className="console-table">
+        <thead>
+          <tr>
+            <th>(index)</th>
+            {table.columns.map((column) => (
+              <th key={column}>{column}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {table.rows.map((row, index) => (
+            <tr key={index}>
+              <td>{row.key}</td>
+              {table.columns.map((column) => (
+                <td key={column} className={row.cells[column] ? `inspector-${row.cells[column].type}` : ""}>
+                  {row.cells[column] ? previewValue(row.cells[column], 1) : ""}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {table.truncated > 0 && <div className="inspector-more">… {table.truncated} more rows</div>}
+    </div>
+  );
+}
+
+function LineMessage({ line, onReveal }) {
+  if (line.table) return <ConsoleTable table={line.table} />;
+  if (!line.parts) return <span className="output-message">{line.message}</span>;
+  return (
+    <span className="output-message">
+      {line.parts.map((part, index) => (
+        <ObjectInspector key={index} value={part} defaultExpanded={line.expanded} onReveal={onReveal} />
+      ))}
+    </span>
+  );
+}
+
+function OutputLine({ node, onReveal, onExplainError }) {
+  const { line, children } = node;
+  const [isGroupOpen, setIsGroupOpen] = useState(!line.collapsed);
+
+  return (
+    <div className={`output-line output-line-${line.type}`}>
+      {line.group && (
+        <button
+          className="inspector-toggle output-group-toggle"
+          onClick={() => setIsGroupOpen(!isGroupOpen)}
+          title={isGroupOpen ? "Collapse group" : "Expand group"}
+        >
+          <span className="inspector-caret">{isGroupOpen ? "▾" : "▸"}</span>
+        </button>
+      )}
+      {line.prefix && <span className="output-prefix">{line.prefix}</span>}
+      <LineMessage line={line} onReveal={onReveal} />
+      {line.stack && (
+        <>
+          {line.type === "error" && (
+            <button
+              className="output-fix-btn"
+              onClick={() => onExplainError(line)}
+              title="Ask the AI model what went wrong and review a suggested fix"
+            >
+              Explain / Suggest fix
+            </button>
+          )}
+          <div className="output-stack">
+            {line.stack.map((frame, frameIndex) => (
+              <button
+                key={frameIndex}
+                className="output-stack-frame"
+                onClick={() => onReveal(frame)}
+                title="Go to this line"
+              >
+                at {frame.functionName ? `${frame.functionName} ` : ""}
+                ({frame.path}:{frame.line}:{frame.column})
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+      {line.group && isGroupOpen && children.length > 0 && (
+        <div className="output-group">
+          {children.map((child) => (
+            <OutputLine key={child.index} node={child} onReveal={onReveal} onExplainError={onExplainError} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Lines written by a run, with logged objects as expandable trees
+// Clicking a stack frame jumps to it; errors with a stack can be explained by the AI model
+function ConsoleOutput({ lines, onReveal, onExplainError }) {
+  return buildGroups(lines).map((node) => (
+    <OutputLine key={node.index} node={node} onReveal={onReveal} onExplainError={onExplainError} />
+  ));
+}
+
+export default ConsoleOutput;
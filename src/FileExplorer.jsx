@@ -0,0 +1,296 @@
+import { useState, useRef } from "react";
+import { buildFileTree, getBaseName, getParentPath } from "./fileTree";
+import { TEST_FILE_SUFFIX } from "./runnerConstants";
+
+// Pixels of indentation per folder level
+const INDENT_PX = 12;
+
+// Text box for a new or renamed entry; Enter commits, Escape or leaving it cancels
+function NameInput({ initialValue, depth, onSubmit, onCancel }) {
+  const [value, setValue] = useState(initialValue);
+  const isDoneRef = useRef(false);
+
+  const finish = (commit) => {
+    if (isDoneRef.current) return;
+    isDoneRef.current = true;
+    const name = value.trim();
+    if (commit && name && name !== initialValue) {
+      onSubmit(name);
+    } else {
+      onCancel();
+    }
+  };
+
+  return (
+    <div className="explorer-row" style={{ paddingLeft: depth * INDENT_PX + 8 }}>
+      <input
+        className="explorer-name-input"
+        value={value}
+        autoFocus
+        onFocus={(e) => {
+          // Select the name without its extension, like renaming elsewhere
+          const dot = e.target.value.lastIndexOf(".");
+          e.target.setSelectionRange(0, dot > 0 ? dot : e.target.value.length);
+        }}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") finish(true);
+          if (e.key === "Escape") finish(false);
+        }}
+        onBlur={() => finish(true)}
+      />
+    </div>
+  );
+}
+
+// Sidebar tree of the project's folders and files
+// Items passed to the callbacks are { type: "file", id, path } or { type: "folder", path };
+// onCreateFile, onCreateFolder, onRename and onMove return an error message or null
+function FileExplorer({
+  files,
+  folders,
+  activeFileId,
+  onOpenFile,
+  onCreateFile,
+  onCreateFolder,
+  onRename,
+  onMove,
+  onDelete,
+}) {
+  const [collapsedFolders, setCollapsedFolders] = useState(() => new Set());
+  // { mode: "file" | "folder", parentPath } while creating, { mode: "rename", item } while renaming
+  const [editing, setEditing] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // Folder path under a dragged item
+  const [error, setError] = useState(null);
+  const draggedItemRef = useRef(null);
+
+  const tree = buildFileTree(files, folders);
+
+  const toggleFolder = (path) => {
+    setCollapsedFolders((prev) => {
+      const next = new Set(prev);
+      if (!next.delete(path)) next.add(path);
+      return next;
+    });
+  };
+
+  const startCreate = (mode, parentPath) => {
+    setError(null);
+    setEditing({ mode, parentPath });
+    // Show the new entry inside a collapsed folder
+    setCollapsedFolders((prev) => {
+      const next = new Set(prev);
+      next.delete(parentPath);
+      return next;
+    });
+  };
+
+  const startRename = (item) => {
+    setError(null);
+    setEditing({ mode: "rename", item });
+  };
+
+  const submitEdit = (name) => {
+    const message =
+      editing.mode === "rename"
+        ? onRename(editing.item, name)
+        : editing.mode === "file"
+        ? onCreateFile(editing.parentPath, name)
+        : onCreateFolder(editing.parentPath, name);
+    setError(message);
+    setEditing(null);
+  };
+
+  const cancelEdit = () => setEditing(null);
+
+  const handleDragStart = (e, item) => {
+    draggedItemRef.current = item;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", item.path);
+  };
+
+  const handleDragOver = (e, folderPath) => {
+    if (!draggedItemRef.current) return;
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(folderPath);
+  };
+
+  const handleDrop = (e, folderPath) => {
+    const item = draggedItemRef.current;
+    if (!item) return;
+    e.preventDefault();
+    e.stopPropagation();
+    draggedItemRef.current = null;
+    setDropTarget(null);
+    if (getParentPath(item.path) !== folderPath) setError(onMove(item, folderPath));
+  };
+
+  const handleDragEnd = () => {
+    draggedItemRef.current = null;
+    setDropTarget(null);
+  };
+
+  // F2 renames and Delete removes the focused entry
+  const handleRowKeyDown = (e, item, open) => {
+    if (e.target !== e.currentTarget) return;
+    if (e.key === "Enter") open();
+    if (e.key === "F2") startRename(item);
+    if (e.key === "Delete") onDelete(item);
+  };
+
+  const isEditing = (item) => editing && editing.mode === "rename" && editing.item.path === item.path;
+
+  const renderNewEntry = (parentPath, depth) =>
+    editing &&
+    editing.mode !== "rename" &&
+    editing.parentPath === parentPath && (
+      <NameInput initialValue="" depth={depth} onSubmit={submitEdit} onCancel={cancelEdit} />
+    );
+
+  const renderFile = (file, depth) => {
+    const item = { type: "file", id: file.id, path: file.name };
+    if (isEditing(item)) {
+      return (
+        <NameInput
+          key={file.id}
+          initialValue={getBaseName(file.name)}
+          depth={depth}
+          onSubmit={submitEdit}
+          onCancel={cancelEdit}
+        />
+      );
+    }
+
+    const parentPath = getParentPath(file.name);
+    return (
+      <div
+        key={file.id}
+        className={`explorer-row explorer-file ${file.id === activeFileId ? "active" : ""} ${
+          file.name.endsWith(TEST_FILE_SUFFIX) ? "explorer-test-file" : ""
+        }`}
+        style={{ paddingLeft: depth * INDENT_PX + 8 }}
+        tabIndex={0}
+        title={file.name}
+        draggable
+        onClick={() => onOpenFile(file.id)}
+        onDoubleClick={() => startRename(item)}
+        onKeyDown={(e) => handleRowKeyDown(e, item, () => onOpenFile(file.id))}
+        onDragStart={(e) => handleDragStart(e, item)}
+        onDragOver={(e) => handleDragOver(e, parentPath)}
+        onDrop={(e) => handleDrop(e, parentPath)}
+        onDragEnd={handleDragEnd}
+      >
+        <span className="explorer-icon">📄</span>
+        <span className="explorer-name">{getBaseName(file.name)}</span>
+        <span className="explorer-actions">
+          <button onClick={(e) => { e.stopPropagation(); startRename(item); }} title="Rename (F2)">
+            ✎
+          </button>
+          <button onClick={(e) => { e.stopPropagation(); onDelete(item); }} title="Delete (Del)">
+            ×
+          </button>
+        </span>
+      </div>
+    );
+  };
+
+  const renderFolder = (folder, depth) => {
+    const item = { type: "folder", path: folder.path };
+    const isCollapsed = collapsedFolders.has(folder.path);
+
+    return (
+      <div
+        key={folder.path}
+        className={dropTarget === folder.path ? "explorer-drop-target" : ""}
+        onDragOver={(e) => handleDragOver(e, folder.path)}
+        onDrop={(e) => handleDrop(e, folder.path)}
+      >
+        {isEditing(item) ? (
+          <NameInput initialValue={folder.name} depth={depth} onSubmit={submitEdit} onCancel={cancelEdit} />
+        ) : (
+          <div
+            className="explorer-row explorer-folder"
+            style={{ paddingLeft: depth * INDENT_PX + 8 }}
+            tabIndex={0}
+            title={folder.path}
+            draggable
+            onClick={() => toggleFolder(folder.path)}
+            onDoubleClick={() => startRename(item)}
+            onKeyDown={(e) => handleRowKeyDown(e, item, () => toggleFolder(folder.path))}
+            onDragStart={(e) => handleDragStart(e, item)}
+            onDragEnd={handleDragEnd}
+          >
+            <span className="explorer-icon">{isCollapsed ? "▸" : "▾"}</span>
+            <span className="explorer-name">{folder.name}</span>
+            <span className="explorer-actions">
+              <button onClick={(e) => { e.stopPropagation(); startCreate("file", folder.path); }} title="New file">
+                +
+              </button>
+              <button
+                onClick={(e) => { e.stopPropagation(); startCreate("folder", folder.path); }}
+                title="New folder"
+              >
+                🗀
+              </button>
+              <button onClick={(e) => { e.stopPropagation(); startRename(item); }} title="Rename (F2)">
+                ✎
+              </button>
+              <button onClick={(e) => { e.stopPropagation(); onDelete(item); }} title="Delete (Del)">
+                ×
+              </button>
+            </span>
+          </div>
+        )}
+        {!isCollapsed && renderChildren(folder, depth + 1)}
+      </div>
+    );
+  };
+
+  const renderChildren = (node, depth) => (
+    <>
+      {renderNewEntry(node.path || "", depth)}
+      {node.folders.map((folder) => renderFolder(folder, depth))}
+      {node.files.map((file) => renderFile(file, depth))}
+    </>
+  );
+
+  return (
+    <div className="file-explorer">
+      <div className="file-explorer-header">
+        <span>Explorer</span>
+        <span className="explorer-actions explorer-header-actions">
+          <button onClick={() => startCreate("file", "")} title="New file">
+            +
+          </button>
+          <button onClick={() => startCreate("folder", "")} title="New folder">
+            🗀
+          </button>
+          <button
+            onClick={() => setCollapsedFolders(new Set(tree.folders.map((folder) => folder.path)))}
+            title="Collapse folders"
+          >
+            ⊟
+          </button>
+        </span>
+      </div>
+      {error && (
+        <div className="explorer-error" onClick={() => setError(null)} title="Dismiss">
+          {error}
+        </div>
+      )}
+      <div
+        className={`file-explorer-tree ${dropTarget === "" ? "explorer-drop-target" : ""}`}
+        onDragOver={(e) => handleDragOver(e, "")}
+        onDrop={(e) => handleDrop(e, "")}
+        onDragLeave={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+        }}
+      >
+        {renderChildren(tree, 0)}
+      </div>
+    </div>
+  );
+}
+
+export default FileExplorer;
@@ -0,0 +1,50 @@
+import { DiffEditor } from "@monaco-editor/react";
+
+// Overlay comparing a version from local history (left) with the file as it is now (right)
+// current is "" for a file that has been deleted since
+function HistoryDiffPanel({ title, snapshot, current, theme, fontSize, fontFamily, restoreLabel, onRestore, onClose }) {
+  return (
+    <div
+      className="ai-edit-panel"
+      onKeyDown={(e) => {
+        if (e.key === "Escape") onClose();
+      }}
+    >
+      <div className="ai-edit-header">
+        <span>{title}</span>
+        <button className="file-close-btn" onClick={onClose} title="Close (Esc)">
+          ×
+        </button>
+      </div>
+      {snapshot === current && <div className="ai-edit-status">Same as the current version.</div>}
+      <div className="ai-edit-diff">
+        <DiffEditor
+          height="100%"
+          language="javascript"
+          theme={theme}
+          original={snapshot}
+          modified={current}
+          options={{
+            fontSize,
+            fontFamily,
+            readOnly: true,
+            renderSideBySide: true,
+            minimap: { enabled: false },
+            scrollBeyondLastLine: false,
+            automaticLayout: true,
+          }}
+        />
+      </div>
+      <div className="ai-edit-actions">
+        <button className="btn btn-primary" onClick={onRestore}>
+          {restoreLabel}
+        </button>
+        <button className="btn btn-secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default HistoryDiffPanel;
@@ -0,0 +1,143 @@
+import { useState, useEffect } from "react";
+import { listSnapshots, listCheckpoints } from "./localHistory";
+
+const REASON_LABELS = {
+  edit: "Edited",
+  delete: "Deleted",
+  "ai-edit": "Before AI edit",
+  replace: "Before Replace All",
+  restore: "Before restore",
+};
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+}
+
+// Sidebar with the local history of the project: earlier versions of the active file,
+// deleted files and named checkpoints of the whole project
+// revision changes whenever the history does, to list it again
+// onCompare(snapshot) shows a snapshot against the current file
+function HistoryPanel({
+  projectId,
+  files,
+  activeFile,
+  revision,
+  onCompare,
+  onCreateCheckpoint,
+  onRestoreCheckpoint,
+  onDeleteCheckpoint,
+}) {
+  const [history, setHistory] = useState(null); // { snapshots, checkpoints } once loaded
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    let isCurrent = true;
+    Promise.all([listSnapshots(projectId), listCheckpoints(projectId)])
+      .then(([snapshots, checkpoints]) => {
+        if (!isCurrent) return;
+        setHistory({ snapshots, checkpoints });
+        setLoadError(null);
+      })
+      .catch((err) => {
+        if (isCurrent) setLoadError(`Could not read the local history: ${err.message}`);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [projectId, revision]);
+
+  const snapshots = history ? history.snapshots : [];
+  const checkpoints = history ? history.checkpoints : [];
+  const fileSnapshots = activeFile ? snapshots.filter((snapshot) => snapshot.fileId === activeFile.id) : [];
+
+  // The last version of each file that is no longer in the project
+  const fileIds = new Set(files.map((file) => file.id));
+  const deletedFiles = [];
+  const seenIds = new Set();
+  for (const snapshot of snapshots) {
+    if (fileIds.has(snapshot.fileId) || seenIds.has(snapshot.fileId)) continue;
+    seenIds.add(snapshot.fileId);
+    deletedFiles.push(snapshot);
+  }
+
+  return (
+    <div className="file-explorer history-panel">
+      <div className="file-explorer-header">
+        <span>Timeline</span>
+        <div className="explorer-actions explorer-header-actions">
+          <button onClick={onCreateCheckpoint} title="Create a checkpoint of the whole project">
+            ⚑+
+          </button>
+        </div>
+      </div>
+
+      {loadError && <div className="explorer-error">{loadError}</div>}
+
+      <div className="file-explorer-tree">
+        <div className="history-section">{activeFile ? activeFile.name : "No file open"}</div>
+        {activeFile && (
+          <div className="explorer-row history-entry history-current" title="The file as it is now">
+            <span className="explorer-name">Current version</span>
+          </div>
+        )}
+        {fileSnapshots.map((snapshot) => (
+          <div
+            key={snapshot.id}
+            className="explorer-row history-entry"
+            onClick={() => onCompare(snapshot)}
+            title="Compare with the current version"
+          >
+            <span className="explorer-name">{formatTime(snapshot.createdAt)}</span>
+            <span className="history-reason">{REASON_LABELS[snapshot.reason] || snapshot.reason}</span>
+          </div>
+        ))}
+        {activeFile && history && fileSnapshots.length === 0 && (
+          <div className="history-empty">No earlier versions yet</div>
+        )}
+
+        <div className="history-section">Deleted files</div>
+        {deletedFiles.map((snapshot) => (
+          <div
+            key={snapshot.id}
+            className="explorer-row history-entry"
+            onClick={() => onCompare(snapshot)}
+            title={`${snapshot.fileName}, kept ${formatTime(snapshot.createdAt)}`}
+          >
+            <span className="explorer-name">{snapshot.fileName}</span>
+            <span className="history-reason">{formatTime(snapshot.createdAt)}</span>
+          </div>
+        ))}
+        {history && deletedFiles.length === 0 && <div className="history-empty">None</div>}
+
+        <div className="history-section">Checkpoints</div>
+        {checkpoints.map((checkpoint) => (
+          <div
+            key={checkpoint.id}
+            className="explorer-row history-entry"
+            title={`${checkpoint.files.length} file(s), ${formatTime(checkpoint.createdAt)}`}
+          >
+            <span className="explorer-name">{checkpoint.name}</span>
+            <span className="history-reason">{formatTime(checkpoint.createdAt)}</span>
+            <div className="explorer-actions">
+              <button onClick={() => onRestoreCheckpoint(checkpoint)} title="Restore the project to this checkpoint">
+                ↺
+              </button>
+              <button onClick={() => onDeleteCheckpoint(checkpoint)} title="Delete the checkpoint">
+                ×
+              </button>
+            </div>
+          </div>
+        ))}
+        {history && checkpoints.length === 0 && <div className="history-empty">None</div>}
+      </div>
+    </div>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,140 @@
+import { useState } from "react";
+import { COMMANDS, getCommandTitle } from "./commands";
+import { formatKeyEvent, isReservedKeybinding, findConflicts } from "./keybindings";
+
+// Table of every command's keybinding; a row is changed by pressing the new keys
+// overrides is { commandId: keybinding or null }, and onChange receives the new overrides
+function KeybindingsEditor({ keybindings, overrides, onChange }) {
+  const [filter, setFilter] = useState("");
+  const [recordingId, setRecordingId] = useState(null);
+  const [recordError, setRecordError] = useState(null);
+
+  const conflicts = findConflicts(keybindings);
+  const titleOf = (commandId) => getCommandTitle(COMMANDS.find((command) => command.id === commandId));
+
+  const setKeybinding = (commandId, keybinding) => {
+    const command = COMMANDS.find((c) => c.id === commandId);
+    const next = { ...overrides };
+    if (keybinding === (command.keybinding || null)) {
+      delete next[commandId];
+    } else {
+      next[commandId] = keybinding;
+    }
+    onChange(next);
+  };
+
+  const resetKeybinding = (commandId) => {
+    const next = { ...overrides };
+    delete next[commandId];
+    onChange(next);
+  };
+
+  // Take the next key combination pressed while a row is recording; Esc cancels
+  const handleRecordKeyDown = (e, commandId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.key === "Escape") {
+      setRecordingId(null);
+      setRecordError(null);
+      return;
+    }
+    const keybinding = formatKeyEvent(e);
+    if (!keybinding) return; // Only modifiers so far
+    if (isReservedKeybinding(keybinding)) {
+      setRecordError(`${keybinding} is kept by the browser; pick another`);
+      return;
+    }
+    setRecordingId(null);
+    setRecordError(null);
+    setKeybinding(commandId, keybinding);
+  };
+
+  const wanted = filter.trim().toLowerCase();
+  const rows = COMMANDS.filter(
+    (command) =>
+      !wanted ||
+      getCommandTitle(command).toLowerCase().includes(wanted) ||
+      (keybindings.get(command.id) || "").toLowerCase().includes(wanted)
+  );
+
+  return (
+    <div className="keybindings-editor">
+      <input
+        className="ai-edit-input"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder="Search commands or keybindings"
+      />
+      {conflicts.size > 0 && (
+        <div className="chat-error">
+          {conflicts.size === 1 ? "1 keybinding is" : `${conflicts.size} keybindings are`} used by more than one
+          command; only the first listed one runs.
+        </div>
+      )}
+      <div className="keybindings-list">
+        {rows.map((command) => {
+          const keybinding = keybindings.get(command.id);
+          const sharedWith = keybinding && conflicts.has(keybinding)
+            ? conflicts.get(keybinding).filter((id) => id !== command.id)
+            : [];
+          const isRecording = recordingId === command.id;
+
+          return (
+            <div key={command.id} className={`keybinding-row ${sharedWith.length > 0 ? "conflict" : ""}`}>
+              <div className="settings-label">
+                {getCommandTitle(command)}
+                {sharedWith.length > 0 && (
+                  <span className="settings-field-error">Also bound to {sharedWith.map(titleOf).join(", ")}</span>
+                )}
+                {isRecording && recordError && <span className="settings-field-error">{recordError}</span>}
+              </div>
+              <div className="settings-control">
+                {isRecording ? (
+                  <input
+                    className="font-size-input keybinding-record"
+                    autoFocus
+                    readOnly
+                    value="Press keys..."
+                    onKeyDown={(e) => handleRecordKeyDown(e, command.id)}
+                    onBlur={() => {
+                      setRecordingId(null);
+                      setRecordError(null);
+                    }}
+                  />
+                ) : (
+                  <button
+                    className="keybinding-label keybinding-edit"
+                    onClick={() => {
+                      setRecordingId(command.id);
+                      setRecordError(null);
+                    }}
+                    title="Change keybinding"
+                  >
+                    {keybinding || "—"}
+                  </button>
+                )}
+                {command.id in overrides && (
+                  <span className="keybinding-source" title="Changed from the default">
+                    User
+                  </span>
+                )}
+                {keybinding && (
+                  <button className="file-close-btn" onClick={() => setKeybinding(command.id, null)} title="Remove keybinding">
+                    ×
+                  </button>
+                )}
+                {command.id in overrides && (
+                  <button className="file-close-btn" onClick={() => resetKeybinding(command.id)} title="Reset to default">
+                    ↺
+                  </button>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default KeybindingsEditor;
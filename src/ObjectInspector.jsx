@@ -0,0 +1,70 @@
+import { useState } from "react";
+import { previewValue, isExpandable } from "./valueSerializer";
+
+// CSS class for a descriptor's color, e.g. inspector-string or inspector-map
+function getValueClass(value) {
+  return `inspector-value inspector-${value.type === "object" ? value.kind : value.type}`;
+}
+
+// A logged value from valueSerializer.js; objects expand into their properties
+// name is set for properties, whose strings are quoted like in an object literal
+function ObjectInspector({ value, name, defaultExpanded = false, onReveal }) {
+  const [isExpanded, setIsExpanded] = useState(defaultExpanded);
+
+  if (value.type === "text") {
+    return <span style={value.style}>{value.value}</span>;
+  }
+
+  const text = name !== undefined && value.type === "string" ? JSON.stringify(value.value) : previewValue(value);
+  const label = (
+    <>
+      {name !== undefined && <span className="inspector-key">{name}: </span>}
+      <span className={getValueClass(value)}>{text}</span>
+    </>
+  );
+
+  if (!isExpandable(value)) {
+    return <span className="inspector">{label}</span>;
+  }
+
+  return (
+    <span className="inspector">
+      <button className="inspector-toggle" onClick={() => setIsExpanded(!isExpanded)}>
+        <span className="inspector-caret">{isExpanded ? "▾" : "▸"}</span>
+        {label}
+      </button>
+      {isExpanded && (
+        <span className="inspector-children">
+          {(value.entries || []).map((entry, index) => (
+            <ObjectInspector
+              key={`entry-${index}`}
+              name={entry.key ? `${previewValue(entry.key, 1)} =>` : index}
+              value={entry.value}
+              onReveal={onReveal}
+            />
+          ))}
+          {value.properties
+            .filter((property) => property.value.type !== "empty")
+            .map((property) => (
+              <ObjectInspector key={property.key} name={property.key} value={property.value} onReveal={onReveal} />
+            ))}
+          {value.truncated > 0 && <span className="inspector-more">… {value.truncated} more</span>}
+          {value.stack &&
+            value.stack.map((frame, index) => (
+              <button
+                key={`frame-${index}`}
+                className="output-stack-frame"
+                onClick={() => onReveal(frame)}
+                title="Go to this line"
+              >
+                at {frame.functionName ? `${frame.functionName} ` : ""}
+                ({frame.path}:{frame.line}:{frame.column})
+              </button>
+            ))}
+        </span>
+      )}
+    </span>
+  );
+}
+
+export default ObjectInspector;
@@ -0,0 +1,69 @@
+import { useRef } from "react";
+
+// Picks the open project and creates, renames, deletes, exports or imports projects
+// onImport receives the picked files: a zip, several files or every file of a folder
+function ProjectSwitcher({ projects, projectId, onSwitch, onCreate, onRename, onDelete, onExport, onImport }) {
+  const filesInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+
+  const handlePick = (e) => {
+    const picked = [...e.target.files];
+    e.target.value = ""; // Picking the same files again still imports them
+    if (picked.length > 0) onImport(picked);
+  };
+
+  return (
+    <div className="project-switcher">
+      <select
+        value={projectId || ""}
+        onChange={(e) => onSwitch(e.target.value)}
+        disabled={!projectId}
+        className="font-select project-select"
+        title="Open project"
+      >
+        {projects.map((project) => (
+          <option key={project.id} value={project.id}>
+            {project.name}
+          </option>
+        ))}
+      </select>
+      <button onClick={onCreate} className="project-btn" title="New project" disabled={!projectId}>
+        +
+      </button>
+      <button onClick={onRename} className="project-btn" title="Rename project" disabled={!projectId}>
+        ✎
+      </button>
+      <button
+        onClick={onDelete}
+        className="project-btn"
+        title="Delete project"
+        disabled={!projectId || projects.length < 2}
+      >
+        🗑
+      </button>
+      <button onClick={onExport} className="project-btn" title="Export project as .zip" disabled={!projectId}>
+        ⇩
+      </button>
+      <button
+        onClick={() => filesInputRef.current.click()}
+        className="project-btn"
+        title="Import a .zip or files as a new project"
+        disabled={!projectId}
+      >
+        ⇧
+      </button>
+      <button
+        onClick={() => folderInputRef.current.click()}
+        className="project-btn"
+        title="Import a folder as a new project"
+        disabled={!projectId}
+      >
+        🗀
+      </button>
+      <input ref={filesInputRef} type="file" multiple hidden onChange={handlePick} />
+      <input ref={folderInputRef} type="file" webkitdirectory="" hidden onChange={handlePick} />
+    </div>
+  );
+}
+
+export default ProjectSwitcher;
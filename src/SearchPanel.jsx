@@ -0,0 +1,259 @@
+import { useState, useRef, useEffect } from "react";
+import { searchFiles, applyReplacements, MAX_SEARCH_RESULTS } from "./projectSearch";
+
+// Key of a match that stays the same while the file is unchanged
+function getMatchKey(fileId, match) {
+  return `${fileId}:${match.start}`;
+}
+
+// Sidebar that searches every file of the project and replaces matches
+// It stays mounted while hidden, so the search is still there when it is shown again
+// focusRequest ({ id, withReplace }) focuses the query box whenever its id changes
+// onOpenMatch(fileId, match) shows a match in the editor; onReplace receives
+// [{ fileId, content }] with the new content of each changed file
+function SearchPanel({ files, isVisible, focusRequest, onOpenMatch, onReplace }) {
+  const [query, setQuery] = useState("");
+  const [replacement, setReplacement] = useState("");
+  const [options, setOptions] = useState({ isRegex: false, matchCase: false, wholeWord: false });
+  const [showReplace, setShowReplace] = useState(false);
+  const [shownRequestId, setShownRequestId] = useState(null);
+  const [collapsedFileIds, setCollapsedFileIds] = useState(new Set());
+  const [excludedKeys, setExcludedKeys] = useState(new Set()); // Matches left out of Replace All
+  const [isConfirming, setIsConfirming] = useState(false);
+  const queryInputRef = useRef(null);
+
+  // Replace in Files opens the replace box too
+  if (focusRequest && focusRequest.id !== shownRequestId) {
+    setShownRequestId(focusRequest.id);
+    if (focusRequest.withReplace) setShowReplace(true);
+  }
+
+  useEffect(() => {
+    if (focusRequest && queryInputRef.current) {
+      queryInputRef.current.focus();
+      queryInputRef.current.select();
+    }
+  }, [focusRequest]);
+
+  if (!isVisible) return null;
+
+  const { results, matchCount, isTruncated, error } = searchFiles(
+    files,
+    query,
+    options,
+    showReplace ? replacement : null
+  );
+
+  const includedResults = results
+    .map((result) => ({
+      ...result,
+      matches: result.matches.filter((match) => !excludedKeys.has(getMatchKey(result.fileId, match))),
+    }))
+    .filter((result) => result.matches.length > 0);
+  const includedCount = includedResults.reduce((count, result) => count + result.matches.length, 0);
+
+  // Exclusions and a pending confirmation belong to the search they were made for
+  const resetSelection = () => {
+    setExcludedKeys(new Set());
+    setIsConfirming(false);
+  };
+
+  const toggleOption = (name) => {
+    setOptions((prev) => ({ ...prev, [name]: !prev[name] }));
+    resetSelection();
+  };
+
+  const toggleExcluded = (key) => {
+    setExcludedKeys((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+    setIsConfirming(false);
+  };
+
+  const toggleCollapsed = (fileId) => {
+    setCollapsedFileIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(fileId)) next.delete(fileId);
+      else next.add(fileId);
+      return next;
+    });
+  };
+
+  const replaceAll = () => {
+    onReplace(
+      includedResults.map((result) => ({
+        fileId: result.fileId,
+        content: applyReplacements(files.find((f) => f.id === result.fileId).content, result.matches),
+      }))
+    );
+    resetSelection();
+  };
+
+  return (
+    <div className="file-explorer search-panel">
+      <div className="file-explorer-header">
+        <span>Search</span>
+      </div>
+
+      <div className="search-inputs">
+        <button
+          className="search-replace-toggle"
+          onClick={() => {
+            setShowReplace(!showReplace);
+            setIsConfirming(false);
+          }}
+          title={showReplace ? "Hide replace" : "Show replace"}
+        >
+          {showReplace ? "▾" : "▸"}
+        </button>
+        <div className="search-fields">
+          <div className="search-field">
+            <input
+              ref={queryInputRef}
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                resetSelection();
+              }}
+              placeholder="Search"
+              spellCheck={false}
+            />
+            <button
+              className={options.matchCase ? "active" : ""}
+              onClick={() => toggleOption("matchCase")}
+              title="Match case"
+            >
+              Aa
+            </button>
+            <button
+              className={options.wholeWord ? "active" : ""}
+              onClick={() => toggleOption("wholeWord")}
+              title="Match whole word"
+            >
+              ab
+            </button>
+            <button
+              className={options.isRegex ? "active" : ""}
+              onClick={() => toggleOption("isRegex")}
+              title="Use regular expression"
+            >
+              .*
+            </button>
+          </div>
+          {showReplace && (
+            <div className="search-field">
+              <input
+                value={replacement}
+                onChange={(e) => {
+                  setReplacement(e.target.value);
+                  setIsConfirming(false);
+                }}
+                placeholder={options.isRegex ? "Replace ($1, $<name>, $& allowed)" : "Replace"}
+                spellCheck={false}
+              />
+              <button
+                onClick={() => setIsConfirming(true)}
+                disabled={includedCount === 0}
+                title="Replace all matches, after a confirmation"
+              >
+                ⇄
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="explorer-error">{error}</div>}
+      {query && !error && (
+        <div className="search-summary">
+          {matchCount === 0
+            ? "No results"
+            : `${matchCount} result${matchCount === 1 ? "" : "s"} in ${results.length} file${
+                results.length === 1 ? "" : "s"
+              }${isTruncated ? ` (first ${MAX_SEARCH_RESULTS} shown)` : ""}`}
+        </div>
+      )}
+
+      {showReplace && isConfirming && (
+        <div className="search-confirm">
+          <span>
+            Replace {includedCount} match{includedCount === 1 ? "" : "es"} in {includedResults.length} file
+            {includedResults.length === 1 ? "" : "s"}
+            {isTruncated ? " (only the results shown)" : ""}?
+          </span>
+          <div className="search-confirm-actions">
+            <button className="btn btn-primary" onClick={replaceAll}>
+              Replace
+            </button>
+            <button className="btn btn-secondary" onClick={() => setIsConfirming(false)}>
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="file-explorer-tree search-results">
+        {results.map((result) => {
+          const isCollapsed = collapsedFileIds.has(result.fileId);
+          return (
+            <div key={result.fileId}>
+              <div
+                className="explorer-row explorer-folder search-file"
+                onClick={() => toggleCollapsed(result.fileId)}
+                title={result.fileName}
+              >
+                <span className="explorer-icon">{isCollapsed ? "▸" : "▾"}</span>
+                <span className="explorer-name">{result.fileName}</span>
+                <span className="search-count">{result.matches.length}</span>
+              </div>
+              {!isCollapsed &&
+                result.matches.map((match) => {
+                  const key = getMatchKey(result.fileId, match);
+                  const isExcluded = excludedKeys.has(key);
+                  return (
+                    <div
+                      key={key}
+                      className={`explorer-row search-match ${isExcluded ? "excluded" : ""}`}
+                      onClick={() => onOpenMatch(result.fileId, match)}
+                      title={`Line ${match.line}, column ${match.column}`}
+                    >
+                      <span className="search-line-number">{match.line}</span>
+                      <span className="search-preview">
+                        {match.preview.before}
+                        {match.replacement === null ? (
+                          <mark>{match.preview.match}</mark>
+                        ) : (
+                          <>
+                            <del>{match.preview.match}</del>
+                            <ins>{match.replacement}</ins>
+                          </>
+                        )}
+                        {match.preview.isMultiline ? " …" : match.preview.after}
+                      </span>
+                      {showReplace && (
+                        <button
+                          className="file-close-btn"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            toggleExcluded(key);
+                          }}
+                          title={isExcluded ? "Include in Replace All" : "Leave out of Replace All"}
+                        >
+                          {isExcluded ? "+" : "×"}
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default SearchPanel;
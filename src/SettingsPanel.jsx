@@ -0,0 +1,247 @@
+import { useState } from "react";
+import Editor from "@monaco-editor/react";
+import { SETTINGS_SCHEMA, DEFAULT_SETTINGS, validateSettings } from "./settings";
+import { getCompletionConfig } from "./aiConstants";
+import KeybindingsEditor from "./KeybindingsEditor";
+
+const SECTIONS = [...new Set(SETTINGS_SCHEMA.map((setting) => setting.section))];
+
+// Number input that applies its value on Enter or when it loses focus, so partly typed
+// numbers are not rejected while typing; empty means null for nullable settings
+function NumberSetting({ setting, value, placeholder, onChange }) {
+  const [text, setText] = useState(value === null ? "" : String(value));
+  const [shownValue, setShownValue] = useState(value);
+  const [error, setError] = useState(null);
+
+  // Show a value changed elsewhere, such as in settings.json
+  if (value !== shownValue) {
+    setShownValue(value);
+    setText(value === null ? "" : String(value));
+    setError(null);
+  }
+
+  const commit = () => {
+    const next = text.trim() === "" ? null : Number(text);
+    const { errors } = validateSettings({ [setting.key]: next });
+    if (errors.length > 0) {
+      setError(errors[0].replace(`"${setting.key}" `, ""));
+      return;
+    }
+    setError(null);
+    if (next !== value) onChange(next);
+  };
+
+  return (
+    <>
+      <input
+        type="number"
+        min={setting.min}
+        max={setting.max}
+        step={setting.step || 1}
+        value={text}
+        placeholder={placeholder}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") commit();
+        }}
+        className="font-size-input settings-number"
+      />
+      {error && <span className="settings-field-error">{error}</span>}
+    </>
+  );
+}
+
+function SettingField({ setting, value, modelId, onChange }) {
+  let control;
+  if (setting.options) {
+    const isCustom = !setting.options.some((option) => option.value === value);
+    control = (
+      <select value={value} onChange={(e) => onChange(e.target.value)} className="font-select">
+        {isCustom && <option value={value}>{value}</option>}
+        {setting.options.map((option) => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+    );
+  } else {
+    // Nullable completion settings show the model's recommended value until one is typed
+    const placeholder = setting.configKey ? `${getCompletionConfig(modelId)[setting.configKey]} (model)` : "";
+    control = (
+      <NumberSetting
+        setting={setting}
+        value={value}
+        placeholder={placeholder}
+        onChange={onChange}
+      />
+    );
+  }
+
+  return (
+    <div className="settings-field">
+      <label className="settings-label" title={setting.key}>
+        {setting.label}
+        {setting.description && <span className="settings-description">{setting.description}</span>}
+      </label>
+      <div className="settings-control">
+        {control}
+        {value !== setting.default && (
+          <button
+            className="file-close-btn"
+            onClick={() => onChange(setting.default)}
+            title={setting.nullable ? "Use the model's recommended value" : "Reset to default"}
+          >
+            ↺
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Overlay for editing the user's settings as a form or as settings.json, and keybindings
+// onChange receives the complete new settings object, onKeybindingsChange the new overrides
+function SettingsPanel({
+  settings,
+  modelId,
+  theme,
+  fontFamily,
+  keybindings,
+  keybindingOverrides,
+  initialView = "form",
+  onChange,
+  onKeybindingsChange,
+  onClose,
+}) {
+  const [view, setView] = useState(initialView); // form, json or keybindings
+  const [jsonText, setJsonText] = useState("");
+  const [jsonErrors, setJsonErrors] = useState([]);
+
+  const showJson = () => {
+    setJsonText(JSON.stringify(settings, null, 2));
+    setJsonErrors([]);
+    setView("json");
+  };
+
+  // Settings left out of the file go back to their defaults; invalid ones are reported
+  // and keep their defaults too, while the valid ones apply
+  const applyJson = () => {
+    let parsed;
+    try {
+      parsed = JSON.parse(jsonText);
+    } catch (error) {
+      setJsonErrors([`Invalid JSON: ${error.message}`]);
+      return;
+    }
+    const { values, errors } = validateSettings(parsed);
+    setJsonErrors(errors);
+    onChange({ ...DEFAULT_SETTINGS, ...values });
+  };
+
+  const updateSetting = (key, value) => onChange({ ...settings, [key]: value });
+
+  return (
+    <div className="settings-overlay" onMouseDown={(e) => e.target === e.currentTarget && onClose()}>
+      <div
+        className="settings-panel"
+        onKeyDown={(e) => {
+          // Esc in settings.json belongs to the editor, e.g. to close its suggestions
+          if (e.key === "Escape" && view !== "json") onClose();
+        }}
+      >
+        <div className="ai-edit-header">
+          <div className="settings-tabs">
+            <button className={`output-tab ${view === "form" ? "active" : ""}`} onClick={() => setView("form")}>
+              Settings
+            </button>
+            <button className={`output-tab ${view === "json" ? "active" : ""}`} onClick={showJson}>
+              settings.json
+            </button>
+            <button
+              className={`output-tab ${view === "keybindings" ? "active" : ""}`}
+              onClick={() => setView("keybindings")}
+            >
+              Keyboard Shortcuts
+            </button>
+          </div>
+          <button className="file-close-btn" onClick={onClose} title="Close (Esc)">
+            ×
+          </button>
+        </div>
+
+        {view === "form" && (
+          <div className="settings-form">
+            {SECTIONS.map((section) => (
+              <section key={section} className="settings-section">
+                <h3 className="settings-section-title">{section}</h3>
+                {SETTINGS_SCHEMA.filter((setting) => setting.section === section).map((setting) => (
+                  <SettingField
+                    key={setting.key}
+                    setting={setting}
+                    value={settings[setting.key]}
+                    modelId={modelId}
+                    onChange={(value) => updateSetting(setting.key, value)}
+                  />
+                ))}
+              </section>
+            ))}
+            <div className="ai-edit-actions">
+              <button className="btn btn-secondary" onClick={() => onChange({ ...DEFAULT_SETTINGS })}>
+                Reset all
+              </button>
+            </div>
+          </div>
+        )}
+
+        {view === "keybindings" && (
+          <KeybindingsEditor
+            keybindings={keybindings}
+            overrides={keybindingOverrides}
+            onChange={onKeybindingsChange}
+          />
+        )}
+
+        {view === "json" && (
+          <>
+            <div className="settings-json">
+              <Editor
+                height="100%"
+                language="json"
+                theme={theme}
+                value={jsonText}
+                onChange={(value) => setJsonText(value ?? "")}
+                options={{
+                  fontSize: 13,
+                  fontFamily,
+                  minimap: { enabled: false },
+                  scrollBeyondLastLine: false,
+                  automaticLayout: true,
+                  tabSize: 2,
+                }}
+              />
+            </div>
+            {jsonErrors.length > 0 && (
+              <ul className="chat-error settings-json-errors">
+                {jsonErrors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            )}
+            <div className="ai-edit-actions">
+              <button className="btn btn-secondary" onClick={showJson} title="Show the settings in use">
+                Revert
+              </button>
+              <button className="btn btn-primary" onClick={applyJson}>
+                Apply
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SettingsPanel;
@@ -0,0 +1,108 @@
+import { diffLines } from "./textDiff";
+
+const STATUS_ICONS = { passed: "✓", failed: "✗", skipped: "○", error: "✗" };
+
+// Expected vs actual of a failed expectation, line by line
+function ValueDiff({ expected, actual }) {
+  return (
+    <pre className="test-diff">
+      <div className="test-diff-legend">
+        <span className="test-diff-removed">- Expected</span>{" "}
+        <span className="test-diff-added">+ Received</span>
+      </div>
+      {diffLines(expected, actual).map((line, index) => (
+        <div key={index} className={`test-diff-${line.type}`}>
+          {line.type === "removed" ? "- " : line.type === "added" ? "+ " : "  "}
+          {line.text}
+        </div>
+      ))}
+    </pre>
+  );
+}
+
+// Results of the last test run, grouped by test file
+// Clicking a test jumps to it, clicking a failure jumps to where it was thrown
+function TestResultsPanel({ results, testFileNames, isRunning, onRunFile, onReveal }) {
+  if (testFileNames.length === 0) {
+    return (
+      <div className="output-empty">
+        No test files yet. Create a file ending in .test.js and use describe, it and expect in it.
+      </div>
+    );
+  }
+  if (results.length === 0) {
+    return <div className="output-empty">{isRunning ? "Running tests..." : 'Click "Test" to run the tests.'}</div>;
+  }
+
+  const counts = { passed: 0, failed: 0, skipped: 0 };
+  const resultsByFile = new Map();
+  for (const result of results) {
+    counts[result.status === "error" ? "failed" : result.status]++;
+    if (!resultsByFile.has(result.file)) resultsByFile.set(result.file, []);
+    resultsByFile.get(result.file).push(result);
+  }
+
+  return (
+    <div className="test-results">
+      <div className="test-summary">
+        <span className="test-passed">{counts.passed} passed</span>
+        <span className="test-failed">{counts.failed} failed</span>
+        {counts.skipped > 0 && <span className="test-skipped">{counts.skipped} skipped</span>}
+        {isRunning && <span className="output-running-indicator">Running...</span>}
+      </div>
+
+      {[...resultsByFile].map(([file, fileResults]) => (
+        <div key={file} className="test-file">
+          <div className="test-file-header">
+            <span>{file}</span>
+            <button
+              className="output-clear-btn"
+              onClick={() => onRunFile(file)}
+              disabled={isRunning}
+              title={`Run only the tests in ${file}`}
+            >
+              Run file
+            </button>
+          </div>
+
+          {fileResults.map((result, index) => {
+            const errorLocation = result.error && result.error.stack ? result.error.stack[0] : null;
+            return (
+              <div key={index} className={`test-result test-${result.status}`}>
+                <button
+                  className="test-result-title"
+                  onClick={() => onReveal(result.location || errorLocation)}
+                  disabled={!result.location && !errorLocation}
+                  title="Go to this test"
+                >
+                  <span className="test-status-icon">{STATUS_ICONS[result.status]}</span>
+                  {result.status === "error" ? "Failed to load the test file" : result.titlePath.join(" › ")}
+                  {result.durationMs > 0 && <span className="test-duration"> ({result.durationMs} ms)</span>}
+                </button>
+
+                {result.error && (
+                  <div className="test-error">
+                    <button
+                      className="output-stack-frame"
+                      onClick={() => onReveal(errorLocation)}
+                      disabled={!errorLocation}
+                      title="Go to the line that failed"
+                    >
+                      {result.error.message}
+                      {errorLocation && ` (${errorLocation.path}:${errorLocation.line}:${errorLocation.column})`}
+                    </button>
+                    {result.error.expected !== undefined && (
+                      <ValueDiff expected={result.error.expected} actual={result.error.actual} />
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TestResultsPanel;
@@ -0,0 +1,330 @@
+// aiChat.js - Main thread interface for the AI chat panel and instruction edits
+// Replies come from an instruct model hosted by the same worker as completions;
+// it writes one reply at a time, so a new request stops the previous one.
+import {
+  CHAT_CONFIG,
+  EDIT_CONFIG,
+  ERROR_FIX_CONFIG,
+  TEST_GENERATION_CONFIG,
+  CHAT_HISTORY_STORAGE_KEY,
+} from './aiConstants.js';
+import { getAIWorker } from './aiCompletionProvider.js';
+
+// Fenced code blocks in a reply: ```lang\ncode```
+const CODE_BLOCK_PATTERN = /```([\w+-]*)[^\S\n]*\n([\s\S]*?)(?:```|$)/g;
+
+// The file around the cursor, cut to CHAT_CONFIG.MAX_FILE_CONTEXT_CHARS
+function getFileExcerpt(content, cursorOffset) {
+  const maxChars = CHAT_CONFIG.MAX_FILE_CONTEXT_CHARS;
+  if (content.length <= maxChars) return content;
+
+  const start = Math.max(0, Math.min(cursorOffset - maxChars / 2, content.length - maxChars));
+  return content.slice(start, start + maxChars);
+}
+
+// Describe the current file and selection for the model
+function buildContextMessage({ fileName, content, cursorOffset = 0, selection }) {
+  if (!fileName) return null;
+
+  let context = `The user is working on \`${fileName}\`:\n\`\`\`js\n${getFileExcerpt(content, cursorOffset)}\n\`\`\``;
+  if (selection) {
+    context += `\n\nThe user has selected this code:\n\`\`\`js\n${selection}\n\`\`\``;
+  }
+  return context;
+}
+
+// Room for a rewrite of code, at roughly 3 characters per token
+function getRewriteTokens(code, extraTokens) {
+  return Math.min(EDIT_CONFIG.MAX_NEW_TOKENS, Math.ceil(code.length / 3) + extraTokens);
+}
+
+function getIndent(line) {
+  return line.match(/^[ \t]*/)[0];
+}
+
+// Smallest indentation of the non-blank lines after the first, which may start mid-line
+function getBaseIndent(code) {
+  const lines = code.split('\n').slice(1).filter((line) => line.trim());
+  if (lines.length === 0) return '';
+  return lines.map(getIndent).reduce((shortest, indent) => (indent.length < shortest.length ? indent : shortest));
+}
+
+// Models drop the indentation of a selection taken from inside a block; put it back
+function matchIndentation(original, rewritten) {
+  const originalIndent = getBaseIndent(original);
+  const rewrittenIndent = getBaseIndent(rewritten);
+  if (originalIndent.length <= rewrittenIndent.length) return rewritten;
+
+  const extraIndent = originalIndent.slice(rewrittenIndent.length);
+  return rewritten
+    .split('\n')
+    .map((line, index) => (index === 0 || !line.trim() ? line : extraIndent + line))
+    .join('\n');
+}
+
+class ChatManager {
+  constructor() {
+    this.activeChatId = null;
+    this.activeKind = null; // 'chat' or 'edit'
+    this.pendingChats = new Map(); // chatId -> { resolve, reject, onToken }
+    this.isModelLoaded = false;
+    this.loadProgressCallback = null;
+    this.listenerAttached = false;
+  }
+
+  attachListener() {
+    if (this.listenerAttached) return;
+    this.listenerAttached = true;
+
+    // The completion manager owns onmessage; chat messages are picked up alongside it
+    getAIWorker().addEventListener('message', (e) => {
+      const { type, payload } = e.data;
+
+      switch (type) {
+        case 'CHAT_LOADING_PROGRESS':
+          if (this.loadProgressCallback) this.loadProgressCallback(payload.progress);
+          break;
+
+        case 'CHAT_MODEL_LOADED':
+          this.isModelLoaded = true;
+          if (this.loadProgressCallback) this.loadProgressCallback(100);
+          break;
+
+        case 'CHAT_TOKEN': {
+          const pending = this.pendingChats.get(payload.chatId);
+          if (pending && pending.onToken) pending.onToken(payload.text);
+          break;
+        }
+
+        case 'CHAT_COMPLETE':
+          this.settle(payload.chatId, (pending) => pending.resolve(payload.text));
+          break;
+
+        case 'CHAT_CANCELLED':
+          this.settle(payload.chatId, (pending) => pending.reject(new Error('Chat cancelled')));
+          break;
+
+        case 'CHAT_ERROR':
+          this.settle(payload.chatId, (pending) => pending.reject(new Error(payload.error)));
+          break;
+      }
+    });
+  }
+
+  settle(chatId, callback) {
+    const pending = this.pendingChats.get(chatId);
+    if (!pending) return;
+    this.pendingChats.delete(chatId);
+    if (this.activeChatId === chatId) this.activeChatId = null;
+    callback(pending);
+  }
+
+  // Receives the chat model's download progress (0-100) while it loads
+  setLoadProgressCallback(callback) {
+    this.loadProgressCallback = callback;
+  }
+
+  // Ask a question; history holds earlier { role, content } messages of the conversation
+  // editorContext is { fileName, content, cursorOffset, selection } of the active editor
+  // onToken receives the reply so far while it streams in
+  sendMessage({ question, history = [], editorContext = {}, onToken }) {
+    this.attachListener();
+    this.cancel();
+
+    const contextMessage = buildContextMessage(editorContext);
+    const messages = [
+      { role: 'system', content: CHAT_CONFIG.SYSTEM_PROMPT },
+      ...history.slice(-CHAT_CONFIG.MAX_HISTORY_MESSAGES).map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: contextMessage ? `${contextMessage}\n\n${question}` : question },
+    ];
+
+    return this.generate(messages, { kind: 'chat', onToken });
+  }
+
+  // Rewrite code according to an instruction; resolves with the rewritten code only
+  async requestEdit({ code, instruction, fileName, onToken }) {
+    this.attachListener();
+    this.cancel();
+
+    const messages = [
+      { role: 'system', content: EDIT_CONFIG.SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content: `Instruction: ${instruction}\n\nCode${fileName ? ` from \`${fileName}\`` : ''}:\n\`\`\`js\n${code}\n\`\`\``,
+      },
+    ];
+    const reply = await this.generate(messages, {
+      kind: 'edit',
+      onToken,
+      maxNewTokens: getRewriteTokens(code, EDIT_CONFIG.EXTRA_NEW_TOKENS),
+      temperature: EDIT_CONFIG.TEMPERATURE,
+    });
+
+    const codeBlock = splitCodeBlocks(reply).find((part) => part.type === 'code');
+    return matchIndentation(code, codeBlock ? codeBlock.content : reply.trim());
+  }
+
+  // Explain an error thrown at errorLine (1-based, within code) and rewrite code to fix it
+  // Resolves with { explanation, code }; code is unchanged when no fix was suggested
+  async requestErrorFix({ code, error, errorLine, instruction, fileName, onToken }) {
+    this.attachListener();
+    this.cancel();
+
+    const lineText = code.split('\n')[errorLine - 1] || '';
+    const messages = [
+      { role: 'system', content: ERROR_FIX_CONFIG.SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content:
+          `Running${fileName ? ` \`${fileName}\`` : ' this code'} fails with: ${error}\n` +
+          `It is thrown at line ${errorLine} of the code below: \`${lineText.trim()}\`\n` +
+          `\`\`\`js\n${code}\n\`\`\`` +
+          (instruction ? `\n\n${instruction}` : ''),
+      },
+    ];
+
+    const reply = await this.generate(messages, {
+      kind: 'edit',
+      onToken,
+      maxNewTokens: getRewriteTokens(code, EDIT_CONFIG.EXTRA_NEW_TOKENS + ERROR_FIX_CONFIG.EXPLANATION_TOKENS),
+      temperature: EDIT_CONFIG.TEMPERATURE,
+    });
+
+    const parts = splitCodeBlocks(reply);
+    const codeBlock = parts.find((part) => part.type === 'code');
+    return {
+      explanation: parts.filter((part) => part.type === 'text').map((part) => part.content.trim()).join('\n\n'),
+      code: codeBlock ? matchIndentation(code, codeBlock.content) : code,
+    };
+  }
+
+  // Write tests for a function; importLine is how the test file imports it
+  // Resolves with the test code only
+  async requestTests({ code, functionName, fileName, importLine, onToken }) {
+    this.attachListener();
+    this.cancel();
+
+    const messages = [
+      { role: 'system', content: TEST_GENERATION_CONFIG.SYSTEM_PROMPT },
+      {
+        role: 'user',
+        content:
+          `Write tests for \`${functionName}\` from \`${fileName}\`. The test file imports it with:\n` +
+          `${importLine}\n\n\`\`\`js\n${code}\n\`\`\``,
+      },
+    ];
+
+    const reply = await this.generate(messages, {
+      kind: 'edit',
+      onToken,
+      maxNewTokens: TEST_GENERATION_CONFIG.MAX_NEW_TOKENS,
+      temperature: TEST_GENERATION_CONFIG.TEMPERATURE,
+    });
+
+    const codeBlock = splitCodeBlocks(reply).find((part) => part.type === 'code');
+    return codeBlock ? codeBlock.content : reply.trim();
+  }
+
+  generate(messages, { kind, onToken, maxNewTokens, temperature }) {
+    const chatId = Date.now().toString() + Math.random().toString(36);
+    this.activeChatId = chatId;
+    this.activeKind = kind;
+
+    return new Promise((resolve, reject) => {
+      this.pendingChats.set(chatId, { resolve, reject, onToken });
+      getAIWorker().postMessage({
+        type: 'CHAT_GENERATE',
+        payload: { chatId, messages, maxNewTokens, temperature },
+      });
+    });
+  }
+
+  // Stop the reply being generated, if any, or only a reply of the given kind
+  cancel(kind) {
+    if (this.activeChatId && (!kind || kind === this.activeKind)) {
+      getAIWorker().postMessage({ type: 'CHAT_CANCEL', payload: { chatId: this.activeChatId } });
+    }
+  }
+}
+
+// Export singleton instance
+const chatManager = new ChatManager();
+
+export function sendChatMessage(options) {
+  return chatManager.sendMessage(options);
+}
+
+export function requestCodeEdit(options) {
+  return chatManager.requestEdit(options);
+}
+
+export function requestErrorFix(options) {
+  return chatManager.requestErrorFix(options);
+}
+
+export function requestTests(options) {
+  return chatManager.requestTests(options);
+}
+
+export function cancelChatMessage() {
+  chatManager.cancel('chat');
+}
+
+export function cancelCodeEdit() {
+  chatManager.cancel('edit');
+}
+
+export function setChatLoadProgressCallback(callback) {
+  chatManager.setLoadProgressCallback(callback);
+}
+
+export function isChatModelLoaded() {
+  return chatManager.isModelLoaded;
+}
+
+// Split a reply into text and code parts: [{ type: 'text' | 'code', content, language }]
+export function splitCodeBlocks(text) {
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(CODE_BLOCK_PATTERN)) {
+    if (match.index > lastIndex) {
+      parts.push({ type: 'text', content: text.slice(lastIndex, match.index) });
+    }
+    parts.push({ type: 'code', language: match[1] || 'js', content: match[2].replace(/\n$/, '') });
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < text.length) {
+    parts.push({ type: 'text', content: text.slice(lastIndex) });
+  }
+  return parts.filter((part) => part.content.trim());
+}
+
+// Conversation history is stored per project: { [projectId]: [{ role, content }] }
+function readAllHistory() {
+  try {
+    return JSON.parse(localStorage.getItem(CHAT_HISTORY_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function loadChatHistory(projectId) {
+  return readAllHistory()[projectId] || [];
+}
+
+export function saveChatHistory(projectId, messages) {
+  const allHistory = readAllHistory();
+  if (messages.length > 0) {
+    allHistory[projectId] = messages.slice(-CHAT_CONFIG.MAX_STORED_MESSAGES);
+  } else {
+    delete allHistory[projectId];
+  }
+  // Storage can be full or blocked; the conversation stays on screen either way
+  try {
+    localStorage.setItem(CHAT_HISTORY_STORAGE_KEY, JSON.stringify(allHistory));
+  } catch (error) {
+    console.warn('Could not save chat history:', error);
+  }
+}
@@ -0,0 +1,95 @@
+// aiCompletionCache.js - LRU cache of inline completions, keyed by the code around the cursor
+import { CACHE_CONFIG } from './aiConstants.js';
+
+// Make equivalent text produce the same key: unify line endings and drop trailing
+// whitespace on every line but the last, where the cursor sits
+function normalizeText(text) {
+  return text.replace(/\r\n?/g, '\n').replace(/[^\S\n]+\n/g, '\n');
+}
+
+export class CompletionCache {
+  constructor(maxEntries = CACHE_CONFIG.MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // Insertion order is recency order, oldest first
+    this.stats = { hits: 0, extendedHits: 0, misses: 0 };
+  }
+
+  buildKey(prefixTail, suffixHead, modelId, config) {
+    return JSON.stringify([modelId, config, prefixTail, suffixHead]);
+  }
+
+  // Look up the completion candidates for the code around the cursor
+  // If the user has typed characters that match the start of cached suggestions
+  // since they were generated, the rest of those suggestions is returned
+  get(prefix, suffix, modelId, config) {
+    const normalizedPrefix = normalizeText(prefix);
+    const suffixHead = normalizeText(suffix).slice(0, CACHE_CONFIG.SUFFIX_KEY_CHARS);
+    const maxTyped = Math.min(CACHE_CONFIG.MAX_EXTEND_CHARS, normalizedPrefix.length);
+
+    for (let typed = 0; typed <= maxTyped; typed++) {
+      const cachedPrefix = normalizedPrefix.slice(0, normalizedPrefix.length - typed);
+      const key = this.buildKey(
+        cachedPrefix.slice(-CACHE_CONFIG.PREFIX_KEY_CHARS),
+        suffixHead,
+        modelId,
+        config
+      );
+      const completions = this.entries.get(key);
+      if (completions === undefined) continue;
+
+      const typedText = normalizedPrefix.slice(cachedPrefix.length);
+      const remaining = completions
+        .filter((completion) => completion.length > typed && completion.startsWith(typedText))
+        .map((completion) => completion.slice(typed));
+      if (remaining.length === 0) continue;
+
+      // Refresh recency
+      this.entries.delete(key);
+      this.entries.set(key, completions);
+
+      if (typed === 0) {
+        this.stats.hits++;
+      } else {
+        this.stats.extendedHits++;
+      }
+      return remaining;
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  set(prefix, suffix, modelId, config, completions) {
+    const key = this.buildKey(
+      normalizeText(prefix).slice(-CACHE_CONFIG.PREFIX_KEY_CHARS),
+      normalizeText(suffix).slice(0, CACHE_CONFIG.SUFFIX_KEY_CHARS),
+      modelId,
+      config
+    );
+
+    this.entries.delete(key);
+    this.entries.set(key, completions);
+
+    // Evict the least recently used entries
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  // Hit/miss counters; extended hits served the rest of a suggestion the user was typing
+  getStats() {
+    const { hits, extendedHits, misses } = this.stats;
+    const lookups = hits + extendedHits + misses;
+    return {
+      hits,
+      extendedHits,
+      misses,
+      size: this.entries.size,
+      hitRate: lookups > 0 ? (hits + extendedHits) / lookups : 0,
+    };
+  }
+}
@@ -1,5 +1,29 @@
 // aiCompletionProvider.js - Main thread interface for AI operations via Web Worker
-import { MODEL_NAME, COMPLETION_TIMEOUT_MS, COMPLETION_CONFIG } from './aiConstants.js';
+import {
+  DEFAULT_MODEL_ID,
+  MODEL_STORAGE_KEY,
+  CONTEXT_CONFIG,
+  COMPLETION_TIMEOUT_MS,
+  COMPLETION_DEBOUNCE_MS,
+  getModelInfo,
+  getCompletionConfig,
+} from './aiConstants.js';
+import { buildContextSnippets, findEditedLine } from './aiContextBuilder.js';
+import { CompletionCache } from './aiCompletionCache.js';
+import { postProcessCompletion } from './aiPostProcessor.js';
+import {
+  getWindowSize,
+  splitSegments,
+  selectPrefix,
+  selectSuffix,
+  allocateTokenBudget,
+} from './aiPromptBudget.js';
+
+// Restore the model picked in a previous session, if it is still in the registry
+function loadSavedModelId() {
+  const savedModelId = localStorage.getItem(MODEL_STORAGE_KEY);
+  return savedModelId ? getModelInfo(savedModelId).id : DEFAULT_MODEL_ID;
+}
 
 class AICompletionManager {
   constructor() {
@@ -8,12 +32,27 @@ class AICompletionManager {
     this.isLoaded = false;
     this.loadingProgress = 0;
     this.isGeneratingCompletion = false;
+    this.generatingCompletionId = null; // Request the worker is generating
     this.progressCallback = null;
     this.providerRegistered = false;
     this.pendingCompletions = new Map(); // Track pending completion requests
+    this.answeredCompletion = null; // { completionId, onCandidates } still sampling candidates
     this.loadingDecorationCleared = false;
     this.loadingDecoration = null;
     this.currentCompletionAbort = null; // Abort controller for current completion
+    this.supportsFim = false; // Whether the worker builds fill-in-the-middle prompts
+    this.modelId = loadSavedModelId();
+    this.loadError = null;
+    this.projectFiles = []; // Every file in the IDE, for cross-file context
+    this.activeFileId = null;
+    this.recentEdits = []; // { fileId, line }, newest first
+    this.pendingTokenizations = new Map(); // Token count requests waiting for the worker
+    this.lastTokenUsage = null; // Token counts reported for the last completion
+    this.completionCache = new CompletionCache();
+    // Tuning from the user's settings, applied on top of the model's completion config
+    this.configOverrides = {};
+    this.debounceDelayMs = COMPLETION_DEBOUNCE_MS;
+    this.completionTimeoutMs = COMPLETION_TIMEOUT_MS;
   }
 
   // Initialize the worker
@@ -29,6 +68,8 @@ class AICompletionManager {
 
       switch (type) {
         case 'LOADING_PROGRESS':
+          // Ignore progress from a load that a later switch superseded
+          if (payload.modelId !== this.modelId) break;
           this.loadingProgress = payload.progress;
           this.isLoading = true;
           if (this.progressCallback) {
@@ -39,9 +80,11 @@ class AICompletionManager {
           break;
 
         case 'MODEL_LOADED':
+          if (payload.modelId !== this.modelId) break;
           this.isLoaded = true;
           this.isLoading = false;
           this.loadingProgress = 100;
+          this.supportsFim = Boolean(payload.supportsFim);
           if (this.progressCallback) {
             requestAnimationFrame(() => {
               this.progressCallback(100);
@@ -50,13 +93,21 @@ class AICompletionManager {
           break;
 
         case 'MODEL_LOAD_ERROR':
+          if (payload.modelId !== this.modelId) break;
           this.isLoading = false;
           this.loadingProgress = 0;
+          this.loadError = payload.error;
           console.error('Model load error:', payload.error);
+          if (this.progressCallback) {
+            requestAnimationFrame(() => {
+              this.progressCallback(0);
+            });
+          }
           break;
 
         case 'GENERATION_START':
           this.isGeneratingCompletion = true;
+          this.generatingCompletionId = payload.completionId;
           if (this.progressCallback) {
             requestAnimationFrame(() => {
               this.progressCallback(null, true);
@@ -65,29 +116,34 @@ class AICompletionManager {
           break;
 
         case 'GENERATION_COMPLETE': {
-          this.isGeneratingCompletion = false;
-          if (this.progressCallback) {
-            requestAnimationFrame(() => {
-              this.progressCallback(null, false);
-            });
-          }
+          this.endGeneration(payload.completionId);
+          this.lastTokenUsage = payload.usage;
           // Resolve the pending completion promise
           const completionId = payload.completionId;
+          this.answeredCompletion = null;
           if (this.pendingCompletions.has(completionId)) {
-            const { resolve } = this.pendingCompletions.get(completionId);
+            const { resolve, onCandidates } = this.pendingCompletions.get(completionId);
             this.pendingCompletions.delete(completionId);
-            resolve(payload.continuation);
+            if (payload.hasMoreCandidates) {
+              this.answeredCompletion = { completionId, onCandidates };
+            }
+            resolve(payload.continuations);
           }
           break;
         }
 
-        case 'COMPLETION_ERROR': {
-          this.isGeneratingCompletion = false;
-          if (this.progressCallback) {
-            requestAnimationFrame(() => {
-              this.progressCallback(null, false);
-            });
+        case 'COMPLETION_CANDIDATES': {
+          // Every candidate of an answered completion, sampled after the first
+          const answered = this.answeredCompletion;
+          if (answered && answered.completionId === payload.completionId) {
+            this.answeredCompletion = null;
+            if (answered.onCandidates) answered.onCandidates(payload.continuations);
           }
+          break;
+        }
+
+        case 'COMPLETION_ERROR': {
+          this.endGeneration(payload.completionId);
           // Reject the pending completion promise
           const errorId = payload.completionId;
           if (this.pendingCompletions.has(errorId)) {
@@ -98,6 +154,39 @@ class AICompletionManager {
           break;
         }
 
+        case 'COMPLETION_TOKEN': {
+          // Partial text streamed while the completion is still generating
+          const pending = this.pendingCompletions.get(payload.completionId);
+          if (pending && pending.onToken) {
+            pending.onToken(payload.text);
+          }
+          break;
+        }
+
+        case 'COMPLETION_CANCELLED': {
+          this.endGeneration(payload.completionId);
+          const cancelledId = payload.completionId;
+          if (this.pendingCompletions.has(cancelledId)) {
+            const { reject } = this.pendingCompletions.get(cancelledId);
+            this.pendingCompletions.delete(cancelledId);
+            reject(new Error('Completion aborted'));
+          }
+          break;
+        }
+
+        case 'TOKENIZE_RESULT':
+        case 'TOKENIZE_ERROR': {
+          const pending = this.pendingTokenizations.get(payload.requestId);
+          if (!pending) break;
+          this.pendingTokenizations.delete(payload.requestId);
+          if (type === 'TOKENIZE_RESULT') {
+            pending.resolve(payload.counts);
+          } else {
+            pending.reject(new Error(payload.error));
+          }
+          break;
+        }
+
         case 'STATE_UPDATE':
           this.isLoading = payload.isLoading;
           this.isLoaded = payload.isLoaded;
@@ -109,11 +198,41 @@ class AICompletionManager {
     this.worker.onerror = (error) => {
       console.error('Worker error:', error);
       this.isLoading = false;
+      // The worker may never answer them now, and prompts would wait for them forever
+      for (const { reject } of this.pendingTokenizations.values()) {
+        reject(new Error('Worker error'));
+      }
+      this.pendingTokenizations.clear();
     };
 
+    this.worker.postMessage({ type: 'SET_COMPLETION_CONFIG', payload: { overrides: this.configOverrides } });
     return this.worker;
   }
 
+  // Leave the generating state, unless completionId never started, like a request
+  // dropped from the worker's queue while another one is generating
+  endGeneration(completionId) {
+    if (completionId !== this.generatingCompletionId) return;
+    this.generatingCompletionId = null;
+    this.isGeneratingCompletion = false;
+    if (this.progressCallback) {
+      requestAnimationFrame(() => {
+        this.progressCallback(null, false);
+      });
+    }
+  }
+
+  // Apply new completion settings: { configOverrides, debounceDelayMs, timeoutMs }
+  // They take effect from the next request, in the worker as well
+  updateCompletionSettings({ configOverrides = {}, debounceDelayMs, timeoutMs }) {
+    this.configOverrides = configOverrides;
+    this.debounceDelayMs = debounceDelayMs ?? COMPLETION_DEBOUNCE_MS;
+    this.completionTimeoutMs = timeoutMs ?? COMPLETION_TIMEOUT_MS;
+    if (this.worker) {
+      this.worker.postMessage({ type: 'SET_COMPLETION_CONFIG', payload: { overrides: configOverrides } });
+    }
+  }
+
   // Set a callback to receive progress updates
   setProgressCallback(callback) {
     this.progressCallback = callback;
@@ -126,18 +245,13 @@ class AICompletionManager {
       isLoaded: this.isLoaded,
       progress: this.loadingProgress,
       isGeneratingCompletion: this.isGeneratingCompletion,
+      modelId: this.modelId,
+      error: this.loadError,
     };
   }
 
-  // Start loading the model (can be called early)
-  async preloadModel() {
-    if (this.isLoaded) return true;
-    if (this.isLoading) return null;
-
-    const w = this.initWorker();
-    this.isLoading = true;
-    this.loadingProgress = 0;
-
+  // Resolve once the current model has loaded (true) or failed to load (false)
+  waitForModel() {
     return new Promise((resolve) => {
       const checkLoaded = () => {
         if (this.isLoaded) {
@@ -148,12 +262,133 @@ class AICompletionManager {
           setTimeout(checkLoaded, 100);
         }
       };
-
-      w.postMessage({ type: 'PRELOAD_MODEL' });
       checkLoaded();
     });
   }
 
+  // Start loading the model (can be called early)
+  async preloadModel() {
+    if (this.isLoaded) return true;
+    if (this.isLoading) return null;
+
+    const w = this.initWorker();
+    this.isLoading = true;
+    this.loadingProgress = 0;
+    this.loadError = null;
+
+    w.postMessage({ type: 'PRELOAD_MODEL', payload: { modelId: this.modelId } });
+    return this.waitForModel();
+  }
+
+  // Replace the loaded model with another registry entry and remember the choice
+  async switchModel(modelId) {
+    const nextModelId = getModelInfo(modelId).id;
+    localStorage.setItem(MODEL_STORAGE_KEY, nextModelId);
+    if (nextModelId === this.modelId && (this.isLoaded || this.isLoading)) {
+      return this.waitForModel();
+    }
+
+    // Completions in flight were generated for the old model
+    this.abortPendingCompletions();
+    this.answeredCompletion = null;
+
+    const w = this.initWorker();
+    this.modelId = nextModelId;
+    this.isLoaded = false;
+    this.isLoading = true;
+    this.loadingProgress = 0;
+    this.loadError = null;
+    this.supportsFim = false;
+
+    if (this.progressCallback) {
+      requestAnimationFrame(() => {
+        this.progressCallback(0);
+      });
+    }
+
+    w.postMessage({ type: 'SWITCH_MODEL', payload: { modelId: nextModelId } });
+    return this.waitForModel();
+  }
+
+  // Abort every pending completion, which also cancels it in the worker
+  abortPendingCompletions() {
+    for (const { controller } of [...this.pendingCompletions.values()]) {
+      controller.abort();
+    }
+  }
+
+  // Keep a copy of the project so completions can draw on the other files
+  updateProjectFiles(files, activeFileId) {
+    const previousFiles = new Map(this.projectFiles.map((file) => [file.id, file]));
+    for (const file of files) {
+      const previous = previousFiles.get(file.id);
+      if (previous && previous.content !== file.content) {
+        this.recordEdit(file.id, findEditedLine(previous.content, file.content));
+      }
+    }
+
+    this.projectFiles = files;
+    this.activeFileId = activeFileId;
+  }
+
+  // Remember where the user edited; a burst of typing in one region counts once
+  recordEdit(fileId, line) {
+    const otherEdits = this.recentEdits.filter(
+      (edit) => edit.fileId !== fileId || Math.abs(edit.line - line) > CONTEXT_CONFIG.EDIT_REGION_RADIUS
+    );
+    this.recentEdits = [{ fileId, line }, ...otherEdits].slice(0, CONTEXT_CONFIG.MAX_RECENT_EDITS);
+  }
+
+  // Count the tokens of each text with the loaded model's tokenizer
+  tokenize(texts) {
+    const w = this.initWorker();
+    const requestId = Date.now().toString() + Math.random().toString(36);
+
+    return new Promise((resolve, reject) => {
+      this.pendingTokenizations.set(requestId, { resolve, reject });
+      w.postMessage({ type: 'TOKENIZE', payload: { requestId, texts } });
+    });
+  }
+
+  // Fit the code around the cursor and the cross-file snippets into the prompt token budget
+  // Prefix and suffix are cut on statement boundaries, never inside a token
+  async buildBudgetedPrompt(prefixText, suffixText, contextSnippets, config) {
+    const windowSize = getWindowSize(config.MAX_PROMPT_TOKENS);
+    const prefixSegments = splitSegments(prefixText.slice(-windowSize), {
+      cutAtStart: prefixText.length > windowSize,
+    });
+    const suffixSegments = splitSegments(suffixText.slice(0, windowSize), {
+      cutAtEnd: suffixText.length > windowSize,
+    });
+
+    const counts = await this.tokenize([
+      ...prefixSegments,
+      ...suffixSegments,
+      ...contextSnippets.map((snippet) => snippet.content),
+    ]);
+    const prefixCounts = counts.slice(0, prefixSegments.length);
+    const suffixCounts = counts.slice(prefixSegments.length, prefixSegments.length + suffixSegments.length);
+    const contextCount = counts
+      .slice(prefixSegments.length + suffixSegments.length)
+      .reduce((total, count) => total + count, 0);
+
+    const budget = allocateTokenBudget(
+      {
+        prefix: prefixCounts.reduce((total, count) => total + count, 0),
+        suffix: suffixCounts.reduce((total, count) => total + count, 0),
+        context: contextCount,
+      },
+      config,
+      { countSuffix: this.supportsFim }
+    );
+
+    return {
+      prompt: selectPrefix(prefixSegments, prefixCounts, budget.prefix).text,
+      lookaheadText: selectSuffix(suffixSegments, suffixCounts, budget.suffix).text,
+      contextTokenBudget: budget.context,
+    };
+  }
+
   // Filter continuation to remove parts that duplicate existing code
   // Improved version: simpler, faster, more predictable
   filterContinuation(continuation, lookaheadText) {
@@ -187,21 +422,27 @@ class AICompletionManager {
     return cont;
   }
 
-  async generateCompletionInWorker(prompt, lookaheadText = '') {
+  // Generate a completion; resolves with the first candidate, onToken receives its partial
+  // text as it streams in and onCandidates all candidates once the worker has sampled them
+  // Cancelling through Monaco's cancellationToken stops the generation in the worker
+  // contextSnippets come from buildContextSnippets and are fitted to contextTokenBudget by the worker
+  async generateCompletionInWorker(prompt, lookaheadText = '', {
+    onToken,
+    onCandidates,
+    cancellationToken,
+    contextSnippets = [],
+    contextTokenBudget,
+    filePath = '',
+  } = {}) {
     const w = this.initWorker();
     const completionId = Date.now().toString() + Math.random().toString(36);
 
+    // This request needs the model, so candidates still sampled for the last one are dropped
+    this.answeredCompletion = null;
+
     // Cancel previous completion request if still pending
     // Clean up any pending completions that are no longer needed
     if (this.currentCompletionAbort) {
-      // Find and reject any pending completions that should be aborted
-      for (const [id, { reject, controller }] of this.pendingCompletions.entries()) {
-        if (controller === this.currentCompletionAbort) {
-          this.pendingCompletions.delete(id);
-          reject(new Error('Completion aborted'));
-          break;
-        }
-      }
       this.currentCompletionAbort.abort();
     }
 
@@ -210,17 +451,11 @@ class AICompletionManager {
     this.currentCompletionAbort = controller;
 
     return new Promise((resolve, reject) => {
-      // Check if aborted before setting up
-      if (controller.signal.aborted) {
-        reject(new Error('Completion aborted'));
-        return;
-      }
-
-      this.pendingCompletions.set(completionId, { resolve, reject, controller });
+      this.pendingCompletions.set(completionId, { resolve, reject, controller, onToken, onCandidates });
 
       w.postMessage({
         type: 'GENERATE_COMPLETION',
-        payload: { prompt, lookaheadText, completionId },
+        payload: { prompt, lookaheadText, completionId, contextSnippets, contextTokenBudget, filePath },
       });
 
       // Timeout after configured duration
@@ -230,17 +465,28 @@ class AICompletionManager {
           controller.abort();
           reject(new Error('Completion timeout'));
         }
-      }, COMPLETION_TIMEOUT_MS);
+      }, this.completionTimeoutMs);
 
-      // Clean up timeout if aborted
+      // Stop the worker too, so it does not keep generating a stale completion
+      // An answered one goes on sampling candidates until the worker needs the model
       controller.signal.addEventListener('abort', () => {
         clearTimeout(timeoutId);
+        if (this.answeredCompletion && this.answeredCompletion.completionId === completionId) return;
+        w.postMessage({ type: 'CANCEL_COMPLETION', payload: { completionId } });
         if (this.pendingCompletions.has(completionId)) {
           const { reject: abortReject } = this.pendingCompletions.get(completionId);
           this.pendingCompletions.delete(completionId);
           abortReject(new Error('Completion aborted'));
         }
       });
+
+      if (cancellationToken) {
+        if (cancellationToken.isCancellationRequested) {
+          controller.abort();
+        } else {
+          cancellationToken.onCancellationRequested(() => controller.abort());
+        }
+      }
     });
   }
 
@@ -253,11 +499,15 @@ class AICompletionManager {
 
     this.providerRegistered = true;
     this.initWorker(); // Initialize worker early
+    const manager = this;
 
     monaco.languages.registerInlineCompletionsProvider('javascript', {
-      debounceDelayMs: 1000,
+      // Monaco reads this before every request, so a new delay from the settings applies at once
+      get debounceDelayMs() {
+        return manager.debounceDelayMs;
+      },
 
-      provideInlineCompletions: async (model, position) => {
+      provideInlineCompletions: async (model, position, context, cancellationToken) => {
         // Get the current editor instance from the model
         const currentEditor = monaco.editor.getEditors().find(e => e.getModel() === model);
         
@@ -290,45 +540,124 @@ class AICompletionManager {
 
         if (!this.isLoaded) return { items: [] };
 
-        // Get context before cursor (limited to MAX_CONTEXT_LINES)
-        const startLine = Math.max(1, position.lineNumber - COMPLETION_CONFIG.MAX_CONTEXT_LINES);
-        const prompt = model.getValueInRange({
-          startLineNumber: startLine,
+        const config = getCompletionConfig(this.modelId, this.configOverrides);
+
+        // Code before and after the cursor; the prompt budget decides how much of it is used
+        const prefixText = model.getValueInRange({
+          startLineNumber: 1,
           startColumn: 1,
           endLineNumber: position.lineNumber,
           endColumn: position.column,
         });
-
-        if (prompt.trim().length < COMPLETION_CONFIG.MIN_PROMPT_LENGTH) return { items: [] };
-
-        // Get lookahead context (code after cursor) to avoid conflicts
         const totalLines = model.getLineCount();
-        const lookaheadEndLine = Math.min(
-          totalLines,
-          position.lineNumber + COMPLETION_CONFIG.MAX_LOOKAHEAD_LINES
-        );
-        const lookaheadText = model.getValueInRange({
+        const suffixText = model.getValueInRange({
           startLineNumber: position.lineNumber,
           startColumn: position.column,
-          endLineNumber: lookaheadEndLine,
-          endColumn: model.getLineMaxColumn(lookaheadEndLine),
+          endLineNumber: totalLines,
+          endColumn: model.getLineMaxColumn(totalLines),
         });
 
+        // A completion asked for explicitly is generated even for a short prompt
+        const isExplicit = context.triggerKind === monaco.languages.InlineCompletionTriggerKind.Explicit;
+        const minPromptLength = isExplicit ? 1 : config.MIN_PROMPT_LENGTH;
+        if (prefixText.trim().length < minPromptLength) return { items: [] };
+
+        const completionRange = new monaco.Range(position.lineNumber, position.column, position.lineNumber, position.column);
+
+        // Serve repeated requests at the same spot, or while typing into a suggestion, from the cache
+        const cachedCompletions = this.completionCache.get(prefixText, suffixText, this.modelId, config);
+        if (cachedCompletions) {
+          return {
+            items: cachedCompletions.map((insertText) => ({ insertText, range: completionRange })),
+          };
+        }
+
+        // Ranked snippets from the other project files
+        const currentFile = this.projectFiles.find((file) => file.id === this.activeFileId);
+        const contextSnippets = config.MAX_CROSS_FILE_TOKENS > 0
+          ? buildContextSnippets({
+            files: this.projectFiles,
+            currentFileId: this.activeFileId,
+            prompt: prefixText.slice(-getWindowSize(config.MAX_PROMPT_TOKENS)),
+            recentEdits: this.recentEdits,
+          })
+          : [];
+
+        // FIM models receive the lookahead as the suffix; prefix-only models use it to avoid conflicts
+        let budgetedPrompt;
         try {
-          const continuation = await this.generateCompletionInWorker(prompt, lookaheadText);
+          budgetedPrompt = await this.buildBudgetedPrompt(prefixText, suffixText, contextSnippets, config);
+        } catch (err) {
+          console.error('Tokenization error:', err);
+          return { items: [] };
+        }
+        if (cancellationToken.isCancellationRequested) return { items: [] };
 
-          if (!continuation) return { items: [] };
+        const { prompt, lookaheadText, contextTokenBudget } = budgetedPrompt;
+        if (prompt.trim().length < minPromptLength) return { items: [] };
+
+        // Preview the completion as ghost text while it streams in
+        const streamingPreview = currentEditor ? currentEditor.createDecorationsCollection() : null;
+        const showPartialCompletion = (text) => {
+          if (!streamingPreview) return;
+          const [firstLine, ...rest] = text.replace(/^\n+/, '').split('\n');
+          streamingPreview.set([
+            {
+              range: completionRange,
+              options: {
+                after: {
+                  content: rest.length > 0 ? `${firstLine} …` : firstLine,
+                  inlineClassName: 'ai-streaming-ghost',
+                },
+              },
+            },
+          ]);
+        };
+
+        const indentOptions = model.getOptions();
+        const processContinuations = (continuations) => {
+          const candidates = continuations.map((continuation) => {
+            // FIM models already saw the suffix; otherwise filter out duplicated existing code
+            const filteredContinuation = this.supportsFim
+              ? continuation
+              : this.filterContinuation(continuation, lookaheadText);
+
+            // Cut at the end of the block, balance brackets, match indentation and
+            // drop suggestions that would break the file
+            return postProcessCompletion(filteredContinuation, prefixText, suffixText, indentOptions);
+          });
+
+          // Candidates often only differed in the part that post-processing cut off
+          return [...new Set(candidates)].filter(Boolean);
+        };
+
+        // The other candidates arrive later; cached, they are there when Alt+] asks again
+        const modelId = this.modelId;
+        const cacheCandidates = (continuations) => {
+          const uniqueCandidates = processContinuations(continuations);
+          if (uniqueCandidates.length > 0) {
+            this.completionCache.set(prefixText, suffixText, modelId, config, uniqueCandidates);
+          }
+        };
+
+        try {
+          const continuations = await this.generateCompletionInWorker(prompt, lookaheadText, {
+            onToken: showPartialCompletion,
+            onCandidates: cacheCandidates,
+            cancellationToken,
+            contextSnippets,
+            contextTokenBudget,
+            filePath: currentFile ? currentFile.name : '',
+          });
 
-          // Filter out continuation if it would duplicate existing code
-          const filteredContinuation = this.filterContinuation(continuation, lookaheadText);
+          const uniqueCandidates = processContinuations(continuations);
+          if (uniqueCandidates.length === 0) return { items: [] };
 
-          if (!filteredContinuation) return { items: [] };
+          this.completionCache.set(prefixText, suffixText, this.modelId, config, uniqueCandidates);
 
+          // Monaco's next/previous inline suggestion commands cycle through the items
           return {
-            items: [{
-              insertText: filteredContinuation,
-              range: new monaco.Range(position.lineNumber, position.column, position.lineNumber, position.column),
-            }],
+            items: uniqueCandidates.map((insertText) => ({ insertText, range: completionRange })),
           };
         } catch (err) {
           // Ignore aborted/timeout errors silently
@@ -336,6 +665,10 @@ class AICompletionManager {
             console.error('Generation error:', err);
           }
           return { items: [] };
+        } finally {
+          if (streamingPreview) {
+            streamingPreview.clear();
+          }
         }
       },
 
@@ -343,7 +676,22 @@ class AICompletionManager {
       disposeInlineCompletions: () => {},
     });
 
-    console.log('AI code completion provider registered ONCE ' + MODEL_NAME + ' - using Web Worker');
+    // Partial accept of the visible suggestion: Ctrl+Right takes the next word and
+    // Ctrl+Shift+Right the next line; Monaco's Alt+] and Alt+[ cycle through the candidates
+    monaco.editor.addKeybindingRules([
+      {
+        keybinding: monaco.KeyMod.CtrlCmd | monaco.KeyCode.RightArrow,
+        command: 'editor.action.inlineSuggest.acceptNextWord',
+        when: 'inlineSuggestionVisible && !editorReadonly',
+      },
+      {
+        keybinding: monaco.KeyMod.CtrlCmd | monaco.KeyMod.Shift | monaco.KeyCode.RightArrow,
+        command: 'editor.action.inlineSuggest.acceptNextLine',
+        when: 'inlineSuggestionVisible && !editorReadonly',
+      },
+    ]);
+
+    console.log('AI code completion provider registered ONCE ' + getModelInfo(this.modelId).name + ' - using Web Worker');
   }
 }
 
@@ -363,6 +711,39 @@ export async function preloadModel() {
   return aiCompletionManager.preloadModel();
 }
 
+export async function switchModel(modelId) {
+  return aiCompletionManager.switchModel(modelId);
+}
+
+// Token counts ({ prefixTokens, suffixTokens, contextTokens, promptTokens, completionTokens })
+// reported by the worker for the last completion, or null before the first one
+export function getLastTokenUsage() {
+  return aiCompletionManager.lastTokenUsage;
+}
+
+// Completion cache counters: { hits, extendedHits, misses, size, hitRate }
+export function getCompletionCacheStats() {
+  return aiCompletionManager.completionCache.getStats();
+}
+
+export function clearCompletionCache() {
+  aiCompletionManager.completionCache.clear();
+}
+
+export function updateProjectFiles(files, activeFileId) {
+  aiCompletionManager.updateProjectFiles(files, activeFileId);
+}
+
+// The shared AI worker, which also hosts the chat model (see aiChat.js)
+export function getAIWorker() {
+  return aiCompletionManager.initWorker();
+}
+
+// settings: { configOverrides, debounceDelayMs, timeoutMs }, see settings.js
+export function updateCompletionSettings(settings) {
+  aiCompletionManager.updateCompletionSettings(settings);
+}
+
 export function registerAICompletionProvider(monaco) {
   return aiCompletionManager.registerAICompletionProvider(monaco);
 }
\ No newline at end of file
@@ -1,21 +1,229 @@
 // aiConstants.js - Shared constants for AI operations
-export const MODEL_NAME = 'onnx-community/Qwen2.5-Coder-0.5B-ONNX';
+
+// Fill-in-the-middle prompt formats, keyed by the name used in MODEL_REGISTRY
+// A FIM prompt is PREFIX + code before cursor + SUFFIX + code after cursor + MIDDLE,
+// and generation ends at any of STOP_TOKENS
+export const PROMPT_FORMATS = {
+  'qwen-fim': {
+    PREFIX: '<|fim_prefix|>',
+    SUFFIX: '<|fim_suffix|>',
+    MIDDLE: '<|fim_middle|>',
+    STOP_TOKENS: [
+      '<|endoftext|>',
+      '<|fim_pad|>',
+      '<|file_sep|>',
+      '<|repo_name|>',
+      '<|fim_prefix|>',
+      '<|fim_suffix|>',
+      '<|fim_middle|>',
+    ],
+  },
+  'starcoder-fim': {
+    PREFIX: '<fim_prefix>',
+    SUFFIX: '<fim_suffix>',
+    MIDDLE: '<fim_middle>',
+    STOP_TOKENS: ['<|endoftext|>', '<fim_prefix>', '<fim_suffix>', '<fim_middle>'],
+  },
+  'deepseek-fim': {
+    PREFIX: '<｜fim▁begin｜>',
+    SUFFIX: '<｜fim▁hole｜>',
+    MIDDLE: '<｜fim▁end｜>',
+    STOP_TOKENS: ['<｜end▁of▁sentence｜>', '<|EOT|>'],
+  },
+  // Prefix-only continuation for models without FIM tokens
+  plain: null,
+};
+
+// Repo-level context formats, keyed like PROMPT_FORMATS
+// Snippets from other project files are rendered with FILE, then CURRENT_FILE
+// introduces the file being completed; {repo}, {path} and {content} are filled in
+export const REPO_CONTEXT_FORMATS = {
+  'qwen-fim': {
+    HEADER: '<|repo_name|>{repo}\n',
+    FILE: '<|file_sep|>{path}\n{content}\n',
+    CURRENT_FILE: '<|file_sep|>{path}\n',
+  },
+  'starcoder-fim': {
+    HEADER: '<reponame>{repo}\n',
+    FILE: '<filename>{path}\n{content}\n',
+    CURRENT_FILE: '<filename>{path}\n',
+  },
+  'deepseek-fim': {
+    HEADER: '',
+    FILE: '// {path}\n{content}\n\n',
+    CURRENT_FILE: '// {path}\n',
+  },
+  plain: {
+    HEADER: '',
+    FILE: '// {path}\n{content}\n\n',
+    CURRENT_FILE: '// {path}\n',
+  },
+};
+
+// Repository name shown to models that use a repo-level header
+export const REPO_CONTEXT_NAME = 'project';
+
+// Cross-file context gathered for each completion
+export const CONTEXT_CONFIG = {
+  // Maximum number of ranked snippets sent to the worker
+  MAX_SNIPPETS: 24,
+  // Comment lines kept above an exported declaration
+  MAX_DOC_COMMENT_LINES: 4,
+  // Lines shown on each side of a recently edited line
+  EDIT_REGION_RADIUS: 3,
+  // Number of recent edits remembered across the project
+  MAX_RECENT_EDITS: 20,
+};
+
+// Completion cache, keyed by the code around the cursor
+export const CACHE_CONFIG = {
+  // Number of completions kept; the least recently used are evicted first
+  MAX_ENTRIES: 100,
+  // Characters before the cursor that are part of the key
+  PREFIX_KEY_CHARS: 1000,
+  // Characters after the cursor that are part of the key
+  SUFFIX_KEY_CHARS: 200,
+  // Characters the user may type into a cached suggestion and still reuse the rest of it
+  MAX_EXTEND_CHARS: 80,
+};
+
+// Supported code completion models
+// completionConfig holds the recommended overrides of COMPLETION_CONFIG for the model
+export const MODEL_REGISTRY = [
+  {
+    id: 'onnx-community/Qwen2.5-Coder-0.5B-ONNX',
+    name: 'Qwen2.5 Coder 0.5B',
+    size: '~500 MB',
+    dtype: 'q8',
+    promptFormat: 'qwen-fim',
+    supportsFim: true,
+    completionConfig: {},
+  },
+  {
+    id: 'Xenova/codegen-350M-mono',
+    name: 'CodeGen 350M Mono',
+    size: '~360 MB',
+    dtype: 'q8',
+    promptFormat: 'plain',
+    supportsFim: false,
+    completionConfig: { MAX_PROMPT_TOKENS: 512, TEMPERATURE: 0.2 },
+  },
+  {
+    id: 'Xenova/deepseek-coder-1.3b-base',
+    name: 'DeepSeek Coder 1.3B',
+    size: '~1.4 GB',
+    dtype: 'q4',
+    promptFormat: 'deepseek-fim',
+    supportsFim: true,
+    completionConfig: {
+      MAX_PROMPT_TOKENS: 2048,
+      SUFFIX_TOKEN_SHARE: 0.3,
+      MAX_CROSS_FILE_TOKENS: 768,
+      NUM_CANDIDATES: 2,
+    },
+  },
+];
+
+export const DEFAULT_MODEL_ID = MODEL_REGISTRY[0].id;
+
+// Instruct model for the chat panel, loaded next to the completion model on first use
+export const CHAT_MODEL = {
+  id: 'onnx-community/Qwen2.5-Coder-0.5B-Instruct',
+  name: 'Qwen2.5 Coder 0.5B Instruct',
+  size: '~500 MB',
+  dtype: 'q8',
+};
+
+// Chat configuration
+export const CHAT_CONFIG = {
+  // Maximum tokens in a reply
+  MAX_NEW_TOKENS: 512,
+  // Temperature for replies (0 = greedy)
+  TEMPERATURE: 0.2,
+  // Earlier messages sent along with a question
+  MAX_HISTORY_MESSAGES: 10,
+  // Characters of the current file included as context; longer files are cut around the cursor
+  MAX_FILE_CONTEXT_CHARS: 6000,
+  // Messages kept per project in storage
+  MAX_STORED_MESSAGES: 200,
+  SYSTEM_PROMPT:
+    'You are a helpful JavaScript coding assistant inside a browser IDE. ' +
+    'Answer concisely. Put code in fenced ```js blocks.',
+};
+
+// "Edit with instruction" rewrites of the selection, generated by the chat model
+export const EDIT_CONFIG = {
+  // Reply budget: the selection's estimated token count plus this, capped at MAX_NEW_TOKENS
+  EXTRA_NEW_TOKENS: 128,
+  MAX_NEW_TOKENS: 1024,
+  // Greedy decoding keeps rewrites close to the original
+  TEMPERATURE: 0,
+  SYSTEM_PROMPT:
+    'You rewrite JavaScript code according to an instruction. ' +
+    'Reply with only the complete rewritten code in a single ```js block, without explanations.',
+};
+
+// Unit tests written by the chat model for a function
+export const TEST_GENERATION_CONFIG = {
+  MAX_NEW_TOKENS: 768,
+  TEMPERATURE: 0.2,
+  SYSTEM_PROMPT:
+    'You write unit tests for JavaScript functions. Use describe, it and expect with Jest-style matchers ' +
+    '(toBe, toEqual, toThrow, toBeCloseTo, resolves, rejects); they are globals, so do not import them. ' +
+    'Cover typical inputs and edge cases with a few focused tests. ' +
+    'Reply with only the test code in a single ```js block.',
+};
+
+// "Explain / Suggest fix" for errors in the Output panel
+export const ERROR_FIX_CONFIG = {
+  // Lines of the file sent on each side of the line that threw
+  CONTEXT_LINES: 15,
+  // Added to the rewrite budget of EDIT_CONFIG for the explanation
+  EXPLANATION_TOKENS: 160,
+  SYSTEM_PROMPT:
+    'You help fix errors in JavaScript code. First explain the cause of the error in one or two sentences. ' +
+    'Then reply with the complete corrected code in a single ```js block.',
+};
+
+// localStorage key holding chat history for every project
+export const CHAT_HISTORY_STORAGE_KEY = 'ide-chat-history';
+
+// localStorage key that remembers the selected model across reloads
+export const MODEL_STORAGE_KEY = 'ide-ai-model';
 
 // Timeout for AI completion generation (in milliseconds)
 // Increase this value if you're using larger models that take longer to generate
 export const COMPLETION_TIMEOUT_MS = 60000; // 60 seconds (default was 30 seconds)
 
+// Pause in typing before a completion is requested (in milliseconds)
+export const COMPLETION_DEBOUNCE_MS = 1000;
+
 // Completion configuration
 export const COMPLETION_CONFIG = {
-  // Maximum number of lines to include before cursor (for context)
-  MAX_CONTEXT_LINES: 50,
-  // Maximum number of lines to peek after cursor (to avoid conflicts)
-  MAX_LOOKAHEAD_LINES: 5,
+  // Token budget for the whole prompt: code before and after the cursor plus cross-file context
+  MAX_PROMPT_TOKENS: 1024,
+  // Share of MAX_PROMPT_TOKENS the code after the cursor may use; unused budget goes to the prefix
+  SUFFIX_TOKEN_SHARE: 0.25,
   // Maximum tokens to generate
   MAX_NEW_TOKENS: 60,
   // Temperature for generation (lower = more deterministic)
   TEMPERATURE: 0.3,
+  // Candidates generated per request; Alt+] and Alt+[ cycle through them
+  NUM_CANDIDATES: 3,
+  // Temperature added for each further candidate, so they explore different continuations
+  CANDIDATE_TEMPERATURE_STEP: 0.3,
   // Minimum prompt length to trigger completion
   MIN_PROMPT_LENGTH: 20,
+  // Part of MAX_PROMPT_TOKENS for snippets from other project files (0 disables cross-file context)
+  MAX_CROSS_FILE_TOKENS: 384,
 };
 
+// Look up a registry entry, falling back to the default model for unknown ids
+export function getModelInfo(modelId) {
+  return MODEL_REGISTRY.find((model) => model.id === modelId) || MODEL_REGISTRY[0];
+}
+
+// COMPLETION_CONFIG with the model's recommended overrides applied, then the user's
+export function getCompletionConfig(modelId, userOverrides = {}) {
+  return { ...COMPLETION_CONFIG, ...getModelInfo(modelId).completionConfig, ...userOverrides };
+}
@@ -0,0 +1,165 @@
+// aiContextBuilder.js - Collects ranked snippets from other project files for AI completions
+// Snippets are ranked here on the main thread; the worker fits them into the model's
+// token budget with its tokenizer and renders them in the model's repo-level format.
+import { CONTEXT_CONFIG } from './aiConstants.js';
+
+// Base scores for each kind of snippet, before relevance boosts
+const SNIPPET_SCORES = {
+  export: 2,
+  function: 1,
+  edit: 1.5,
+};
+
+// Boosts for snippets related to the code being completed
+const IMPORTED_FILE_BOOST = 3;
+const REFERENCED_SYMBOL_BOOST = 2;
+
+// Top-level declarations worth summarizing, e.g. `export async function load(url) {`
+const DECLARATION_PATTERN =
+  /^(export\s+(?:default\s+)?)?(?:async\s+)?(function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/;
+const EXPORT_LIST_PATTERN = /^export\s*\{[^}]*\}/;
+const IMPORT_SOURCE_PATTERN = /(?:^|[\s;])(?:import|export)\b[^'"`]*?['"]([^'"]+)['"]/gm;
+
+function baseName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+// Module paths the current file imports, reduced to file names without extension
+function getImportedNames(content) {
+  const names = new Set();
+  for (const match of content.matchAll(IMPORT_SOURCE_PATTERN)) {
+    if (match[1].startsWith('.')) {
+      names.add(baseName(match[1]).replace(/\.js$/, ''));
+    }
+  }
+  return names;
+}
+
+// Comment lines directly above a declaration (JSDoc or line comments)
+function getDocComment(lines, index) {
+  const comment = [];
+  for (let i = index - 1; i >= 0 && comment.length < CONTEXT_CONFIG.MAX_DOC_COMMENT_LINES; i--) {
+    const line = lines[i].trim();
+    if (!/^(\/\/|\/\*|\*)/.test(line)) break;
+    comment.unshift(lines[i]);
+  }
+  return comment;
+}
+
+// Reduce a declaration to its signature: `function add(a, b) { ... }`
+function summarizeDeclaration(line, kind) {
+  const trimmed = line.trimEnd();
+  if (kind === 'const' || kind === 'let' || kind === 'var') {
+    const arrowIndex = trimmed.indexOf('=>');
+    if (arrowIndex !== -1) {
+      return `${trimmed.slice(0, arrowIndex + 2)} { ... }`;
+    }
+    return trimmed;
+  }
+
+  const bodyIndex = trimmed.indexOf('{');
+  return bodyIndex === -1 ? trimmed : `${trimmed.slice(0, bodyIndex).trimEnd()} { ... }`;
+}
+
+// Exported symbols and top-level function signatures of one file
+function extractDeclarations(file) {
+  const snippets = [];
+  const lines = file.content.split('\n');
+
+  lines.forEach((line, index) => {
+    if (EXPORT_LIST_PATTERN.test(line)) {
+      snippets.push({ path: file.name, kind: 'export', symbol: null, line: index, content: line.trim() });
+      return;
+    }
+
+    const match = DECLARATION_PATTERN.exec(line);
+    if (!match) return;
+
+    const [, exportKeyword, kind, symbol] = match;
+    // Only functions and classes are worth showing when they are not exported
+    if (!exportKeyword && kind !== 'class' && !kind.startsWith('function')) return;
+
+    snippets.push({
+      path: file.name,
+      kind: exportKeyword ? 'export' : 'function',
+      symbol,
+      line: index,
+      content: [...getDocComment(lines, index), summarizeDeclaration(line, kind)].join('\n'),
+    });
+  });
+
+  return snippets;
+}
+
+// Lines around recent edits, newest first
+function extractEditRegions(files, recentEdits) {
+  const filesById = new Map(files.map((file) => [file.id, file]));
+
+  return recentEdits.flatMap((edit, rank) => {
+    const file = filesById.get(edit.fileId);
+    if (!file) return [];
+
+    const lines = file.content.split('\n');
+    const start = Math.max(0, edit.line - CONTEXT_CONFIG.EDIT_REGION_RADIUS);
+    const end = Math.min(lines.length, edit.line + CONTEXT_CONFIG.EDIT_REGION_RADIUS + 1);
+    // Drop surrounding blank lines but keep the first line's indentation
+    const content = lines.slice(start, end).join('\n').replace(/^\s*\n|\s+$/g, '');
+    if (!content) return [];
+
+    return [{
+      path: file.name,
+      kind: 'edit',
+      symbol: null,
+      line: start,
+      content,
+      recency: 1 / (rank + 1),
+    }];
+  });
+}
+
+// Find the first line that differs between two versions of a file
+export function findEditedLine(previousContent, content) {
+  const previousLines = previousContent.split('\n');
+  const lines = content.split('\n');
+  const length = Math.min(previousLines.length, lines.length);
+
+  for (let i = 0; i < length; i++) {
+    if (previousLines[i] !== lines[i]) return i;
+  }
+  return length === lines.length ? Math.max(0, length - 1) : length;
+}
+
+// Rank snippets from every file except the one being completed
+// Returns at most CONTEXT_CONFIG.MAX_SNIPPETS snippets, most relevant first
+export function buildContextSnippets({ files, currentFileId, prompt, recentEdits = [] }) {
+  const currentFile = files.find((file) => file.id === currentFileId);
+  const otherFiles = files.filter((file) => file.id !== currentFileId && file.content.trim());
+  if (otherFiles.length === 0) return [];
+
+  const importedNames = currentFile ? getImportedNames(currentFile.content) : new Set();
+  const otherEdits = recentEdits.filter((edit) => edit.fileId !== currentFileId);
+
+  const snippets = [
+    ...otherFiles.flatMap(extractDeclarations),
+    ...extractEditRegions(otherFiles, otherEdits),
+  ];
+
+  for (const snippet of snippets) {
+    let score = SNIPPET_SCORES[snippet.kind];
+    if (snippet.kind === 'edit') {
+      score *= snippet.recency;
+    }
+    if (importedNames.has(baseName(snippet.path).replace(/\.js$/, ''))) {
+      score += IMPORTED_FILE_BOOST;
+    }
+    if (snippet.symbol && new RegExp(`\\b${snippet.symbol.replace(/\$/g, '\\$')}\\b`).test(prompt)) {
+      score += REFERENCED_SYMBOL_BOOST;
+    }
+    snippet.score = score;
+  }
+
+  return snippets
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CONTEXT_CONFIG.MAX_SNIPPETS)
+    .map(({ path, line, content, score }) => ({ path, line, content, score }));
+}
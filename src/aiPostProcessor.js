@@ -0,0 +1,315 @@
+// aiPostProcessor.js - Syntax-aware cleanup of AI completions before they are shown
+// A small lexer tracks brackets, strings, templates, comments and regex literals through
+// the code before the cursor and on through the completion, so a suggestion can be cut
+// where it leaves the current block, balanced, re-indented and checked with acorn.
+import { parse } from 'acorn';
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  allowHashBang: true,
+};
+
+const CLOSING_BRACKETS = { '(': ')', '[': ']', '{': '}', '${': '}' };
+
+// A `/` after one of these starts a regex literal rather than a division
+const REGEX_PRECEDING = /[(,=:[!&|?{};+\-*%<>~^]$/;
+
+// Lines that continue the statement before them, e.g. `} else {` or `.then(...)`
+const CONTINUATION_LINE = /^\s*(?:else\b|catch\b|finally\b|while\b|[.?:,)\]])/;
+
+function createScanState() {
+  return {
+    mode: 'code', // code, string, template, lineComment, blockComment, regex
+    quote: '',
+    inClass: false, // Inside [...] of a regex literal
+    stack: [], // Open brackets, innermost last, with the index they were opened at
+    lastSignificant: '', // Last non-space character of code, to tell regex from division
+  };
+}
+
+function cloneScanState(state) {
+  return { ...state, stack: [...state.stack] };
+}
+
+// Advance over the character at text[index]; returns the index of the next one
+function scanChar(state, text, index) {
+  const char = text[index];
+  const next = text[index + 1];
+
+  switch (state.mode) {
+    case 'lineComment':
+      if (char === '\n') state.mode = 'code';
+      return index + 1;
+
+    case 'blockComment':
+      if (char === '*' && next === '/') {
+        state.mode = 'code';
+        return index + 2;
+      }
+      return index + 1;
+
+    case 'string':
+      if (char === '\\') return index + 2;
+      // An unterminated string ends at the line break
+      if (char === state.quote || char === '\n') {
+        state.mode = 'code';
+        state.lastSignificant = char;
+      }
+      return index + 1;
+
+    case 'template':
+      if (char === '\\') return index + 2;
+      if (char === '`') {
+        state.mode = 'code';
+        state.lastSignificant = char;
+        return index + 1;
+      }
+      if (char === '$' && next === '{') {
+        state.stack.push({ bracket: '${', index });
+        state.mode = 'code';
+        state.lastSignificant = '{';
+        return index + 2;
+      }
+      return index + 1;
+
+    case 'regex':
+      if (char === '\\') return index + 2;
+      if (char === '\n') {
+        state.mode = 'code';
+      } else if (state.inClass) {
+        if (char === ']') state.inClass = false;
+      } else if (char === '[') {
+        state.inClass = true;
+      } else if (char === '/') {
+        state.mode = 'code';
+        state.lastSignificant = ')'; // A regex literal is a value
+      }
+      return index + 1;
+  }
+
+  if (/\s/.test(char)) return index + 1;
+
+  if (char === '/' && next === '/') {
+    state.mode = 'lineComment';
+    return index + 2;
+  }
+  if (char === '/' && next === '*') {
+    state.mode = 'blockComment';
+    return index + 2;
+  }
+  if (char === '/' && (!state.lastSignificant || REGEX_PRECEDING.test(state.lastSignificant))) {
+    state.mode = 'regex';
+    state.inClass = false;
+    return index + 1;
+  }
+
+  if (char === '"' || char === "'") {
+    state.mode = 'string';
+    state.quote = char;
+  } else if (char === '`') {
+    state.mode = 'template';
+  } else if (char === '(' || char === '[' || char === '{') {
+    state.stack.push({ bracket: char, index });
+  } else if (char === ')' || char === ']' || char === '}') {
+    const open = state.stack.pop();
+    if (open && open.bracket === '${') {
+      state.mode = 'template';
+    }
+  }
+
+  state.lastSignificant = char;
+  return index + 1;
+}
+
+function scanText(text, state = createScanState()) {
+  for (let index = 0; index < text.length;) {
+    index = scanChar(state, text, index);
+  }
+  return state;
+}
+
+function isCloser(char) {
+  return char === ')' || char === ']' || char === '}';
+}
+
+// Whether the code after the cursor starts by closing the brackets in openBrackets,
+// innermost first, so the completion does not have to
+// A closer the suffix needs for the enclosing bracket of the prefix cannot count twice
+function suffixCloses(suffix, openBrackets, enclosing) {
+  const brackets = enclosing ? [enclosing, ...openBrackets] : openBrackets;
+  const expected = brackets.map(({ bracket }) => CLOSING_BRACKETS[bracket]).reverse().join('');
+  return suffix.replace(/\s+/g, '').startsWith(expected);
+}
+
+function indentWidth(indent, tabSize) {
+  let width = 0;
+  for (const char of indent) {
+    width += char === '\t' ? tabSize - (width % tabSize) : 1;
+  }
+  return width;
+}
+
+function makeIndent(width, { tabSize, insertSpaces }) {
+  if (insertSpaces) return ' '.repeat(width);
+  return '\t'.repeat(Math.floor(width / tabSize)) + ' '.repeat(width % tabSize);
+}
+
+// Cut the completion where it leaves the block around the cursor, or after the first
+// complete statement when the cursor is at the top level
+function trimToBlock(completion, prefixState, suffix) {
+  const state = cloneScanState(prefixState);
+  const baseDepth = state.stack.length;
+
+  for (let index = 0; index < completion.length;) {
+    const char = completion[index];
+
+    if (state.mode === 'code' && isCloser(char) && state.stack.length === baseDepth && baseDepth > 0) {
+      // This closes a bracket opened before the cursor; keep it only if the suffix lacks it
+      const closesPrefixBracket = suffixCloses(suffix, [state.stack[baseDepth - 1]]);
+      return closesPrefixBracket
+        ? completion.slice(0, index).trimEnd()
+        : completion.slice(0, index + 1);
+    }
+
+    if (
+      char === '\n' && baseDepth === 0 && state.mode === 'code' && state.stack.length === 0 &&
+      /[;}]$/.test(completion.slice(0, index).trimEnd()) &&
+      !CONTINUATION_LINE.test(completion.slice(index + 1))
+    ) {
+      return completion.slice(0, index);
+    }
+
+    index = scanChar(state, completion, index);
+  }
+
+  return completion;
+}
+
+// Close brackets left open on the completion's last line, unless the suffix closes them;
+// a block or string left open is cut back to the last line where everything was closed
+function balanceBrackets(completion, prefixState, suffix) {
+  const state = cloneScanState(prefixState);
+  const baseDepth = state.stack.length;
+  const initialMode = state.mode;
+  let lastBalancedEnd = 0;
+
+  // A completion may end by closing the block around the cursor, see trimToBlock
+  const isBalanced = () => state.stack.length <= baseDepth &&
+    (state.mode === initialMode || state.mode === 'lineComment');
+
+  for (let index = 0; index < completion.length;) {
+    index = scanChar(state, completion, index);
+    if (isBalanced() && (completion[index - 1] === '\n' || index === completion.length)) {
+      lastBalancedEnd = index;
+    }
+  }
+
+  if (isBalanced()) return completion;
+
+  const openBrackets = state.stack.slice(baseDepth);
+  if (state.mode === 'code' && openBrackets.length > 0) {
+    if (suffixCloses(suffix, openBrackets, prefixState.stack[baseDepth - 1])) return completion;
+
+    const lastLineStart = completion.lastIndexOf('\n') + 1;
+    const closeOnLine = openBrackets.every(
+      ({ bracket, index }) => (bracket === '(' || bracket === '[') && index >= lastLineStart
+    );
+    if (closeOnLine) {
+      return completion.trimEnd() +
+        openBrackets.map(({ bracket }) => CLOSING_BRACKETS[bracket]).reverse().join('');
+    }
+  }
+
+  return completion.slice(0, lastBalancedEnd).trimEnd();
+}
+
+// Shift the completion's later lines so they line up with the cursor line, and use the
+// editor's indentation characters
+function reindent(completion, prefix, prefixState, indentOptions) {
+  const lines = completion.split('\n');
+  if (lines.length === 1) return completion;
+
+  const { tabSize } = indentOptions;
+  const indentUnit = indentOptions.indentSize || tabSize;
+  const cursorLineStart = prefix.lastIndexOf('\n') + 1;
+  const cursorLine = prefix.slice(cursorLineStart);
+  let expectedWidth = indentWidth(cursorLine.match(/^\s*/)[0], tabSize);
+  // Lines after a cursor line that opens a block belong inside it
+  if (prefixState.stack.some(({ index }) => index >= cursorLineStart)) {
+    expectedWidth += indentUnit;
+  }
+
+  // Lines at the cursor's bracket depth set how far the model's indentation is off
+  const state = cloneScanState(prefixState);
+  const baseDepth = state.stack.length;
+  const levelWidths = [];
+  lines.forEach((line, lineIndex) => {
+    if (lineIndex > 0 && line.trim() && state.mode === 'code') {
+      const leadingClosers = line.trim().match(/^[)\]}]*/)[0].length;
+      if (state.stack.length - leadingClosers === baseDepth) {
+        levelWidths.push(indentWidth(line.match(/^\s*/)[0], tabSize));
+      }
+    }
+    const text = lineIndex < lines.length - 1 ? line + '\n' : line;
+    scanText(text, state);
+  });
+
+  const delta = levelWidths.length > 0 ? expectedWidth - Math.min(...levelWidths) : 0;
+
+  return lines.map((line, lineIndex) => {
+    if (lineIndex === 0) return line;
+    if (!line.trim()) return '';
+    const indent = line.match(/^\s*/)[0];
+    const width = Math.max(0, indentWidth(indent, tabSize) + delta);
+    return makeIndent(width, indentOptions) + line.slice(indent.length);
+  }).join('\n');
+}
+
+// Position of the first syntax error in source, or -1 if it parses as a module or script
+function findSyntaxError(source) {
+  try {
+    parse(source, { ...PARSE_OPTIONS, sourceType: 'module' });
+    return -1;
+  } catch (moduleError) {
+    try {
+      parse(source, { ...PARSE_OPTIONS, sourceType: 'script' });
+      return -1;
+    } catch (scriptError) {
+      return Math.max(scriptError.pos, moduleError.pos);
+    }
+  }
+}
+
+// Whether inserting the completion breaks a file that was fine up to the cursor
+// When the code is already broken before the cursor, nothing can be told and it passes
+function keepsFileParsable(prefix, completion, suffix) {
+  const errorBefore = findSyntaxError(prefix + suffix);
+  if (errorBefore !== -1 && errorBefore < prefix.length) return true;
+
+  const errorAfter = findSyntaxError(prefix + completion + suffix);
+  if (errorAfter === -1) return true;
+  // An error that was already in the suffix just moves along by the completion's length
+  return errorBefore !== -1 && errorAfter >= errorBefore + completion.length;
+}
+
+// Clean up a completion for the cursor between prefix and suffix
+// Returns the text to insert, or '' when the suggestion should be dropped
+// indentOptions are the editor model's { tabSize, indentSize, insertSpaces }
+export function postProcessCompletion(completion, prefix, suffix, indentOptions) {
+  if (!completion || !completion.trim()) return '';
+
+  const prefixState = scanText(prefix);
+  // Inside a string, comment or regex there is no structure to trim against
+  if (prefixState.mode !== 'code') {
+    return keepsFileParsable(prefix, completion, suffix) ? completion : '';
+  }
+
+  let result = trimToBlock(completion, prefixState, suffix);
+  result = balanceBrackets(result, prefixState, suffix);
+  result = reindent(result, prefix, prefixState, indentOptions);
+
+  if (!result.trim()) return '';
+  return keepsFileParsable(prefix, result, suffix) ? result : '';
+}
@@ -0,0 +1,142 @@
+// aiPromptBudget.js - Fits the code around the cursor into the model's prompt token budget
+// Text is split into segments that end at a newline, `;`, `{` or `}`, so a prompt is only
+// ever cut between segments; the worker's tokenizer supplies each segment's token count.
+import { COMPLETION_CONFIG } from './aiConstants.js';
+
+// Upper bound on characters per token, used to cap how much text is sent for counting
+const MAX_CHARS_PER_TOKEN = 8;
+
+// Segment boundaries: after a newline, or after `;`, `{` or `}` unless the line,
+// or the expression, ends right there
+const SEGMENT_BOUNDARY = /(?<=\n)|(?<=[;{}])(?![^\S\n]*(?:\n|$|[;,)\]]))/;
+
+// A line starting with one of these continues the previous statement
+const CONTINUATION_START = /^[.,)\]}?:+\-*%&|^=<>]|^\/(?![/*])/;
+// So does any line after a line ending with one of these
+const CONTINUATION_END = /[,([.+\-*/%&|^=<>?:!~]$/;
+
+// Characters of code around the cursor worth counting for a prompt of maxTokens
+export function getWindowSize(maxTokens) {
+  return maxTokens * MAX_CHARS_PER_TOKEN;
+}
+
+// Split text into segments; a partial segment at a cut edge of the window is dropped
+export function splitSegments(text, { cutAtStart = false, cutAtEnd = false } = {}) {
+  const segments = text ? text.split(SEGMENT_BOUNDARY) : [];
+  if (cutAtStart && segments.length > 1) segments.shift();
+  if (cutAtEnd && segments.length > 1) segments.pop();
+  return segments;
+}
+
+// Whether segments[index] begins a new statement (or function) on its own line
+function isStatementStart(segments, index) {
+  if (index === 0) return true;
+  if (!segments[index - 1].endsWith('\n')) return false;
+
+  const line = segments[index].trim();
+  if (!line || CONTINUATION_START.test(line)) return false;
+
+  // Find the previous non-blank line; blank lines and comments always end a statement
+  for (let i = index - 1; i >= 0; i--) {
+    const previous = segments[i].trim();
+    if (!previous) continue;
+    if (/^(\/\/|\/\*|\*)/.test(previous)) return true;
+    return !CONTINUATION_END.test(previous);
+  }
+  return true;
+}
+
+function sum(counts, start, end) {
+  let total = 0;
+  for (let i = start; i < end; i++) total += counts[i];
+  return total;
+}
+
+// Keep the end of the prefix: the longest run of segments up to the cursor that fits,
+// starting at a statement start, or at least at a segment boundary for minified code
+export function selectPrefix(segments, counts, maxTokens) {
+  let start = segments.length;
+  let tokens = 0;
+  while (start > 0 && tokens + counts[start - 1] <= maxTokens) {
+    start--;
+    tokens += counts[start];
+  }
+
+  if (start === segments.length) {
+    // Not even the segment at the cursor fits; keep the end of it, cut at whitespace
+    return truncateSegment(segments[segments.length - 1] || '', counts[counts.length - 1], maxTokens, 'end');
+  }
+
+  for (let i = start; i < segments.length; i++) {
+    if (isStatementStart(segments, i)) {
+      return { text: segments.slice(i).join(''), tokens: sum(counts, i, segments.length) };
+    }
+  }
+  return { text: segments.slice(start).join(''), tokens };
+}
+
+// Whether a suffix may end before segments[index]: at a statement start or a block end
+function isStatementEnd(segments, index) {
+  return isStatementStart(segments, index) ||
+    (segments[index - 1].endsWith('\n') && segments[index].trimStart().startsWith('}'));
+}
+
+// Keep the start of the suffix: the longest run of segments after the cursor that fits,
+// ending after a complete statement where possible
+export function selectSuffix(segments, counts, maxTokens) {
+  let end = 0;
+  let tokens = 0;
+  while (end < segments.length && tokens + counts[end] <= maxTokens) {
+    tokens += counts[end];
+    end++;
+  }
+
+  if (end === 0) {
+    return truncateSegment(segments[0] || '', counts[0], maxTokens, 'start');
+  }
+  if (end === segments.length) {
+    return { text: segments.join(''), tokens };
+  }
+
+  for (let i = end; i > 0; i--) {
+    if (isStatementEnd(segments, i)) {
+      return { text: segments.slice(0, i).join(''), tokens: sum(counts, 0, i) };
+    }
+  }
+  return { text: segments.slice(0, end).join(''), tokens };
+}
+
+// Cut a single oversized segment at whitespace, estimating its characters per token
+function truncateSegment(segment, count, maxTokens, keep) {
+  if (!segment || maxTokens <= 0) return { text: '', tokens: 0 };
+
+  const maxChars = Math.floor((segment.length / count) * maxTokens);
+  let text = keep === 'end' ? segment.slice(-maxChars) : segment.slice(0, maxChars);
+  const cut = keep === 'end' ? text.search(/\s/) : text.search(/\s\S*$/);
+  if (cut > 0) {
+    text = keep === 'end' ? text.slice(cut + 1) : text.slice(0, cut);
+  }
+  return { text, tokens: Math.round((text.length / segment.length) * count) };
+}
+
+// Split config.MAX_PROMPT_TOKENS between prefix, suffix and cross-file context
+// The suffix and context get at most their share; whatever they leave goes to the prefix,
+// and what the prefix leaves goes back to the suffix.
+// With countSuffix false the suffix is not part of the prompt and costs nothing.
+export function allocateTokenBudget(needed, config = COMPLETION_CONFIG, { countSuffix = true } = {}) {
+  const total = config.MAX_PROMPT_TOKENS;
+  const context = Math.min(needed.context, config.MAX_CROSS_FILE_TOKENS, total);
+  const suffixShare = Math.floor(total * config.SUFFIX_TOKEN_SHARE);
+  let suffix = Math.min(needed.suffix, suffixShare);
+
+  if (!countSuffix) {
+    return { prefix: Math.max(0, total - context), suffix, context };
+  }
+
+  const prefixRoom = Math.max(0, total - context - suffix);
+  if (needed.prefix < prefixRoom) {
+    suffix = Math.min(needed.suffix, suffix + prefixRoom - needed.prefix);
+  }
+
+  return { prefix: Math.max(0, total - context - suffix), suffix, context };
+}
@@ -1,11 +1,37 @@
 // aiWorker.js - Web Worker for AI model operations
-import { pipeline } from '@huggingface/transformers';
-import { MODEL_NAME, COMPLETION_CONFIG } from './aiConstants.js';
+import {
+  pipeline,
+  TextStreamer,
+  InterruptableStoppingCriteria,
+} from '@huggingface/transformers';
+import {
+  DEFAULT_MODEL_ID,
+  CHAT_MODEL,
+  CHAT_CONFIG,
+  PROMPT_FORMATS,
+  REPO_CONTEXT_FORMATS,
+  REPO_CONTEXT_NAME,
+  getModelInfo,
+  getCompletionConfig,
+} from './aiConstants.js';
 
 let generator = null;
 let isLoading = false;
 let isLoaded = false;
 let loadingProgress = 0;
+let currentModelId = null; // Model held by generator
+let requestedModelId = DEFAULT_MODEL_ID; // Model the main thread asked for last
+let fimFormat = null; // Active entry of PROMPT_FORMATS, null for prefix-only
+let fimStopTokenIds = [];
+let activeGeneration = Promise.resolve(); // Settles when the running and queued generations end
+let activeRequest = null; // Completion request being generated
+let queuedRequest = null; // Newest request waiting for the model; older ones are dropped
+const stoppingCriteria = new InterruptableStoppingCriteria(); // Interrupts activeRequest
+let chatGenerator = null; // Instruct model for the chat panel, loaded on first use
+let chatModelLoad = null; // Promise of the chat model load in progress
+let activeChat = null; // Chat reply being generated
+const chatStoppingCriteria = new InterruptableStoppingCriteria(); // Interrupts activeChat
+let configOverrides = {}; // Completion tuning from the user's settings
 
 // Handle messages from the main thread
 self.onmessage = async function(e) {
@@ -13,11 +39,32 @@ self.onmessage = async function(e) {
 
   switch (type) {
     case 'PRELOAD_MODEL':
-      await handlePreloadModel();
+    case 'SWITCH_MODEL':
+      await handleLoadModel(payload && payload.modelId);
       break;
 
     case 'GENERATE_COMPLETION':
-      await handleGenerateCompletion(payload);
+      enqueueCompletion(payload);
+      break;
+
+    case 'CANCEL_COMPLETION':
+      cancelCompletion(payload.completionId);
+      break;
+
+    case 'SET_COMPLETION_CONFIG':
+      configOverrides = payload.overrides || {};
+      break;
+
+    case 'TOKENIZE':
+      handleTokenize(payload);
+      break;
+
+    case 'CHAT_GENERATE':
+      handleChatGenerate(payload);
+      break;
+
+    case 'CHAT_CANCEL':
+      cancelChat(payload.chatId);
       break;
 
     case 'GET_STATE':
@@ -27,6 +74,7 @@ self.onmessage = async function(e) {
           isLoading,
           isLoaded,
           progress: loadingProgress,
+          modelId: currentModelId,
         },
       });
       break;
@@ -36,53 +84,41 @@ self.onmessage = async function(e) {
   }
 };
 
-async function handlePreloadModel() {
-  if (isLoaded) {
-    self.postMessage({
-      type: 'MODEL_LOADED',
-      payload: { progress: 100 },
-    });
+function postModelLoaded() {
+  self.postMessage({
+    type: 'MODEL_LOADED',
+    payload: { progress: 100, modelId: currentModelId, supportsFim: fimFormat !== null },
+  });
+}
+
+// Load the requested model, replacing the current one
+// A switch that arrives mid-load is picked up as soon as that load finishes
+async function handleLoadModel(modelId = requestedModelId) {
+  requestedModelId = getModelInfo(modelId).id;
+
+  if (isLoading) {
     return;
   }
-  if (isLoading) {
+  if (isLoaded && currentModelId === requestedModelId) {
+    postModelLoaded();
     return;
   }
 
   isLoading = true;
-  loadingProgress = 0;
-
-  self.postMessage({
-    type: 'LOADING_PROGRESS',
-    payload: { progress: 0 },
-  });
-
-  console.log('Worker: Loading ' + MODEL_NAME + '...');
+  isLoaded = false;
+  let loadingModelId = requestedModelId; // Model being loaded, named in a load error
 
   try {
-    generator = await pipeline(
-      'text-generation',
-      MODEL_NAME,
-      {
-        progress_callback: (data) => {
-          loadingProgress = Math.round(data.progress);
-          self.postMessage({
-            type: 'LOADING_PROGRESS',
-            payload: { progress: loadingProgress },
-          });
-        },
-      }
-    );
+    while (currentModelId !== requestedModelId) {
+      loadingModelId = requestedModelId;
+      await loadModel(loadingModelId);
+    }
 
     isLoaded = true;
     isLoading = false;
     loadingProgress = 100;
 
-    self.postMessage({
-      type: 'MODEL_LOADED',
-      payload: { progress: 100 },
-    });
-
-    console.log('Worker: Code completion model loaded! 🚀');
+    postModelLoaded();
   } catch (err) {
     console.error('Worker: Model load failed:', err);
     isLoading = false;
@@ -90,18 +126,244 @@ async function handlePreloadModel() {
 
     self.postMessage({
       type: 'MODEL_LOAD_ERROR',
-      payload: { error: err.message },
+      payload: { error: err.message, modelId: loadingModelId },
     });
+
+    // A switch that arrived during the failed load still gets its model
+    if (loadingModelId !== requestedModelId) {
+      await handleLoadModel();
+    }
+  }
+}
+
+async function loadModel(modelId) {
+  const modelInfo = getModelInfo(modelId);
+
+  // Free the previous model's ONNX session before loading the next one,
+  // but never while a generation is still using it
+  stopExtraCandidates();
+  await activeGeneration;
+  if (generator) {
+    const previous = generator;
+    generator = null;
+    currentModelId = null;
+    await previous.dispose();
+  }
+
+  loadingProgress = 0;
+  self.postMessage({
+    type: 'LOADING_PROGRESS',
+    payload: { progress: 0, modelId },
+  });
+
+  console.log('Worker: Loading ' + modelInfo.name + ' (' + modelId + ')...');
+
+  generator = await pipeline(
+    'text-generation',
+    modelId,
+    {
+      dtype: modelInfo.dtype,
+      progress_callback: (data) => {
+        // Only file download events carry a progress percentage
+        if (data.status !== 'progress') return;
+        loadingProgress = Math.round(data.progress);
+        self.postMessage({
+          type: 'LOADING_PROGRESS',
+          payload: { progress: loadingProgress, modelId },
+        });
+      },
+    }
+  );
+  currentModelId = modelId;
+
+  detectFimSupport(modelInfo);
+
+  console.log('Worker: Code completion model loaded! 🚀');
+}
+
+// Use fill-in-the-middle prompts only if the model's format is FIM
+// and its tokenizer actually has the special tokens
+function detectFimSupport(modelInfo) {
+  const format = modelInfo.supportsFim ? PROMPT_FORMATS[modelInfo.promptFormat] : null;
+  const vocab = generator.tokenizer.model.tokens_to_ids;
+  const hasTokens = format !== null &&
+    [format.PREFIX, format.SUFFIX, format.MIDDLE].every((token) => vocab.has(token));
+
+  fimFormat = hasTokens ? format : null;
+  fimStopTokenIds = hasTokens
+    ? format.STOP_TOKENS.filter((token) => vocab.has(token)).map((token) => vocab.get(token))
+    : [];
+
+  console.log('Worker: Fill-in-the-middle prompts ' + (fimFormat ? 'enabled' : 'unavailable, using prefix only'));
+}
+
+// Build a prefix/suffix/middle prompt so the model sees the code after the cursor
+function buildFimPrompt(prefix, suffix) {
+  return fimFormat.PREFIX + prefix + fimFormat.SUFFIX + suffix + fimFormat.MIDDLE;
+}
+
+function postCancelled(completionId) {
+  self.postMessage({
+    type: 'COMPLETION_CANCELLED',
+    payload: { completionId },
+  });
+}
+
+// Queue a request behind the running one; a request still waiting is stale and dropped
+function enqueueCompletion(payload) {
+  if (queuedRequest) {
+    postCancelled(queuedRequest.completionId);
+  }
+  stopExtraCandidates();
+  queuedRequest = { ...payload, isCancelled: false };
+  processQueue();
+}
+
+// Drop a queued request, or stop the running one at the next generated token
+function cancelCompletion(completionId) {
+  if (queuedRequest && queuedRequest.completionId === completionId) {
+    queuedRequest = null;
+    postCancelled(completionId);
+  } else if (activeRequest && activeRequest.completionId === completionId) {
+    activeRequest.isCancelled = true;
+    stoppingCriteria.interrupt();
+  }
+}
+
+// Stop sampling the other candidates of an answered completion, since the model is needed
+function stopExtraCandidates() {
+  if (activeRequest && activeRequest.isAnswered) {
+    activeRequest.isCancelled = true;
+    stoppingCriteria.interrupt();
+  }
+}
+
+async function processQueue() {
+  if (activeRequest || !queuedRequest) return;
+
+  activeRequest = queuedRequest;
+  queuedRequest = null;
+  stoppingCriteria.reset();
+
+  await handleGenerateCompletion(activeRequest);
+
+  activeRequest = null;
+  processQueue();
+}
+
+// Watch decoded text, interrupting at any stop sequence
+// With isPreview the text is also streamed back to the main thread
+function createStreamer(request, stopSequences = [], isPreview = true) {
+  let text = '';
+
+  return new TextStreamer(generator.tokenizer, {
+    skip_prompt: true,
+    skip_special_tokens: true,
+    callback_function: (token) => {
+      if (request.isCancelled) return;
+      text += token;
+
+      if (isPreview) {
+        self.postMessage({
+          type: 'COMPLETION_TOKEN',
+          payload: { completionId: request.completionId, token, text },
+        });
+      }
+
+      if (stopSequences.some((sequence) => text.includes(sequence))) {
+        stoppingCriteria.interrupt();
+      }
+    },
+  });
+}
+
+// Cut generated text at the earliest stop sequence
+function truncateAtStopSequence(text, stopSequences) {
+  let end = text.length;
+  for (const sequence of stopSequences) {
+    const index = text.indexOf(sequence);
+    if (index !== -1 && index < end) {
+      end = index;
+    }
+  }
+  return text.slice(0, end);
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(repo|path|content)\}/g, (match, key) => values[key]);
+}
+
+function countTokens(text) {
+  return generator.tokenizer.encode(text, { add_special_tokens: false }).length;
+}
+
+// Count tokens of each text with the loaded model's tokenizer, for prompt budgeting
+function handleTokenize({ requestId, texts }) {
+  if (!generator) {
+    self.postMessage({
+      type: 'TOKENIZE_ERROR',
+      payload: { error: 'Model not loaded', requestId },
+    });
+    return;
+  }
+
+  self.postMessage({
+    type: 'TOKENIZE_RESULT',
+    payload: { counts: texts.map(countTokens), requestId },
+  });
+}
+
+// Render as many of the ranked snippets as fit in maxTokens, grouped per file,
+// in the active model's repo-level format; empty when nothing fits
+function buildRepoContext(contextSnippets, filePath, maxTokens) {
+  if (!contextSnippets || contextSnippets.length === 0 || maxTokens <= 0) return '';
+
+  const format = REPO_CONTEXT_FORMATS[getModelInfo(currentModelId).promptFormat];
+  const header = fillTemplate(format.HEADER, { repo: REPO_CONTEXT_NAME });
+  const currentFileHeader = fillTemplate(format.CURRENT_FILE, { path: filePath });
+
+  let usedTokens = countTokens(header + currentFileHeader);
+  const selectedByPath = new Map();
+
+  // Snippets arrive most relevant first; skip any that do not fit and try smaller ones
+  for (const snippet of contextSnippets) {
+    const isNewFile = !selectedByPath.has(snippet.path);
+    const cost = countTokens(snippet.content + '\n') +
+      (isNewFile ? countTokens(fillTemplate(format.FILE, { path: snippet.path, content: '' })) : 0);
+    if (usedTokens + cost > maxTokens) continue;
+
+    usedTokens += cost;
+    if (isNewFile) selectedByPath.set(snippet.path, []);
+    selectedByPath.get(snippet.path).push(snippet);
   }
+
+  if (selectedByPath.size === 0) return '';
+
+  const files = [...selectedByPath].map(([path, snippets]) => {
+    const content = snippets
+      .sort((a, b) => a.line - b.line)
+      .map((snippet) => snippet.content)
+      .join('\n');
+    return fillTemplate(format.FILE, { path, content });
+  });
+
+  return header + files.join('') + currentFileHeader;
 }
 
-async function handleGenerateCompletion({ prompt, lookaheadText, completionId }) {
+async function handleGenerateCompletion(request) {
+  const { completionId } = request;
+
   if (!isLoaded) {
     // Try to load the model first
-    await handlePreloadModel();
+    await handleLoadModel();
   }
 
-  if (!generator) {
+  if (request.isCancelled) {
+    postCancelled(completionId);
+    return;
+  }
+
+  if (!isLoaded) {
     self.postMessage({
       type: 'COMPLETION_ERROR',
       payload: { error: 'Model not loaded', completionId },
@@ -112,92 +374,56 @@ async function handleGenerateCompletion({ prompt, lookaheadText, completionId })
   // Notify that generation is starting
   self.postMessage({
     type: 'GENERATION_START',
+    payload: { completionId },
   });
 
   try {
-    // Build generation parameters
+    // Build generation parameters from the active model's recommended config
+    // Only the newly generated text is returned, never the prompt
+    const config = getCompletionConfig(currentModelId, configOverrides);
     const genParams = {
-      max_new_tokens: COMPLETION_CONFIG.MAX_NEW_TOKENS,
-      temperature: COMPLETION_CONFIG.TEMPERATURE,
+      max_new_tokens: config.MAX_NEW_TOKENS,
+      temperature: config.TEMPERATURE,
       do_sample: true,
+      return_full_text: false,
+      stopping_criteria: stoppingCriteria,
     };
 
-    // Build stop sequences to prevent over-generation
-    // Stop at common statement boundaries
-    const stopSequences = ['\n\n\n'];
-    
-    // If we have lookahead text, add its first few tokens as stop sequences
-    if (lookaheadText && lookaheadText.trim()) {
-      const firstLine = lookaheadText.split('\n')[0].trim();
-      if (firstLine.length > 0) {
-        // Add first word/phrase of lookahead as a stop sequence
-        const firstWords = firstLine.split(/\s+/).slice(0, 2).join(' ');
-        if (firstWords.length < 20) {
-          stopSequences.push(firstWords);
-        }
-      }
-    }
-
-    // Add stop sequences (try stop_strings, which is common in transformers.js)
-    // If not supported, the generator will ignore it and post-processing will filter
-    if (stopSequences.length > 0) {
-      genParams.stop_strings = stopSequences;
-    }
+    // Snippets from other project files go in front of the current file,
+    // within the part of the prompt budget the main thread set aside for them
+    const repoContext = buildRepoContext(
+      request.contextSnippets,
+      request.filePath,
+      request.contextTokenBudget ?? config.MAX_CROSS_FILE_TOKENS
+    );
 
-    const output = await generator(prompt, genParams);
-
-    const fullText = output[0].generated_text;
-    
-    // Extract continuation more carefully
-    let continuation = '';
-    if (fullText.length > prompt.length) {
-      continuation = fullText.slice(prompt.length);
-    } else {
-      // If model regenerated the prompt, try to find where new content starts
-      // This handles cases where the model might slightly modify the prompt
-      const promptWords = prompt.trim().split(/\s+/);
-      const fullTextWords = fullText.trim().split(/\s+/);
-      
-      // Find where new words start
-      let newContentStart = 0;
-      for (let i = 0; i < Math.min(promptWords.length, fullTextWords.length); i++) {
-        if (promptWords[i] === fullTextWords[i]) {
-          newContentStart = i + 1;
-        } else {
-          break;
-        }
-      }
-      
-      if (newContentStart < fullTextWords.length) {
-        continuation = fullTextWords.slice(newContentStart).join(' ');
-      }
-    }
+    const generate = fimFormat ? generateFimCompletion : generatePrefixCompletion;
+    const { candidates, promptText } = await runGeneration(
+      () => generateCandidates(request, repoContext, genParams, config, generate, 0, 1)
+    );
 
-    // Clean up the continuation
-    continuation = continuation
-      .replace(/^\n+/, '') // Remove leading newlines
-      .replace(/\n{3,}/g, '\n\n') // Replace multiple newlines with double
-      .trimEnd();
-
-    // If continuation would duplicate lookahead text, trim it
-    if (lookaheadText && continuation) {
-      const lookaheadTrimmed = lookaheadText.trim();
-      const continuationTrimmed = continuation.trim();
-      
-      // Check if continuation starts with lookahead content
-      if (continuationTrimmed.startsWith(lookaheadTrimmed)) {
-        continuation = '';
-      } else if (lookaheadTrimmed.startsWith(continuationTrimmed)) {
-        // If lookahead contains the continuation, it's likely already there
-        continuation = '';
-      }
+    if (request.isCancelled) {
+      postCancelled(completionId);
+      return;
     }
 
-    // Notify that generation is complete
+    // Answer with the first candidate at once; the others follow while it is shown,
+    // unless another request is already waiting for the model
+    const continuations = cleanCandidates(candidates);
+    const hasMoreCandidates = config.NUM_CANDIDATES > 1 && !queuedRequest;
     self.postMessage({
       type: 'GENERATION_COMPLETE',
-      payload: { continuation, completionId },
+      payload: {
+        continuations,
+        completionId,
+        hasMoreCandidates,
+        usage: getTokenUsage(request, repoContext, promptText, continuations),
+      },
     });
+
+    if (hasMoreCandidates) {
+      await generateExtraCandidates(request, repoContext, genParams, config, generate, candidates);
+    }
   } catch (err) {
     console.error('Worker: Generation error:', err);
     self.postMessage({
@@ -207,3 +433,227 @@ async function handleGenerateCompletion({ prompt, lookaheadText, completionId })
   }
 }
 
+// Run one generation at a time, completion or chat, since they share the ONNX runtime
+function runGeneration(task) {
+  const generation = activeGeneration.then(task);
+  activeGeneration = generation.catch(() => {});
+  return generation;
+}
+
+// Clean up candidates and drop empty and duplicate ones
+function cleanCandidates(candidates) {
+  return [...new Set(candidates.map((continuation) => continuation
+    .replace(/\n{3,}/g, '\n\n') // Replace multiple newlines with double
+    .trimEnd()
+  ))].filter(Boolean);
+}
+
+// Token counts of the parts of the prompt that was actually sent, and of the answer
+// The prefix-only fallback never sends the suffix, so it counts as zero there
+function getTokenUsage(request, repoContext, promptText, continuations) {
+  return {
+    prefixTokens: countTokens(request.prompt),
+    suffixTokens: fimFormat ? countTokens(request.lookaheadText || '') : 0,
+    contextTokens: countTokens(repoContext),
+    promptTokens: generator.tokenizer.encode(promptText).length,
+    completionTokens: continuations.reduce((total, continuation) => total + countTokens(continuation), 0),
+  };
+}
+
+// Sample candidates [start, end) one after another, each at a higher temperature
+// than the last; only the first is streamed to the editor as a preview
+async function generateCandidates(request, repoContext, genParams, config, generate, start, end) {
+  const candidates = [];
+  let promptText = '';
+
+  for (let i = start; i < end; i++) {
+    if (request.isCancelled) break;
+    stoppingCriteria.reset();
+
+    const result = await generate(request, repoContext, {
+      ...genParams,
+      temperature: genParams.temperature + i * config.CANDIDATE_TEMPERATURE_STEP,
+    }, i === 0);
+    candidates.push(result.continuation);
+    promptText = result.promptText;
+  }
+
+  return { candidates, promptText };
+}
+
+// Sample the rest of config.NUM_CANDIDATES for an answered completion and send all of
+// them with COMPLETION_CANDIDATES; a new request or model switch stops them unsent
+async function generateExtraCandidates(request, repoContext, genParams, config, generate, firstCandidates) {
+  request.isAnswered = true;
+
+  try {
+    const { candidates } = await runGeneration(
+      () => generateCandidates(request, repoContext, genParams, config, generate, 1, config.NUM_CANDIDATES)
+    );
+    if (request.isCancelled) return;
+
+    self.postMessage({
+      type: 'COMPLETION_CANDIDATES',
+      payload: {
+        continuations: cleanCandidates([...firstCandidates, ...candidates]),
+        completionId: request.completionId,
+      },
+    });
+  } catch (err) {
+    console.error('Worker: Candidate generation error:', err);
+  }
+}
+
+// The model fills the gap between prefix and suffix and stops by itself
+async function generateFimCompletion(request, repoContext, genParams, isPreview) {
+  const { prompt, lookaheadText } = request;
+  const promptText = repoContext + buildFimPrompt(prompt, lookaheadText || '');
+  const output = await generator(promptText, {
+    ...genParams,
+    eos_token_id: fimStopTokenIds,
+    streamer: createStreamer(request, [], isPreview),
+  });
+
+  return { continuation: output[0].generated_text, promptText };
+}
+
+// Fallback for models without FIM: continue the prefix and guard against the suffix
+async function generatePrefixCompletion(request, repoContext, genParams, isPreview) {
+  const { prompt, lookaheadText } = request;
+
+  // Build stop sequences to prevent over-generation
+  // Stop at common statement boundaries
+  const stopSequences = ['\n\n\n'];
+
+  // If we have lookahead text, add its first few tokens as stop sequences
+  if (lookaheadText && lookaheadText.trim()) {
+    const firstLine = lookaheadText.split('\n')[0].trim();
+    if (firstLine.length > 0) {
+      // Add first word/phrase of lookahead as a stop sequence
+      const firstWords = firstLine.split(/\s+/).slice(0, 2).join(' ');
+      if (firstWords.length < 20) {
+        stopSequences.push(firstWords);
+      }
+    }
+  }
+
+  // The streamer interrupts generation as soon as a stop sequence shows up
+  const promptText = repoContext + prompt;
+  const output = await generator(promptText, {
+    ...genParams,
+    streamer: createStreamer(request, stopSequences, isPreview),
+  });
+
+  let continuation = truncateAtStopSequence(output[0].generated_text, stopSequences)
+    .replace(/^\n+/, ''); // Remove leading newlines
+
+  // If continuation would duplicate lookahead text, trim it
+  if (lookaheadText && continuation) {
+    const lookaheadTrimmed = lookaheadText.trim();
+    const continuationTrimmed = continuation.trim();
+
+    // Check if continuation starts with lookahead content
+    if (continuationTrimmed.startsWith(lookaheadTrimmed)) {
+      continuation = '';
+    } else if (lookaheadTrimmed.startsWith(continuationTrimmed)) {
+      // If lookahead contains the continuation, it's likely already there
+      continuation = '';
+    }
+  }
+
+  return { continuation, promptText };
+}
+
+// Load the chat model once; concurrent callers share the same load
+function loadChatModel() {
+  if (chatModelLoad) return chatModelLoad;
+
+  console.log('Worker: Loading chat model ' + CHAT_MODEL.name + '...');
+  self.postMessage({ type: 'CHAT_LOADING_PROGRESS', payload: { progress: 0 } });
+
+  chatModelLoad = pipeline('text-generation', CHAT_MODEL.id, {
+    dtype: CHAT_MODEL.dtype,
+    progress_callback: (data) => {
+      if (data.status !== 'progress') return;
+      self.postMessage({
+        type: 'CHAT_LOADING_PROGRESS',
+        payload: { progress: Math.round(data.progress) },
+      });
+    },
+  }).then((loaded) => {
+    chatGenerator = loaded;
+    self.postMessage({ type: 'CHAT_MODEL_LOADED' });
+    return loaded;
+  }, (err) => {
+    // Allow a later message to retry
+    chatModelLoad = null;
+    throw err;
+  });
+
+  return chatModelLoad;
+}
+
+function cancelChat(chatId) {
+  if (activeChat && activeChat.chatId === chatId) {
+    activeChat.isCancelled = true;
+    chatStoppingCriteria.interrupt();
+  }
+}
+
+// Answer a chat conversation; messages are { role, content } with the system prompt first
+// maxNewTokens and temperature override CHAT_CONFIG, e.g. for code edits
+async function handleChatGenerate({
+  chatId,
+  messages,
+  maxNewTokens = CHAT_CONFIG.MAX_NEW_TOKENS,
+  temperature = CHAT_CONFIG.TEMPERATURE,
+}) {
+  const chat = { chatId, isCancelled: false };
+  // A new question supersedes a reply still being written or waiting for the model
+  if (activeChat) cancelChat(activeChat.chatId);
+  // and so do completion candidates sampled ahead
+  stopExtraCandidates();
+  activeChat = chat;
+
+  try {
+    await loadChatModel();
+    await runGeneration(async () => {
+      if (chat.isCancelled) return;
+      chatStoppingCriteria.reset();
+
+      let text = '';
+      const streamer = new TextStreamer(chatGenerator.tokenizer, {
+        skip_prompt: true,
+        skip_special_tokens: true,
+        callback_function: (token) => {
+          if (chat.isCancelled) return;
+          text += token;
+          self.postMessage({ type: 'CHAT_TOKEN', payload: { chatId, token, text } });
+        },
+      });
+
+      const output = await chatGenerator(messages, {
+        max_new_tokens: maxNewTokens,
+        temperature,
+        do_sample: temperature > 0,
+        streamer,
+        stopping_criteria: chatStoppingCriteria,
+      });
+
+      // The pipeline returns the whole conversation with the reply appended
+      if (!chat.isCancelled) {
+        const reply = output[0].generated_text.at(-1).content;
+        self.postMessage({ type: 'CHAT_COMPLETE', payload: { chatId, text: reply.trim() } });
+      }
+    });
+
+    if (chat.isCancelled) {
+      self.postMessage({ type: 'CHAT_CANCELLED', payload: { chatId } });
+    }
+  } catch (err) {
+    console.error('Worker: Chat error:', err);
+    self.postMessage({ type: 'CHAT_ERROR', payload: { chatId, error: err.message } });
+  } finally {
+    if (activeChat === chat) activeChat = null;
+  }
+}
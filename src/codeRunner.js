@@ -0,0 +1,125 @@
+// codeRunner.js - Main thread interface for executing user code in a sandboxed Web Worker
+import { RUN_TIMEOUT_MS } from './runnerConstants.js';
+
+function serializeFiles(files) {
+  return files.map(({ name, content }) => ({ name, content }));
+}
+
+class CodeRunner {
+  constructor() {
+    this.worker = null;
+    this.timeoutId = null;
+    this.finishRun = null; // Resolves the promise of the active run
+  }
+
+  // Run the entry file in a fresh worker, streaming console output through onOutput
+  // The other files are available to it through relative imports
+  // Resolves with the final status: 'completed', 'stopped', 'timeout' or 'crashed'
+  run(files, entryName, { timeoutMs = RUN_TIMEOUT_MS, onOutput } = {}) {
+    return this.start({ type: 'RUN_CODE', payload: { files: serializeFiles(files), entryName } }, {
+      timeoutMs,
+      onOutput,
+      completeType: 'RUN_COMPLETE',
+    });
+  }
+
+  // Run test files one after another in a fresh worker; onTestResult receives each
+  // test's { file, titlePath, status, durationMs, error, location } and each test file
+  // that failed to load as { file, status: 'error', error }
+  // Resolves with the final status, like run
+  runTests(files, testFileNames, { timeoutMs = RUN_TIMEOUT_MS, onOutput, onTestResult } = {}) {
+    return this.start({ type: 'RUN_TESTS', payload: { files: serializeFiles(files), testFiles: testFileNames } }, {
+      timeoutMs,
+      onOutput,
+      onTestResult,
+      completeType: 'TESTS_COMPLETE',
+    });
+  }
+
+  start(message, { timeoutMs, onOutput, onTestResult, completeType }) {
+    // Only one run at a time; starting a new run kills the previous one
+    this.stop();
+
+    const worker = new Worker(new URL('./runnerWorker.js', import.meta.url), {
+      type: 'module',
+    });
+    this.worker = worker;
+
+    return new Promise((resolve) => {
+      this.finishRun = (status) => {
+        clearTimeout(this.timeoutId);
+        this.timeoutId = null;
+        worker.terminate();
+        this.worker = null;
+        this.finishRun = null;
+        resolve(status);
+      };
+
+      worker.onmessage = (e) => {
+        const { type, payload } = e.data;
+
+        switch (type) {
+          case 'CONSOLE_OUTPUT':
+            if (onOutput) onOutput(payload);
+            break;
+
+          case 'TEST_RESULT':
+            if (onTestResult) onTestResult(payload);
+            break;
+
+          case 'TEST_FILE_ERROR':
+            if (onTestResult) onTestResult({ ...payload, titlePath: [], status: 'error', durationMs: 0, location: null });
+            break;
+
+          case completeType:
+            this.finishRun('completed');
+            break;
+        }
+      };
+
+      worker.onerror = (error) => {
+        error.preventDefault();
+        if (onOutput) {
+          onOutput({ type: 'error', prefix: 'Error:', message: error.message || 'Sandbox crashed' });
+        }
+        this.finishRun('crashed');
+      };
+
+      // Wall-clock limit: a blocked worker cannot respond, so it is simply terminated
+      this.timeoutId = setTimeout(() => {
+        if (onOutput) {
+          onOutput({
+            type: 'error',
+            prefix: 'Error:',
+            message: `Execution timed out after ${timeoutMs / 1000}s (possible infinite loop)`,
+          });
+        }
+        this.finishRun('timeout');
+      }, timeoutMs);
+
+      worker.postMessage(message);
+    });
+  }
+
+  // Kill the active run, if any
+  stop() {
+    if (this.finishRun) {
+      this.finishRun('stopped');
+    }
+  }
+}
+
+// Export singleton instance
+const codeRunner = new CodeRunner();
+
+export function executeCode(files, entryName, options) {
+  return codeRunner.run(files, entryName, options);
+}
+
+export function executeTests(files, testFileNames, options) {
+  return codeRunner.runTests(files, testFileNames, options);
+}
+
+export function stopExecution() {
+  codeRunner.stop();
+}
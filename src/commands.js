@@ -0,0 +1,62 @@
+// commands.js - Every named command of the IDE, with its default keybinding
+// App.jsx supplies a handler for each id. All of them are added to the editor as Monaco
+// actions too, so their keybindings win over Monaco's own while the editor has focus;
+// those with contextMenu set also show in the editor's right-click menu.
+import { toMonacoKeybinding } from './keybindings.js';
+
+export const COMMANDS = [
+  { id: 'workbench.showCommands', category: 'View', label: 'Show All Commands', keybinding: 'Ctrl+Shift+P' },
+  { id: 'workbench.openSettings', category: 'Preferences', label: 'Open Settings', keybinding: 'Ctrl+,' },
+  { id: 'workbench.openKeybindings', category: 'Preferences', label: 'Keyboard Shortcuts', keybinding: null },
+  { id: 'workbench.toggleTheme', category: 'Preferences', label: 'Toggle Light/Dark Theme', keybinding: null },
+  { id: 'workbench.toggleExplorer', category: 'View', label: 'Toggle File Explorer', keybinding: 'Ctrl+B' },
+  { id: 'workbench.toggleChat', category: 'View', label: 'Toggle AI Chat', keybinding: 'Ctrl+Alt+C' },
+  { id: 'workbench.toggleSplitEditor', category: 'View', label: 'Toggle Split Editor', keybinding: 'Ctrl+\\' },
+  { id: 'search.findInFiles', category: 'Search', label: 'Find in Files', keybinding: 'Ctrl+Shift+F' },
+  { id: 'search.replaceInFiles', category: 'Search', label: 'Replace in Files', keybinding: 'Ctrl+Shift+H' },
+  { id: 'history.showTimeline', category: 'Local History', label: 'Show Timeline', keybinding: null },
+  { id: 'history.createCheckpoint', category: 'Local History', label: 'Create Checkpoint...', keybinding: null },
+  { id: 'file.new', category: 'File', label: 'New File', keybinding: 'Alt+N' },
+  { id: 'file.download', category: 'File', label: 'Download Current File', keybinding: 'Ctrl+S' },
+  { id: 'file.close', category: 'File', label: 'Close Editor', keybinding: 'Alt+W' },
+  { id: 'run.runCode', category: 'Run', label: 'Run Code', keybinding: 'Ctrl+Enter' },
+  { id: 'run.runTests', category: 'Run', label: 'Run All Tests', keybinding: 'Ctrl+Shift+Enter' },
+  { id: 'run.stop', category: 'Run', label: 'Stop', keybinding: 'Shift+F5' },
+  { id: 'project.new', category: 'Project', label: 'New Project...', keybinding: null },
+  { id: 'project.rename', category: 'Project', label: 'Rename Project...', keybinding: null },
+  { id: 'project.export', category: 'Project', label: 'Export Project as .zip', keybinding: null },
+  { id: 'ai.triggerCompletion', category: 'AI', label: 'Trigger Completion Now', keybinding: 'Alt+\\' },
+  {
+    id: 'ai.editWithInstruction',
+    category: 'AI',
+    label: 'Edit Selection with Instruction...',
+    keybinding: 'Ctrl+I',
+    precondition: 'editorHasSelection && !editorReadonly',
+    contextMenu: true,
+  },
+  { id: 'ai.generateTests', category: 'AI', label: 'Generate Tests for This Function', keybinding: null, contextMenu: true },
+];
+
+export function getCommandTitle(command) {
+  return `${command.category}: ${command.label}`;
+}
+
+// Add every command to a Monaco editor with its current keybinding
+// run(commandId) runs a command; returns the actions, to dispose when the keybindings change
+export function addCommandActions(editor, monaco, keybindings, run) {
+  const taken = new Set();
+  return COMMANDS.map((command) => {
+    // A keybinding shared by several commands runs the first one, as outside the editor
+    const keybinding = keybindings.get(command.id);
+    const monacoKeybinding = keybinding && !taken.has(keybinding) ? toMonacoKeybinding(monaco, keybinding) : null;
+    taken.add(keybinding);
+    return editor.addAction({
+      id: command.id,
+      label: getCommandTitle(command),
+      keybindings: monacoKeybinding === null ? [] : [monacoKeybinding],
+      precondition: command.precondition,
+      contextMenuGroupId: command.contextMenu ? '1_modification' : undefined,
+      run: () => run(command.id),
+    });
+  });
+}
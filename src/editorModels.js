@@ -0,0 +1,56 @@
+// editorModels.js - One Monaco model per project file, kept alive while the file exists
+// Models are named after the file's path (file:///src/app.js), so the TypeScript service
+// sees every file for go-to-definition and cross-file IntelliSense, and each file keeps its
+// undo history while the editors switch between models.
+
+// Model URI of a file path, as passed to the editors' path prop
+export function getModelPath(fileName) {
+  return `file:///${fileName.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+// Project path of a model URI, or null for models that are not project files, like diff views
+export function getUriFileName(uri) {
+  return uri.scheme === 'file' ? uri.path.slice(1) : null;
+}
+
+class EditorModels {
+  constructor() {
+    this.fileIds = new WeakMap(); // model -> id of the file it holds
+    this.syncedContents = new WeakMap(); // model -> file content it was last checked against
+  }
+
+  // Create, update and dispose models to match the files
+  sync(monaco, files) {
+    const fileNames = new Set();
+    for (const file of files) {
+      fileNames.add(file.name);
+      const uri = monaco.Uri.parse(getModelPath(file.name));
+      let model = monaco.editor.getModel(uri);
+      if (!model) {
+        model = monaco.editor.createModel(file.content, 'javascript', uri);
+      } else if (this.fileIds.has(model) && this.fileIds.get(model) !== file.id) {
+        // Another file had this path, e.g. in the previous project: start a new undo history
+        model.setValue(file.content);
+      } else if (this.syncedContents.get(model) !== file.content && model.getValue() !== file.content) {
+        // Changed outside the editor, e.g. by Replace All, as an edit that can be undone
+        model.pushStackElement();
+        model.pushEditOperations([], [{ range: model.getFullModelRange(), text: file.content }], () => null);
+        model.pushStackElement();
+      }
+      this.fileIds.set(model, file.id);
+      this.syncedContents.set(model, file.content);
+    }
+
+    for (const model of monaco.editor.getModels()) {
+      const fileName = getUriFileName(model.uri);
+      if (fileName !== null && !fileNames.has(fileName)) model.dispose();
+    }
+  }
+}
+
+// Export singleton instance
+const editorModels = new EditorModels();
+
+export function syncFileModels(monaco, files) {
+  editorModels.sync(monaco, files);
+}
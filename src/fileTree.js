@@ -0,0 +1,97 @@
+// fileTree.js - Paths of the project's files and folders, and the explorer tree built from them
+// Files are stored flat as { id, name, content }, where name is the path from the project
+// root such as 'src/utils.js'; folders are implied by those paths and only stored while empty.
+
+// Characters that would break a path or a relative import
+const INVALID_NAME_CHARS = /[/\\:*?"<>|]/;
+
+export function getBaseName(path) {
+  return path.slice(path.lastIndexOf('/') + 1);
+}
+
+// The folder containing path, or '' for the project root
+export function getParentPath(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+export function joinPath(folder, name) {
+  return folder ? `${folder}/${name}` : name;
+}
+
+// Whether path is folder itself or anything inside it
+export function isWithin(path, folder) {
+  return path === folder || path.startsWith(`${folder}/`);
+}
+
+// A path within from, moved to to: 'a/b/c.js' with 'a/b' -> 'x' gives 'x/c.js'
+export function replacePrefix(path, from, to) {
+  return path === from ? to : joinPath(to, path.slice(from.length + 1));
+}
+
+// Check a single file or folder name typed by the user
+// Returns an error message, or null when the name can be used
+export function validateName(name) {
+  if (!name) return 'A name is required';
+  if (name === '.' || name === '..') return `"${name}" is not a valid name`;
+  if (INVALID_NAME_CHARS.test(name)) return 'Names cannot contain / \\ : * ? " < > |';
+  if (name !== name.trim()) return 'Names cannot start or end with spaces';
+  return null;
+}
+
+// Every folder in the project: the stored ones and the parents of every file
+export function getAllFolders(files, folders) {
+  const all = new Set(folders);
+  for (const file of files) {
+    for (let parent = getParentPath(file.name); parent; parent = getParentPath(parent)) {
+      all.add(parent);
+    }
+  }
+  return [...all].sort();
+}
+
+// The explorer tree: { folders: [{ name, path, folders, files }], files }, with
+// folders and files sorted by name at each level
+export function buildFileTree(files, folders) {
+  const root = { folders: [], files: [] };
+  const nodes = new Map([['', root]]);
+
+  for (const path of getAllFolders(files, folders)) {
+    const node = { name: getBaseName(path), path, folders: [], files: [] };
+    nodes.set(path, node);
+  }
+  for (const [path, node] of nodes) {
+    if (path) nodes.get(getParentPath(path)).folders.push(node);
+  }
+  for (const file of files) {
+    nodes.get(getParentPath(file.name)).files.push(file);
+  }
+
+  for (const node of nodes.values()) {
+    node.folders.sort((a, b) => a.name.localeCompare(b.name));
+    node.files.sort((a, b) => getBaseName(a.name).localeCompare(getBaseName(b.name)));
+  }
+  return root;
+}
+
+// A file name in folder that is not taken yet: file1.js, file2.js, ...
+export function getUniqueFileName(files, folder, prefix = 'file') {
+  const names = new Set(files.map((file) => file.name));
+  for (let index = 1; ; index++) {
+    const path = joinPath(folder, `${prefix}${index}.js`);
+    if (!names.has(path)) return path;
+  }
+}
+
+// 'a/b.js' -> 'a/b (2).js', the first such name that is not taken
+export function getFreePath(path, isTaken) {
+  if (!isTaken(path)) return path;
+  const name = getBaseName(path);
+  const dot = name.lastIndexOf('.');
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+  for (let index = 2; ; index++) {
+    const candidate = joinPath(getParentPath(path), `${stem} (${index})${extension}`);
+    if (!isTaken(candidate)) return candidate;
+  }
+}
@@ -0,0 +1,176 @@
+// keybindings.js - Keyboard shortcuts for commands, with the user's overrides
+// A keybinding is written like "Ctrl+Shift+P": modifiers in the order Ctrl, Shift, Alt and
+// then one key. Ctrl stands for Cmd on macOS, as in Monaco. Overrides map a command id to
+// a keybinding, or to null when the user removed the command's default one.
+import { KEYBINDINGS_STORAGE_KEY } from './storageConstants.js';
+
+const MODIFIERS = ['Ctrl', 'Shift', 'Alt'];
+
+// Shortcuts the browser keeps for itself; pages never receive them
+const RESERVED_KEYBINDINGS = new Set(['Ctrl+N', 'Ctrl+T', 'Ctrl+W', 'Ctrl+Shift+N', 'Ctrl+Shift+T', 'Ctrl+Shift+W', 'Ctrl+Tab']);
+
+// KeyboardEvent.code of keys that are not letters, digits or F-keys -> key name
+const CODE_KEYS = {
+  Enter: 'Enter',
+  Escape: 'Escape',
+  Tab: 'Tab',
+  Space: 'Space',
+  Backspace: 'Backspace',
+  Delete: 'Delete',
+  Insert: 'Insert',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'PageUp',
+  PageDown: 'PageDown',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  Semicolon: ';',
+  Equal: '=',
+  Comma: ',',
+  Minus: '-',
+  Period: '.',
+  Slash: '/',
+  Backquote: '`',
+  BracketLeft: '[',
+  Backslash: '\\',
+  BracketRight: ']',
+  Quote: "'",
+};
+
+// Key name -> monaco.KeyCode member, for keys not named the same way there
+const MONACO_KEY_CODES = {
+  Up: 'UpArrow',
+  Down: 'DownArrow',
+  Left: 'LeftArrow',
+  Right: 'RightArrow',
+  ';': 'Semicolon',
+  '=': 'Equal',
+  ',': 'Comma',
+  '-': 'Minus',
+  '.': 'Period',
+  '/': 'Slash',
+  '`': 'Backquote',
+  '[': 'BracketLeft',
+  '\\': 'Backslash',
+  ']': 'BracketRight',
+  "'": 'Quote',
+};
+
+const KEY_NAMES = Object.values(CODE_KEYS);
+
+// The key name a typed key stands for, ignoring case ("pageup" -> "PageUp"), or null
+function findKeyName(text) {
+  const upper = text.toUpperCase();
+  if (/^[A-Z0-9]$/.test(upper) || /^F([1-9]|1[0-9])$/.test(upper)) return upper;
+  return KEY_NAMES.find((name) => name.toLowerCase() === text.toLowerCase()) || null;
+}
+
+// The key of a KeyboardEvent, independent of the keyboard layout's shifted characters
+function getKeyName(event) {
+  const { code } = event;
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^(Digit|Numpad)[0-9]$/.test(code)) return code.slice(-1);
+  if (/^F([1-9]|1[0-9])$/.test(code)) return code;
+  if (code === 'NumpadEnter') return 'Enter';
+  return CODE_KEYS[code] || null;
+}
+
+// "Ctrl+Shift+P" for a KeyboardEvent, or null while only modifiers are held
+export function formatKeyEvent(event) {
+  const key = getKeyName(event);
+  if (!key) return null;
+  const modifiers = [
+    (event.ctrlKey || event.metaKey) && 'Ctrl',
+    event.shiftKey && 'Shift',
+    event.altKey && 'Alt',
+  ].filter(Boolean);
+  return [...modifiers, key].join('+');
+}
+
+// A keybinding in its canonical form ("shift+ctrl+p" -> "Ctrl+Shift+P"), or null if it is not one
+export function normalizeKeybinding(text) {
+  if (typeof text !== 'string') return null;
+  const parts = text.split('+').map((part) => part.trim());
+  const key = findKeyName(parts.pop());
+  if (!key) return null;
+
+  const modifiers = new Set();
+  for (const part of parts) {
+    const modifier = MODIFIERS.find((name) => name.toLowerCase() === part.toLowerCase())
+      || (/^(cmd|meta)$/i.test(part) ? 'Ctrl' : null);
+    if (!modifier || modifiers.has(modifier)) return null;
+    modifiers.add(modifier);
+  }
+  return [...MODIFIERS.filter((name) => modifiers.has(name)), key].join('+');
+}
+
+export function isReservedKeybinding(keybinding) {
+  return RESERVED_KEYBINDINGS.has(keybinding);
+}
+
+// Whether a keybinding uses Ctrl or Alt, so it can fire while typing in a text field
+export function hasCommandModifier(keybinding) {
+  return /(^|\+)(Ctrl|Alt)\+/.test(keybinding);
+}
+
+// The number Monaco's addAction takes for a keybinding, or null if Monaco has no such key
+export function toMonacoKeybinding(monaco, keybinding) {
+  const parts = keybinding.split('+');
+  const key = parts.pop();
+  let keyCodeName = MONACO_KEY_CODES[key] || key;
+  if (/^[0-9]$/.test(key)) keyCodeName = `Digit${key}`;
+  if (/^[A-Z]$/.test(key)) keyCodeName = `Key${key}`;
+  const keyCode = monaco.KeyCode[keyCodeName];
+  if (keyCode === undefined) return null;
+  let result = keyCode;
+  if (parts.includes('Ctrl')) result |= monaco.KeyMod.CtrlCmd;
+  if (parts.includes('Shift')) result |= monaco.KeyMod.Shift;
+  if (parts.includes('Alt')) result |= monaco.KeyMod.Alt;
+  return result;
+}
+
+// The user's overrides: { commandId: keybinding or null }, in canonical form so they
+// match the keybindings they are compared with; ones that are not keybindings are dropped
+export function loadKeybindingOverrides() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEYBINDINGS_STORAGE_KEY));
+    if (!saved || typeof saved !== 'object') return {};
+    return Object.fromEntries(
+      Object.entries(saved).flatMap(([commandId, keybinding]) => {
+        if (keybinding === null) return [[commandId, null]];
+        const normalized = normalizeKeybinding(keybinding);
+        return normalized ? [[commandId, normalized]] : [];
+      })
+    );
+  } catch {
+    return {};
+  }
+}
+
+export function saveKeybindingOverrides(overrides) {
+  try {
+    localStorage.setItem(KEYBINDINGS_STORAGE_KEY, JSON.stringify(overrides));
+  } catch (error) {
+    console.warn('Could not save keybindings:', error);
+  }
+}
+
+// The keybinding of each command, with the overrides applied: commandId -> keybinding or null
+export function resolveKeybindings(commands, overrides) {
+  return new Map(commands.map((command) => [
+    command.id,
+    command.id in overrides ? overrides[command.id] : command.keybinding || null,
+  ]));
+}
+
+// Keybindings shared by several commands: keybinding -> [commandId, ...]
+export function findConflicts(keybindings) {
+  const byKeybinding = new Map();
+  for (const [commandId, keybinding] of keybindings) {
+    if (!keybinding) continue;
+    byKeybinding.set(keybinding, [...(byKeybinding.get(keybinding) || []), commandId]);
+  }
+  return new Map([...byKeybinding].filter(([, commandIds]) => commandIds.length > 1));
+}
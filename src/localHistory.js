@@ -0,0 +1,224 @@
+// localHistory.js - Keeps earlier versions of each file and named checkpoints of a project
+// A snapshot is one file's content at a point in time. While a file is being edited, the
+// content it had before is kept at most once per HISTORY_SNAPSHOT_INTERVAL_MS; a deleted
+// file, and a file about to be changed all at once (AI edit, Replace All, restore), is
+// always kept. A checkpoint is every file and folder of the project under a name.
+// Both live in IndexedDB next to the projects, keyed [projectId, id]; ids are creation times.
+import {
+  HISTORY_SNAPSHOT_INTERVAL_MS,
+  MAX_SNAPSHOTS_PER_FILE,
+  MAX_HISTORY_CHARS_PER_PROJECT,
+  MAX_SNAPSHOT_CHARS,
+} from './storageConstants.js';
+import { openProjectDatabase, promisify, whenComplete, projectKeysRange } from './projectStorage.js';
+
+// Drop the oldest snapshots of files past MAX_SNAPSHOTS_PER_FILE, then the oldest of any
+// file while the project's history is over MAX_HISTORY_CHARS_PER_PROJECT
+function pruneSnapshots(store, projectId, snapshots) {
+  const counts = new Map();
+  let totalChars = 0;
+  for (const snapshot of snapshots) {
+    counts.set(snapshot.fileId, (counts.get(snapshot.fileId) || 0) + 1);
+    totalChars += snapshot.content.length;
+  }
+
+  for (const snapshot of [...snapshots].sort((a, b) => a.id - b.id)) {
+    const count = counts.get(snapshot.fileId);
+    if (count <= MAX_SNAPSHOTS_PER_FILE && totalChars <= MAX_HISTORY_CHARS_PER_PROJECT) continue;
+    store.delete([projectId, snapshot.id]);
+    counts.set(snapshot.fileId, count - 1);
+    totalChars -= snapshot.content.length;
+  }
+}
+
+class LocalHistory {
+  constructor() {
+    // Files of the tracked project as last seen: fileId -> { name, content }
+    this.projectId = null;
+    this.knownFiles = new Map();
+    this.lastSnapshotAt = new Map(); // fileId -> when its last snapshot was taken
+    this.lastId = 0;
+    this.writes = Promise.resolve(); // Chain of writes, so they land in order
+    this.changeCallback = null;
+  }
+
+  setChangeCallback(callback) {
+    this.changeCallback = callback;
+  }
+
+  // Creation time in milliseconds, made unique
+  nextId() {
+    this.lastId = Math.max(Date.now(), this.lastId + 1);
+    return this.lastId;
+  }
+
+  // Run a write after the earlier ones; a failed write does not hold up later ones
+  enqueue(task) {
+    const result = this.writes.then(task).then(() => {
+      if (this.changeCallback) this.changeCallback();
+    });
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  // Compare the project's files with those seen last time, keeping the content that
+  // was replaced or deleted; switching projects starts over without a snapshot
+  trackFiles(projectId, files) {
+    if (projectId !== this.projectId) {
+      this.projectId = projectId;
+      this.knownFiles = new Map(files.map((file) => [file.id, { name: file.name, content: file.content }]));
+      this.lastSnapshotAt = new Map();
+      return;
+    }
+
+    const now = Date.now();
+    const snapshots = [];
+    const fileIds = new Set();
+    for (const file of files) {
+      fileIds.add(file.id);
+      const known = this.knownFiles.get(file.id);
+      if (
+        known &&
+        known.content !== file.content &&
+        now - (this.lastSnapshotAt.get(file.id) || 0) >= HISTORY_SNAPSHOT_INTERVAL_MS
+      ) {
+        snapshots.push({ id: file.id, name: known.name, content: known.content, reason: 'edit' });
+      }
+      this.knownFiles.set(file.id, { name: file.name, content: file.content });
+    }
+    for (const [fileId, known] of this.knownFiles) {
+      if (fileIds.has(fileId)) continue;
+      snapshots.push({ id: fileId, name: known.name, content: known.content, reason: 'delete' });
+      this.knownFiles.delete(fileId);
+    }
+
+    if (snapshots.length > 0) this.saveSnapshots(projectId, snapshots);
+  }
+
+  // Keep the content of files ({ id, name, content, reason }); failures are only logged,
+  // since history must never get in the way of editing
+  saveSnapshots(projectId, files) {
+    const createdAt = Date.now();
+    const records = files
+      .filter((file) => file.content.length <= MAX_SNAPSHOT_CHARS)
+      .map((file) => {
+        if (projectId === this.projectId) this.lastSnapshotAt.set(file.id, createdAt);
+        return {
+          projectId,
+          id: this.nextId(),
+          fileId: file.id,
+          fileName: file.name,
+          content: file.content,
+          reason: file.reason,
+          createdAt,
+        };
+      });
+    if (records.length === 0) return Promise.resolve();
+
+    return this.enqueue(() => this.writeSnapshots(projectId, records)).catch((error) => {
+      console.warn('Could not save local history:', error);
+    });
+  }
+
+  async writeSnapshots(projectId, records) {
+    const db = await openProjectDatabase();
+    const transaction = db.transaction('snapshots', 'readwrite');
+    const store = transaction.objectStore('snapshots');
+    const snapshots = await promisify(store.getAll(projectKeysRange(projectId)));
+
+    for (const record of records) {
+      // An edit that ended where the file's last snapshot was adds nothing
+      const latest = snapshots
+        .filter((snapshot) => snapshot.fileId === record.fileId)
+        .reduce((newest, snapshot) => (!newest || snapshot.id > newest.id ? snapshot : newest), null);
+      if (record.reason === 'edit' && latest && latest.content === record.content) continue;
+      store.put(record);
+      snapshots.push(record);
+    }
+    pruneSnapshots(store, projectId, snapshots);
+    await whenComplete(transaction);
+  }
+
+  // Snapshots of a project as { id, fileId, fileName, content, reason, createdAt }, newest first
+  async listSnapshots(projectId) {
+    await this.writes;
+    const db = await openProjectDatabase();
+    const snapshots = await promisify(db.transaction('snapshots').objectStore('snapshots').getAll(projectKeysRange(projectId)));
+    return snapshots.sort((a, b) => b.id - a.id);
+  }
+
+  // Keep every file and folder of the project under a name
+  createCheckpoint(projectId, name, { files, folders }) {
+    const checkpoint = {
+      projectId,
+      id: this.nextId(),
+      name,
+      files: files.map(({ id, name: fileName, content }) => ({ id, name: fileName, content })),
+      folders,
+      createdAt: Date.now(),
+    };
+    return this.enqueue(async () => {
+      const db = await openProjectDatabase();
+      const transaction = db.transaction('checkpoints', 'readwrite');
+      transaction.objectStore('checkpoints').add(checkpoint);
+      await whenComplete(transaction);
+    }).then(() => checkpoint);
+  }
+
+  // Checkpoints of a project as { id, name, files, folders, createdAt }, newest first
+  async listCheckpoints(projectId) {
+    await this.writes;
+    const db = await openProjectDatabase();
+    const checkpoints = await promisify(
+      db.transaction('checkpoints').objectStore('checkpoints').getAll(projectKeysRange(projectId))
+    );
+    return checkpoints.sort((a, b) => b.id - a.id);
+  }
+
+  deleteCheckpoint(projectId, checkpointId) {
+    return this.enqueue(async () => {
+      const db = await openProjectDatabase();
+      const transaction = db.transaction('checkpoints', 'readwrite');
+      transaction.objectStore('checkpoints').delete([projectId, checkpointId]);
+      await whenComplete(transaction);
+    });
+  }
+}
+
+// Export singleton instance
+const localHistory = new LocalHistory();
+
+// Call with the project's files whenever they change
+export function trackFileHistory(projectId, files) {
+  localHistory.trackFiles(projectId, files);
+}
+
+// Keep the current content of files before they are changed all at once
+// reason is "ai-edit", "replace" or "restore"
+export function saveFileSnapshots(projectId, files, reason) {
+  return localHistory.saveSnapshots(
+    projectId,
+    files.map((file) => ({ id: file.id, name: file.name, content: file.content, reason }))
+  );
+}
+
+export function listSnapshots(projectId) {
+  return localHistory.listSnapshots(projectId);
+}
+
+export function createCheckpoint(projectId, name, state) {
+  return localHistory.createCheckpoint(projectId, name, state);
+}
+
+export function listCheckpoints(projectId) {
+  return localHistory.listCheckpoints(projectId);
+}
+
+export function deleteCheckpoint(projectId, checkpointId) {
+  return localHistory.deleteCheckpoint(projectId, checkpointId);
+}
+
+// callback is called after each change to the history, to show it again
+export function setHistoryChangeCallback(callback) {
+  localHistory.setChangeCallback(callback);
+}
@@ -0,0 +1,518 @@
+// moduleLoader.js - ES module loader that links the IDE's files together inside the sandbox
+// Each file is parsed with acorn, its import/export statements are rewritten in place
+// (keeping line and column positions) and the body runs inside a function whose
+// imported bindings are live getters onto the exporting module's namespace.
+import { parse } from 'acorn';
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+};
+
+// Local binding that holds an anonymous `export default` value
+const DEFAULT_BINDING = '__default__';
+
+const URL_SPECIFIER = /^https?:\/\//;
+
+// A stack frame: V8's `at fn (path:1:2)` or `at path:1:2`, or `fn@path:1:2` elsewhere
+const STACK_FRAME = /^\s*(?:at\s+(?:(.*?)\s+\()?|(.*?)@)(.+?):(\d+):(\d+)\)?\s*$/;
+
+// Module used to measure where the engine reports positions in compiled modules
+const PROBE_PATH = '__probe__.js';
+const PROBE_CODE = '__module__.error = new Error();';
+
+// Normalize a path like './src/../utils.js' into 'utils.js'
+function normalizePath(path) {
+  const segments = [];
+  for (const segment of path.split('/')) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') {
+      segments.pop();
+    } else {
+      segments.push(segment);
+    }
+  }
+  return segments.join('/');
+}
+
+function dirname(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+// Replace everything but line breaks with spaces so later code keeps its position
+function blankOut(text) {
+  return text.replace(/[^\r\n]/g, ' ');
+}
+
+function moduleExportName(node) {
+  return node.type === 'Identifier' ? node.name : node.value;
+}
+
+// Collect the identifiers declared by a binding pattern such as `{ a, b: [c] }`
+function collectBindingNames(pattern, names = []) {
+  switch (pattern.type) {
+    case 'Identifier':
+      names.push(pattern.name);
+      break;
+    case 'ObjectPattern':
+      for (const property of pattern.properties) {
+        collectBindingNames(property.type === 'RestElement' ? property.argument : property.value, names);
+      }
+      break;
+    case 'ArrayPattern':
+      for (const element of pattern.elements) {
+        if (element) collectBindingNames(element, names);
+      }
+      break;
+    case 'AssignmentPattern':
+      collectBindingNames(pattern.left, names);
+      break;
+    case 'RestElement':
+      collectBindingNames(pattern.argument, names);
+      break;
+  }
+  return names;
+}
+
+function walk(node, visit) {
+  visit(node);
+  for (const key of Object.keys(node)) {
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (child && typeof child.type === 'string') walk(child, visit);
+      }
+    } else if (value && typeof value.type === 'string') {
+      walk(value, visit);
+    }
+  }
+}
+
+// Parse a file as an ES module, falling back to a sloppy-mode script for files
+// without import/export that rely on non-strict syntax
+function parseSource(path, source) {
+  try {
+    return { ast: parse(source, { ...PARSE_OPTIONS, sourceType: 'module' }), isStrict: true };
+  } catch (moduleError) {
+    try {
+      return { ast: parse(source, { ...PARSE_OPTIONS, sourceType: 'script' }), isStrict: false };
+    } catch (scriptError) {
+      // The parser that got further is the one that hit the real mistake
+      const error = scriptError.pos > moduleError.pos ? scriptError : moduleError;
+      const syntaxError = new SyntaxError(`${error.message} in ${path}`);
+      syntaxError.location = { path, line: error.loc.line, column: error.loc.column + 1 };
+      throw syntaxError;
+    }
+  }
+}
+
+// Rewrite import/export syntax and gather the module's static import/export tables
+function analyzeModule(path, source) {
+  const { ast, isStrict } = parseSource(path, source);
+  const edits = [];
+  const record = {
+    isStrict,
+    requests: [],
+    imports: [],
+    localExports: new Map(),
+    indirectExports: [],
+    starExports: [],
+  };
+
+  const request = (specifier) => {
+    if (!record.requests.includes(specifier)) {
+      record.requests.push(specifier);
+    }
+  };
+  const removeStatement = (node) => {
+    edits.push({ start: node.start, end: node.end, text: blankOut(source.slice(node.start, node.end)) });
+  };
+  const removeExportKeyword = (node) => {
+    edits.push({
+      start: node.start,
+      end: node.declaration.start,
+      text: blankOut(source.slice(node.start, node.declaration.start)),
+    });
+  };
+
+  for (const node of ast.body) {
+    switch (node.type) {
+      case 'ImportDeclaration': {
+        const specifier = node.source.value;
+        request(specifier);
+        for (const item of node.specifiers) {
+          let imported = 'default';
+          if (item.type === 'ImportNamespaceSpecifier') {
+            imported = '*';
+          } else if (item.type === 'ImportSpecifier') {
+            imported = moduleExportName(item.imported);
+          }
+          record.imports.push({ local: item.local.name, specifier, imported });
+        }
+        removeStatement(node);
+        break;
+      }
+
+      case 'ExportNamedDeclaration':
+        if (node.declaration) {
+          const declaration = node.declaration;
+          const names = declaration.type === 'VariableDeclaration'
+            ? declaration.declarations.flatMap((item) => collectBindingNames(item.id))
+            : [declaration.id.name];
+          for (const name of names) {
+            record.localExports.set(name, name);
+          }
+          removeExportKeyword(node);
+        } else if (node.source) {
+          const specifier = node.source.value;
+          request(specifier);
+          for (const item of node.specifiers) {
+            record.indirectExports.push({
+              exported: moduleExportName(item.exported),
+              specifier,
+              imported: moduleExportName(item.local),
+            });
+          }
+          removeStatement(node);
+        } else {
+          for (const item of node.specifiers) {
+            record.localExports.set(moduleExportName(item.exported), item.local.name);
+          }
+          removeStatement(node);
+        }
+        break;
+
+      case 'ExportDefaultDeclaration': {
+        const declaration = node.declaration;
+        const isNamedDeclaration =
+          (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') &&
+          declaration.id;
+
+        if (isNamedDeclaration) {
+          record.localExports.set('default', declaration.id.name);
+          removeExportKeyword(node);
+        } else {
+          record.localExports.set('default', DEFAULT_BINDING);
+          edits.push({ start: node.start, end: declaration.start, text: `const ${DEFAULT_BINDING} = ` });
+        }
+        break;
+      }
+
+      case 'ExportAllDeclaration': {
+        const specifier = node.source.value;
+        request(specifier);
+        if (node.exported) {
+          record.indirectExports.push({ exported: moduleExportName(node.exported), specifier, imported: '*' });
+        } else {
+          record.starExports.push(specifier);
+        }
+        removeStatement(node);
+        break;
+      }
+    }
+  }
+
+  // Dynamic import() and import.meta go through the loader
+  walk(ast, (node) => {
+    if (node.type === 'ImportExpression') {
+      edits.push({ start: node.start, end: node.start + 'import'.length, text: '__module__.import' });
+    } else if (node.type === 'MetaProperty' && node.meta.name === 'import') {
+      edits.push({ start: node.start, end: node.end, text: '__module__.meta' });
+    }
+  });
+
+  let code = source;
+  for (const edit of edits.sort((a, b) => b.start - a.start)) {
+    code = code.slice(0, edit.start) + edit.text + code.slice(edit.end);
+  }
+  record.code = code;
+
+  return record;
+}
+
+// Build the function that evaluates a module
+// Calling it registers the module's export getters (function declarations are
+// hoisted, so they work before evaluation) and then waits for its turn to run.
+function compileModule(path, record) {
+  const exportGetters = [...record.localExports]
+    .map(([exported, local]) => `${JSON.stringify(exported)}: () => ${local}`)
+    .join(', ');
+
+  // Everything up to the user code stays on one line so line numbers are preserved
+  const header = [
+    record.isStrict ? '"use strict";' : '',
+    `__module__.bindExports({ ${exportGetters} });`,
+    'await __module__.evaluation;',
+  ].join('');
+  record.headerLength = header.length;
+
+  return wrapModule(path, header, record.code);
+}
+
+function wrapModule(path, header, code) {
+  return new Function(
+    '__module__',
+    `with (__module__.scope) {\nreturn (async function () {${header}${code}\n}).call(undefined);\n}\n//# sourceURL=${path}`
+  );
+}
+
+function parseStack(stack) {
+  const frames = [];
+  for (const line of stack.split('\n')) {
+    const match = line.match(STACK_FRAME);
+    if (!match) continue;
+    // Calls through a module's import scope show up as `Object.name`, module bodies as `eval`
+    const functionName = (match[1] || match[2] || '').replace(/^(?:async\s+)?(?:Object\.)?/, '');
+    frames.push({
+      functionName: functionName === 'eval' || functionName === 'anonymous' ? '' : functionName,
+      path: match[3],
+      line: Number(match[4]),
+      column: Number(match[5]),
+    });
+  }
+  return frames;
+}
+
+// Lines and columns the engine adds in front of a module's code when it reports a
+// position, measured once with a probe module; null if stacks do not name modules
+let sourceOffsets;
+
+function getSourceOffsets() {
+  if (sourceOffsets === undefined) {
+    const probe = { scope: Object.create(null), error: null };
+    wrapModule(PROBE_PATH, '', PROBE_CODE)(probe);
+    const frame = parseStack(String(probe.error.stack)).find((item) => item.path === PROBE_PATH);
+    sourceOffsets = frame
+      ? { line: frame.line - 1, column: frame.column - 1 - PROBE_CODE.indexOf('new') }
+      : null;
+  }
+  return sourceOffsets;
+}
+
+export class ModuleLoader {
+  constructor(files, { trackPromise = (promise) => promise } = {}) {
+    this.sources = new Map();
+    for (const file of files) {
+      const path = normalizePath(file.name);
+      // Keep the first file when two tabs share a name
+      if (!this.sources.has(path)) {
+        this.sources.set(path, file.content);
+      }
+    }
+    this.records = new Map();
+    this.trackPromise = trackPromise;
+  }
+
+  // Resolve an import specifier against the importing file
+  resolve(specifier, importerPath) {
+    if (URL_SPECIFIER.test(specifier)) {
+      return specifier;
+    }
+
+    if (specifier.startsWith('./') || specifier.startsWith('../') || specifier.startsWith('/')) {
+      const base = specifier.startsWith('/') ? '' : dirname(importerPath);
+      const path = normalizePath(`${base}/${specifier}`);
+      for (const candidate of [path, `${path}.js`, `${path}/index.js`]) {
+        if (this.sources.has(candidate)) return candidate;
+      }
+    }
+
+    const from = importerPath ? ` imported from ${importerPath}` : '';
+    throw new Error(`Cannot find module '${specifier}'${from}`);
+  }
+
+  // Run a file as the entry point and return its completion value
+  async run(entryName) {
+    const entry = await this.load(this.resolve(`/${entryName}`, ''));
+    return entry.result;
+  }
+
+  // Parse, link and evaluate a module graph; returns the root record
+  async load(path) {
+    const root = await this.instantiate(path);
+    this.link();
+    await this.evaluate(root);
+    return root;
+  }
+
+  async instantiate(path) {
+    if (this.records.has(path)) {
+      return this.records.get(path);
+    }
+
+    if (URL_SPECIFIER.test(path)) {
+      const record = { path, isExternal: true, status: 'evaluated' };
+      this.records.set(path, record);
+      record.namespace = await import(/* @vite-ignore */ path);
+      return record;
+    }
+
+    const record = {
+      path,
+      ...analyzeModule(path, this.sources.get(path)),
+      dependencies: new Map(),
+      localGetters: Object.create(null),
+      scope: Object.create(null),
+      status: 'instantiated',
+      result: undefined,
+    };
+    this.records.set(path, record);
+
+    for (const specifier of record.requests) {
+      record.dependencies.set(specifier, await this.instantiate(this.resolve(specifier, path)));
+    }
+
+    let startEvaluation;
+    const moduleApi = {
+      scope: record.scope,
+      meta: { url: path },
+      evaluation: new Promise((resolve) => {
+        startEvaluation = resolve;
+      }),
+      bindExports: (getters) => Object.assign(record.localGetters, getters),
+      import: (specifier) => this.trackPromise(this.importDynamic(specifier, path)),
+    };
+    record.startEvaluation = startEvaluation;
+    record.completion = compileModule(path, record)(moduleApi);
+
+    return record;
+  }
+
+  // Build namespaces and import bindings for every newly instantiated module
+  link() {
+    const unlinked = [...this.records.values()].filter((record) => record.status === 'instantiated');
+
+    for (const record of unlinked) {
+      record.namespace = this.createNamespace(record);
+    }
+
+    for (const record of unlinked) {
+      for (const { local, specifier, imported } of record.imports) {
+        const dependency = record.dependencies.get(specifier);
+        const getter = imported === '*'
+          ? () => dependency.namespace
+          : this.resolveExport(dependency, imported);
+
+        if (!getter) {
+          throw new SyntaxError(
+            `The requested module '${specifier}' does not provide an export named '${imported}' (imported from ${record.path})`
+          );
+        }
+        Object.defineProperty(record.scope, local, { get: getter, enumerable: true });
+      }
+      record.status = 'linked';
+    }
+  }
+
+  createNamespace(record) {
+    const namespace = Object.create(null);
+    for (const name of [...this.getExportedNames(record)].sort()) {
+      const getter = this.resolveExport(record, name);
+      if (getter) {
+        Object.defineProperty(namespace, name, { get: getter, enumerable: true });
+      }
+    }
+    Object.defineProperty(namespace, Symbol.toStringTag, { value: 'Module' });
+    return Object.preventExtensions(namespace);
+  }
+
+  getExportedNames(record, visited = new Set()) {
+    const names = new Set();
+    if (visited.has(record)) return names;
+    visited.add(record);
+
+    if (record.isExternal) {
+      return new Set(Object.keys(record.namespace));
+    }
+
+    for (const name of record.localExports.keys()) names.add(name);
+    for (const { exported } of record.indirectExports) names.add(exported);
+    for (const specifier of record.starExports) {
+      for (const name of this.getExportedNames(record.dependencies.get(specifier), visited)) {
+        if (name !== 'default') names.add(name);
+      }
+    }
+    return names;
+  }
+
+  // Find the getter for an export, following re-exports; null when it does not exist
+  resolveExport(record, name, visited = new Set()) {
+    const key = `${record.path}\0${name}`;
+    if (visited.has(key)) return null;
+    visited.add(key);
+
+    if (record.isExternal) {
+      return name in record.namespace ? () => record.namespace[name] : null;
+    }
+
+    if (record.localExports.has(name)) {
+      return () => record.localGetters[name]();
+    }
+
+    const indirect = record.indirectExports.find((item) => item.exported === name);
+    if (indirect) {
+      const dependency = record.dependencies.get(indirect.specifier);
+      return indirect.imported === '*'
+        ? () => dependency.namespace
+        : this.resolveExport(dependency, indirect.imported, visited);
+    }
+
+    if (name !== 'default') {
+      for (const specifier of record.starExports) {
+        const getter = this.resolveExport(record.dependencies.get(specifier), name, visited);
+        if (getter) return getter;
+      }
+    }
+    return null;
+  }
+
+  // Evaluate dependencies first; a module already on the stack is part of a cycle and is skipped
+  async evaluate(record, ancestors = new Set()) {
+    if (record.status === 'evaluated') return;
+    if (record.status === 'evaluating') {
+      if (ancestors.has(record)) return;
+      return record.evaluationPromise;
+    }
+
+    record.status = 'evaluating';
+    record.evaluationPromise = (async () => {
+      const stack = new Set(ancestors).add(record);
+      for (const dependency of record.dependencies.values()) {
+        await this.evaluate(dependency, stack);
+      }
+      record.startEvaluation();
+      record.result = await record.completion;
+      record.status = 'evaluated';
+    })();
+
+    return record.evaluationPromise;
+  }
+
+  // The frames of an error's stack that are in the project's files, innermost first,
+  // as { functionName, path, line, column } positions in the files as written
+  mapStack(error) {
+    if (error && error.location) return [error.location];
+
+    const offsets = getSourceOffsets();
+    if (!offsets || !error || typeof error.stack !== 'string') return [];
+
+    const frames = [];
+    for (const frame of parseStack(error.stack)) {
+      const record = this.records.get(frame.path);
+      const line = frame.line - offsets.line;
+      if (!record || record.isExternal || line < 1) continue;
+
+      // The module header sits in front of the first line
+      const column = line === 1 ? frame.column - offsets.column - record.headerLength : frame.column;
+      frames.push({ functionName: frame.functionName, path: frame.path, line, column: Math.max(1, column) });
+    }
+    return frames;
+  }
+
+  async importDynamic(specifier, importerPath) {
+    const record = await this.load(this.resolve(specifier, importerPath));
+    return record.namespace;
+  }
+}
@@ -0,0 +1,157 @@
+// projectArchive.js - Exports a project as a zip and reads imported files back into one
+// An import can be a zip, several files or a whole folder; paths are cleaned up, a single
+// top-level folder is unwrapped, and files that cannot be edited as text are left out.
+import { createZip, readZip } from './zipArchive.js';
+import { getAllFolders, getParentPath, getFreePath } from './fileTree.js';
+
+// File at the root of an exported zip with the project's name and editor settings
+const MANIFEST_FILE_NAME = '.js-ai-ide.json';
+
+// Files larger than this are left out of an import (in bytes)
+const MAX_IMPORT_FILE_BYTES = 1024 * 1024;
+
+// OS metadata and dependency or version control folders, which are never imported
+const IGNORED_SEGMENTS = new Set(['__MACOSX', 'node_modules', '.git', '.DS_Store', 'Thumbs.db']);
+
+// Characters fileTree.validateName rejects, replaced in imported names
+const INVALID_NAME_CHARS = /[\\:*?"<>|]/g;
+
+// A zip Blob with every file and folder of the project, plus a manifest with its
+// name and settings
+export function exportProjectArchive({ name, files, folders, settings }) {
+  const manifest = { version: 1, name, settings };
+  return createZip([
+    { path: MANIFEST_FILE_NAME, data: JSON.stringify(manifest, null, 2) },
+    ...getAllFolders(files, folders).map((folder) => ({ path: `${folder}/` })),
+    ...files.map((file) => ({ path: file.name, data: file.content })),
+  ]);
+}
+
+// Split a path into clean segments, or null if it leaves the project with '..'
+function splitPath(path) {
+  const segments = [];
+  for (const segment of path.split(/[/\\]/)) {
+    if (segment === '' || segment === '.') continue;
+    if (segment === '..') return null;
+    segments.push(segment.replace(INVALID_NAME_CHARS, '_').trim() || '_');
+  }
+  return segments;
+}
+
+// Text content of a file, or null for binary data
+function decodeText(data) {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(data);
+    return text.includes('\0') ? null : text;
+  } catch {
+    return null;
+  }
+}
+
+// Entries of the picked files as { path, data, isDirectory, error }, expanding zips
+// Returns the name of the first zip too, as a name for the project
+async function readPickedFiles(fileList) {
+  const entries = [];
+  let zipName = null;
+
+  for (const file of fileList) {
+    if (/\.zip$/i.test(file.name)) {
+      zipName = zipName || file.name.replace(/\.zip$/i, '');
+      entries.push(...(await readZip(file)));
+    } else if (file.size > MAX_IMPORT_FILE_BYTES) {
+      entries.push({ path: file.webkitRelativePath || file.name, data: null, error: 'larger than 1 MB' });
+    } else {
+      const data = new Uint8Array(await file.arrayBuffer());
+      entries.push({ path: file.webkitRelativePath || file.name, data, isDirectory: false, error: null });
+    }
+  }
+  return { entries, zipName };
+}
+
+// Read a zip, several files or a folder picked with <input type="file"> into
+// { name, files: [{ name, content }], folders, settings, skipped: [{ path, reason }] }
+// name and settings come from an exported project's manifest when there is one
+export async function readProjectImport(fileList) {
+  const { entries, zipName } = await readPickedFiles(fileList);
+  const skipped = [];
+
+  const items = [];
+  for (const entry of entries) {
+    const segments = splitPath(entry.path);
+    if (!segments) {
+      skipped.push({ path: entry.path, reason: 'outside the project folder' });
+    } else if (segments.length > 0 && !segments.some((segment) => IGNORED_SEGMENTS.has(segment))) {
+      items.push({ ...entry, segments });
+    }
+  }
+
+  // Unwrap a single top-level folder, as zips of a folder and folder uploads have
+  let rootName = null;
+  const first = items.length > 0 ? items[0].segments[0] : null;
+  if (first && items.every((item) => item.segments[0] === first && (item.segments.length > 1 || item.isDirectory))) {
+    rootName = first;
+    for (const item of items) item.segments = item.segments.slice(1);
+  }
+
+  let manifest = null;
+  const files = [];
+  const filePaths = new Set();
+  const folders = new Set();
+  const isTaken = (path) => filePaths.has(path) || folders.has(path);
+
+  for (const item of items) {
+    const path = item.segments.join('/');
+    if (!path) continue;
+
+    if (item.isDirectory) {
+      folders.add(path);
+      continue;
+    }
+    if (path === MANIFEST_FILE_NAME) {
+      try {
+        manifest = JSON.parse(decodeText(item.data));
+      } catch {
+        skipped.push({ path, reason: 'unreadable project settings' });
+      }
+      continue;
+    }
+    if (item.error) {
+      skipped.push({ path, reason: item.error });
+      continue;
+    }
+    if (item.data.length > MAX_IMPORT_FILE_BYTES) {
+      skipped.push({ path, reason: 'larger than 1 MB' });
+      continue;
+    }
+    const content = decodeText(item.data);
+    if (content === null) {
+      skipped.push({ path, reason: 'binary file' });
+      continue;
+    }
+
+    // A folder of this file's path cannot also be a file
+    let hasFileParent = false;
+    for (let parent = getParentPath(path); parent; parent = getParentPath(parent)) {
+      if (filePaths.has(parent)) hasFileParent = true;
+    }
+    if (hasFileParent) {
+      skipped.push({ path, reason: 'a file has the name of its folder' });
+      continue;
+    }
+
+    const freePath = getFreePath(path, isTaken);
+    filePaths.add(freePath);
+    for (let parent = getParentPath(freePath); parent; parent = getParentPath(parent)) {
+      folders.add(parent);
+    }
+    files.push({ name: freePath, content });
+  }
+
+  return {
+    name: (manifest && typeof manifest.name === 'string' && manifest.name) || zipName || rootName || 'Imported project',
+    files,
+    folders: [...folders].filter((folder) => !filePaths.has(folder)),
+    settings: manifest && typeof manifest.settings === 'object' ? manifest.settings : null,
+    skipped,
+  };
+}
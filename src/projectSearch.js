@@ -0,0 +1,132 @@
+// projectSearch.js - Finds and replaces text across every file of the project
+// A search runs over each file's whole content, so regular expressions can match across
+// lines; matches are reported with 1-based line and column numbers like Monaco's.
+
+// Searches stop collecting matches past this many, so a one-letter query stays fast
+export const MAX_SEARCH_RESULTS = 2000;
+
+// Characters of the line shown before a match in a result preview
+const PREVIEW_CONTEXT_CHARS = 30;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The RegExp for a query and its options { isRegex, matchCase, wholeWord }
+// Returns { regex, error }; regex is null for an empty or invalid query
+export function buildSearchPattern(query, { isRegex = false, matchCase = false, wholeWord = false } = {}) {
+  if (!query) return { regex: null, error: null };
+  let source = isRegex ? query : escapeRegExp(query);
+  if (wholeWord) source = `(?<![\\w$])(?:${source})(?![\\w$])`;
+  try {
+    return { regex: new RegExp(source, `gm${matchCase ? '' : 'i'}`), error: null };
+  } catch (error) {
+    return { regex: null, error: error.message };
+  }
+}
+
+// The text a regex replacement inserts for one match, expanding $&, $1, $<name> and $$
+function expandReplacement(template, match) {
+  return template.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+    if (ref === '$') return '$';
+    if (ref === '&') return match[0];
+    if (name !== undefined) return match.groups && name in match.groups ? match.groups[name] ?? '' : token;
+    const index = Number(ref);
+    return index > 0 && index < match.length ? match[index] ?? '' : token;
+  });
+}
+
+// Offsets at which each line of the content starts
+function getLineStarts(content) {
+  const starts = [0];
+  for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
+  }
+  return starts;
+}
+
+// 1-based { line, column } of an offset
+function toPosition(lineStarts, offset) {
+  let low = 0;
+  let high = lineStarts.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (lineStarts[middle] <= offset) low = middle;
+    else high = middle - 1;
+  }
+  return { line: low + 1, column: offset - lineStarts[low] + 1 };
+}
+
+// Every match of regex in one file's content, at most limit of them
+function findMatches(content, regex, replacement, isRegex, limit) {
+  const lineStarts = getLineStarts(content);
+  const matches = [];
+  regex.lastIndex = 0;
+
+  for (let match = regex.exec(content); match && matches.length < limit; match = regex.exec(content)) {
+    // Empty matches, such as from ^ or \b, have nothing to show or replace
+    if (match[0] === '') {
+      regex.lastIndex++;
+      continue;
+    }
+    const start = match.index;
+    const end = start + match[0].length;
+    const { line, column } = toPosition(lineStarts, start);
+    const endPosition = toPosition(lineStarts, end);
+
+    // The match's first line, cut to leave some text before the match in view
+    const lineEnd = content.indexOf('\n', start);
+    const lineText = content.slice(lineStarts[line - 1], lineEnd === -1 ? content.length : lineEnd);
+    const previewStart = Math.max(0, column - 1 - PREVIEW_CONTEXT_CHARS);
+    const matchText = lineText.slice(column - 1, column - 1 + match[0].length);
+
+    matches.push({
+      start,
+      end,
+      line,
+      column,
+      endLine: endPosition.line,
+      endColumn: endPosition.column,
+      preview: {
+        before: (previewStart > 0 ? '…' : '') + lineText.slice(previewStart, column - 1).trimStart(),
+        match: matchText,
+        after: lineText.slice(column - 1 + matchText.length),
+        isMultiline: endPosition.line > line,
+      },
+      replacement: replacement === null ? null : isRegex ? expandReplacement(replacement, match) : replacement,
+    });
+  }
+  return matches;
+}
+
+// Search every file; replacement, when not null, is worked out for each match too
+// Returns { results: [{ fileId, fileName, matches }], matchCount, isTruncated, error }
+// where each match is { start, end, line, column, endLine, endColumn, preview, replacement }
+export function searchFiles(files, query, options = {}, replacement = null) {
+  const { regex, error } = buildSearchPattern(query, options);
+  if (!regex) return { results: [], matchCount: 0, isTruncated: false, error };
+
+  const results = [];
+  let matchCount = 0;
+  for (const file of [...files].sort((a, b) => a.name.localeCompare(b.name))) {
+    const matches = findMatches(file.content, regex, replacement, options.isRegex, MAX_SEARCH_RESULTS - matchCount);
+    if (matches.length === 0) continue;
+    results.push({ fileId: file.id, fileName: file.name, matches });
+    matchCount += matches.length;
+    if (matchCount >= MAX_SEARCH_RESULTS) {
+      return { results, matchCount, isTruncated: true, error: null };
+    }
+  }
+  return { results, matchCount, isTruncated: false, error: null };
+}
+
+// Content with the given matches replaced; matches come from searchFiles on this content
+export function applyReplacements(content, matches) {
+  let result = '';
+  let offset = 0;
+  for (const match of [...matches].sort((a, b) => a.start - b.start)) {
+    result += content.slice(offset, match.start) + match.replacement;
+    offset = match.end;
+  }
+  return result + content.slice(offset);
+}
@@ -0,0 +1,307 @@
+// projectStorage.js - Saves projects and their files in IndexedDB
+// Each project is a record in the projects store and each of its files a record in the
+// files store, so a save only writes the files that changed since the last one.
+// Saves are debounced and written in order; failures are reported through a callback.
+// The snapshots and checkpoints stores hold each project's local history (localHistory.js).
+import {
+  DB_NAME,
+  DB_VERSION,
+  SAVE_DEBOUNCE_MS,
+  DEFAULT_PROJECT_ID,
+  DEFAULT_PROJECT_NAME,
+  LAST_PROJECT_STORAGE_KEY,
+  LEGACY_FILES_STORAGE_KEY,
+  LEGACY_FOLDERS_STORAGE_KEY,
+} from './storageConstants.js';
+
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function whenComplete(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('The write was aborted'));
+  });
+}
+
+// Every key of a project's records; they are keyed [projectId, id] in every store but projects
+export function projectKeysRange(projectId) {
+  return IDBKeyRange.bound([projectId], [projectId, []]);
+}
+
+// The message shown to the user for a failed read or write
+function describeError(error) {
+  if (error && error.name === 'QuotaExceededError') {
+    return 'Browser storage is full, so changes are not being saved. Delete files or projects you no longer need.';
+  }
+  return `Changes are not being saved: ${error ? error.message : 'unknown storage error'}`;
+}
+
+function readLegacyValue(key) {
+  try {
+    return JSON.parse(localStorage.getItem(key));
+  } catch {
+    return null;
+  }
+}
+
+class ProjectStorage {
+  constructor() {
+    this.dbPromise = null;
+    this.saveTimer = null;
+    this.pendingSave = null; // { projectId, state } waiting for typing to pause
+    this.writes = Promise.resolve(); // Chain of writes, so they land in order
+    // Files as last written, to find what changed: fileId -> { name, content }
+    this.savedProjectId = null;
+    this.savedFiles = new Map();
+    this.errorMessage = null;
+    this.errorCallback = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('projects')) {
+            db.createObjectStore('projects', { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains('files')) {
+            db.createObjectStore('files', { keyPath: ['projectId', 'id'] });
+          }
+          if (!db.objectStoreNames.contains('snapshots')) {
+            db.createObjectStore('snapshots', { keyPath: ['projectId', 'id'] });
+          }
+          if (!db.objectStoreNames.contains('checkpoints')) {
+            db.createObjectStore('checkpoints', { keyPath: ['projectId', 'id'] });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  setErrorCallback(callback) {
+    this.errorCallback = callback;
+  }
+
+  // Report a failure, or null once saving works again
+  reportError(error) {
+    const message = error ? describeError(error) : null;
+    if (message === this.errorMessage) return;
+    this.errorMessage = message;
+    if (this.errorCallback) this.errorCallback(message);
+  }
+
+  rememberSaved(projectId, files) {
+    this.savedProjectId = projectId;
+    this.savedFiles = new Map(files.map((file) => [file.id, { name: file.name, content: file.content }]));
+  }
+
+  // Projects as { id, name, folders, openFileIds, activeFileId, createdAt, updatedAt }, by name
+  async listProjects() {
+    const db = await this.open();
+    const projects = await promisify(db.transaction('projects').objectStore('projects').getAll());
+    return projects.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // A project and its files, or null if it no longer exists
+  async loadProject(projectId) {
+    await this.flush();
+    const db = await this.open();
+    const transaction = db.transaction(['projects', 'files']);
+    const [project, fileRecords] = await Promise.all([
+      promisify(transaction.objectStore('projects').get(projectId)),
+      promisify(transaction.objectStore('files').getAll(projectKeysRange(projectId))),
+    ]);
+    if (!project) return null;
+
+    const files = fileRecords
+      .map(({ id, name, content }) => ({ id, name, content }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    this.rememberSaved(projectId, files);
+    localStorage.setItem(LAST_PROJECT_STORAGE_KEY, projectId);
+    return { project, files };
+  }
+
+  async createProject(name, files, { id = Date.now().toString(), folders = [] } = {}) {
+    await this.flush();
+    const db = await this.open();
+    const now = Date.now();
+    const project = { id, name, folders, openFileIds: [], activeFileId: null, createdAt: now, updatedAt: now };
+
+    const transaction = db.transaction(['projects', 'files'], 'readwrite');
+    transaction.objectStore('projects').add(project);
+    for (const file of files) {
+      transaction.objectStore('files').put({ projectId: id, id: file.id, name: file.name, content: file.content });
+    }
+    await whenComplete(transaction);
+    return project;
+  }
+
+  async renameProject(projectId, name) {
+    await this.flush();
+    const db = await this.open();
+    const transaction = db.transaction('projects', 'readwrite');
+    const store = transaction.objectStore('projects');
+    const project = await promisify(store.get(projectId));
+    if (project) store.put({ ...project, name });
+    await whenComplete(transaction);
+  }
+
+  async deleteProject(projectId) {
+    await this.flush();
+    const db = await this.open();
+    const transaction = db.transaction(['projects', 'files', 'snapshots', 'checkpoints'], 'readwrite');
+    transaction.objectStore('projects').delete(projectId);
+    for (const storeName of ['files', 'snapshots', 'checkpoints']) {
+      transaction.objectStore(storeName).delete(projectKeysRange(projectId));
+    }
+    await whenComplete(transaction);
+    if (this.savedProjectId === projectId) this.rememberSaved(null, []);
+  }
+
+  // Save a project's state once edits pause: { files, folders, openFileIds, activeFileId }
+  scheduleSave(projectId, state) {
+    if (this.pendingSave && this.pendingSave.projectId !== projectId) this.flush();
+    this.pendingSave = { projectId, state };
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.flush(), SAVE_DEBOUNCE_MS);
+  }
+
+  // Start the pending save now; resolves once it and every earlier write are done
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    const pending = this.pendingSave;
+    this.pendingSave = null;
+    if (pending) {
+      this.writes = this.writes.then(() => this.write(pending.projectId, pending.state));
+    }
+    return this.writes;
+  }
+
+  async write(projectId, { files, folders, openFileIds, activeFileId }) {
+    try {
+      const db = await this.open();
+      const transaction = db.transaction(['projects', 'files'], 'readwrite');
+      const fileStore = transaction.objectStore('files');
+      const saved = this.savedProjectId === projectId ? this.savedFiles : new Map();
+
+      for (const file of files) {
+        const previous = saved.get(file.id);
+        if (!previous || previous.name !== file.name || previous.content !== file.content) {
+          fileStore.put({ projectId, id: file.id, name: file.name, content: file.content });
+        }
+      }
+      const fileIds = new Set(files.map((file) => file.id));
+      for (const id of saved.keys()) {
+        if (!fileIds.has(id)) fileStore.delete([projectId, id]);
+      }
+
+      // A project deleted since the save was scheduled stays deleted
+      const projectStore = transaction.objectStore('projects');
+      const request = projectStore.get(projectId);
+      request.onsuccess = () => {
+        if (request.result) {
+          projectStore.put({ ...request.result, folders, openFileIds, activeFileId, updatedAt: Date.now() });
+        } else {
+          fileStore.delete(projectKeysRange(projectId));
+        }
+      };
+
+      await whenComplete(transaction);
+      this.rememberSaved(projectId, files);
+      this.reportError(null);
+    } catch (error) {
+      // The saved snapshot is unchanged, so the next save retries these files
+      this.reportError(error);
+    }
+  }
+
+  // Open the last used project, creating the first one from the files earlier versions
+  // kept in localStorage, or from defaultFiles on a first visit
+  // Returns { projects, project, files }; when IndexedDB cannot be used the project
+  // is kept in memory only and the error is reported
+  async loadInitialProject(defaultFiles) {
+    const legacyFiles = readLegacyValue(LEGACY_FILES_STORAGE_KEY);
+    const legacyFolders = readLegacyValue(LEGACY_FOLDERS_STORAGE_KEY);
+    const firstFiles = Array.isArray(legacyFiles) && legacyFiles.length > 0 ? legacyFiles : defaultFiles;
+    const firstFolders = Array.isArray(legacyFolders) ? legacyFolders : [];
+
+    try {
+      let projects = await this.listProjects();
+      if (projects.length === 0) {
+        await this.createProject(DEFAULT_PROJECT_NAME, firstFiles, { id: DEFAULT_PROJECT_ID, folders: firstFolders });
+        localStorage.removeItem(LEGACY_FILES_STORAGE_KEY);
+        localStorage.removeItem(LEGACY_FOLDERS_STORAGE_KEY);
+        projects = await this.listProjects();
+      }
+
+      const lastProjectId = localStorage.getItem(LAST_PROJECT_STORAGE_KEY);
+      const project = projects.find((p) => p.id === lastProjectId) || projects[0];
+      const loaded = await this.loadProject(project.id);
+      return { projects, ...loaded };
+    } catch (error) {
+      this.reportError(error);
+      const project = { id: DEFAULT_PROJECT_ID, name: DEFAULT_PROJECT_NAME, folders: firstFolders };
+      return { projects: [project], project, files: firstFiles };
+    }
+  }
+}
+
+// Export singleton instance
+const projectStorage = new ProjectStorage();
+
+export function openProjectDatabase() {
+  return projectStorage.open();
+}
+
+export function loadInitialProject(defaultFiles) {
+  return projectStorage.loadInitialProject(defaultFiles);
+}
+
+export function listProjects() {
+  return projectStorage.listProjects();
+}
+
+export function loadProject(projectId) {
+  return projectStorage.loadProject(projectId);
+}
+
+export function createProject(name, files, folders) {
+  return projectStorage.createProject(name, files, { folders });
+}
+
+export function renameProject(projectId, name) {
+  return projectStorage.renameProject(projectId, name);
+}
+
+export function deleteProject(projectId) {
+  return projectStorage.deleteProject(projectId);
+}
+
+export function scheduleProjectSave(projectId, state) {
+  projectStorage.scheduleSave(projectId, state);
+}
+
+export function flushProjectSave() {
+  return projectStorage.flush();
+}
+
+// callback receives a message to show when saving fails, and null once it works again
+export function setStorageErrorCallback(callback) {
+  projectStorage.setErrorCallback(callback);
+}
@@ -0,0 +1,20 @@
+// runnerConstants.js - Shared constants for sandboxed code execution
+
+// Default wall-clock limit for a single run (in milliseconds)
+// The sandbox worker is terminated once this elapses, which stops infinite loops
+export const RUN_TIMEOUT_MS = 10000;
+
+// Bounds for the user-configurable run timeout (in milliseconds)
+export const MIN_RUN_TIMEOUT_MS = 1000;
+export const MAX_RUN_TIMEOUT_MS = 120000;
+
+// Maximum number of lines kept in the Output panel for a single run
+// Older lines are dropped so a chatty loop cannot exhaust memory
+export const MAX_OUTPUT_LINES = 1000;
+
+// Files ending with this are test files, run by the Test button rather than Run
+export const TEST_FILE_SUFFIX = '.test.js';
+
+// Default time limit for a single test or hook (in milliseconds)
+// A test can pass its own limit as the third argument to it()
+export const TEST_TIMEOUT_MS = 5000;
@@ -0,0 +1,386 @@
+// runnerWorker.js - Disposable Web Worker that executes user code away from the IDE
+// A fresh worker is created for every run and terminated when the run ends,
+// so user code never shares globals with the editor, localStorage or the page console.
+import { ModuleLoader } from './moduleLoader.js';
+import { TestCollector } from './testFramework.js';
+import { TEST_TIMEOUT_MS } from './runnerConstants.js';
+import { serializeValue, formatConsoleArgs, buildTable, previewValue } from './valueSerializer.js';
+
+const postMessageToHost = self.postMessage.bind(self);
+
+// Console methods that are streamed back to the Output panel
+const CONSOLE_METHODS = {
+  log: '',
+  error: 'Error:',
+  warn: 'Warning:',
+  info: 'Info:',
+  debug: '',
+};
+
+// Response body readers that keep a run alive until they settle
+const RESPONSE_BODY_METHODS = ['arrayBuffer', 'blob', 'formData', 'json', 'text'];
+
+// Storage APIs that are removed before user code runs
+// Workers share the page's origin, so without this user code could reach project data
+const BLOCKED_GLOBALS = ['indexedDB', 'caches'];
+
+const nativeSetTimeout = self.setTimeout.bind(self);
+const nativeSetInterval = self.setInterval.bind(self);
+const nativeClearTimeout = self.clearTimeout.bind(self);
+
+// Async work started by user code: live timers, in-flight fetches and body reads
+// The run is reported complete once the main body has settled and this drops to zero
+let pendingTasks = 0;
+const activeTimers = new Set();
+let isIdleCheckScheduled = false;
+let isMainSettled = false;
+
+// Loader of the current run, which maps error stacks back to the user's files
+let loader = null;
+
+// console.group nesting, console.time start times and console.count counters
+let groupDepth = 0;
+const consoleTimers = new Map();
+const consoleCounts = new Map();
+
+// Logged errors keep their stack, mapped to the user's files
+const SERIALIZE_OPTIONS = {
+  mapStack: (error) => (loader ? loader.mapStack(error) : []),
+};
+
+function formatArg(arg) {
+  return previewValue(serializeValue(arg, SERIALIZE_OPTIONS));
+}
+
+function formatError(error) {
+  if (error instanceof Error) {
+    return error.message;
+  }
+  return formatArg(error);
+}
+
+// details may hold:
+//   stack  { functionName, path, line, column } frames in the user's files for errors
+//   parts  the logged values as descriptors from valueSerializer.js, message is their text
+//   table  console.table rows, group / collapsed for a console.group header line,
+//   expanded for console.dir, whose object starts expanded
+function postOutput(type, prefix, message, details = {}) {
+  postMessageToHost({
+    type: 'CONSOLE_OUTPUT',
+    payload: { type, prefix, message, depth: groupDepth, ...details },
+  });
+}
+
+// A console line from console arguments, applying a format string in the first one
+function postConsoleArgs(type, prefix, args, details) {
+  const parts = formatConsoleArgs(args, SERIALIZE_OPTIONS);
+  postOutput(type, prefix, parts.map((part) => previewValue(part)).join(''), { parts, ...details });
+}
+
+function getErrorStack(error) {
+  if (!loader || !(error instanceof Error)) return undefined;
+  const frames = loader.mapStack(error);
+  return frames.length > 0 ? frames : undefined;
+}
+
+function lockDownGlobals() {
+  for (const name of BLOCKED_GLOBALS) {
+    // Remove the accessor from the prototype chain too, otherwise it can be re-read
+    let target = self;
+    while (target) {
+      if (Object.prototype.hasOwnProperty.call(target, name)) {
+        try {
+          delete target[name];
+        } catch {
+          // Non-configurable in this browser; shadowed below instead
+        }
+      }
+      target = Object.getPrototypeOf(target);
+    }
+    Object.defineProperty(self, name, { value: undefined, configurable: false });
+  }
+}
+
+function getElapsed(label) {
+  return `${label}: ${(performance.now() - consoleTimers.get(label)).toFixed(3)} ms`;
+}
+
+function patchConsole() {
+  const originalLog = console.log.bind(console);
+
+  for (const [method, prefix] of Object.entries(CONSOLE_METHODS)) {
+    const type = method === 'debug' ? 'log' : method;
+    console[method] = (...args) => {
+      // console.error(err) in a catch block points at where err was thrown
+      const stack = method === 'error' ? getErrorStack(args.find((arg) => arg instanceof Error)) : undefined;
+      postConsoleArgs(type, prefix, args, { stack });
+      originalLog(...args); // Still log to browser console
+    };
+  }
+
+  console.dir = (value) => {
+    const part = serializeValue(value, SERIALIZE_OPTIONS);
+    postOutput('log', '', previewValue(part), { parts: [part], expanded: true });
+    originalLog(value);
+  };
+
+  console.table = (data, columns) => {
+    if (typeof data !== 'object' || data === null) {
+      console.log(data);
+      return;
+    }
+    postOutput('log', '', formatArg(data), {
+      table: buildTable(data, Array.isArray(columns) ? columns.map(String) : null, SERIALIZE_OPTIONS),
+    });
+    originalLog(data);
+  };
+
+  const startGroup = (collapsed, args) => {
+    postConsoleArgs('log', '', args.length > 0 ? args : ['console.group'], { group: true, collapsed });
+    groupDepth++;
+  };
+  console.group = (...args) => startGroup(false, args);
+  console.groupCollapsed = (...args) => startGroup(true, args);
+  console.groupEnd = () => {
+    groupDepth = Math.max(0, groupDepth - 1);
+  };
+
+  console.time = (label = 'default') => {
+    if (consoleTimers.has(label)) {
+      postOutput('warn', 'Warning:', `Timer '${label}' already exists`);
+      return;
+    }
+    consoleTimers.set(label, performance.now());
+  };
+  console.timeLog = (label = 'default', ...data) => {
+    if (!consoleTimers.has(label)) {
+      postOutput('warn', 'Warning:', `Timer '${label}' does not exist`);
+      return;
+    }
+    postConsoleArgs('log', '', [getElapsed(label), ...data]);
+  };
+  console.timeEnd = (label = 'default') => {
+    if (!consoleTimers.has(label)) {
+      postOutput('warn', 'Warning:', `Timer '${label}' does not exist`);
+      return;
+    }
+    postOutput('log', '', getElapsed(label));
+    consoleTimers.delete(label);
+  };
+
+  console.count = (label = 'default') => {
+    const count = (consoleCounts.get(label) || 0) + 1;
+    consoleCounts.set(label, count);
+    postOutput('log', '', `${label}: ${count}`);
+  };
+  console.countReset = (label = 'default') => {
+    if (!consoleCounts.has(label)) {
+      postOutput('warn', 'Warning:', `Count for '${label}' does not exist`);
+      return;
+    }
+    consoleCounts.set(label, 0);
+  };
+
+  console.assert = (condition, ...data) => {
+    if (condition) return;
+    // Keeps a format string in the first argument working
+    const args = typeof data[0] === 'string'
+      ? [`Assertion failed: ${data[0]}`, ...data.slice(1)]
+      : ['Assertion failed' + (data.length > 0 ? ':' : ''), ...data];
+    postConsoleArgs('error', 'Error:', args);
+  };
+
+  // Lists the calls that led here, in the user's files
+  console.trace = (...args) => {
+    postConsoleArgs('log', 'Trace:', args.length > 0 ? args : ['console.trace'], {
+      stack: getErrorStack(new Error()),
+    });
+  };
+}
+
+function beginTask() {
+  pendingTasks++;
+}
+
+function endTask() {
+  pendingTasks--;
+  scheduleIdleCheck();
+}
+
+// Check for completion on a fresh macrotask, after pending promise callbacks have run
+function scheduleIdleCheck() {
+  if (isIdleCheckScheduled) return;
+  isIdleCheckScheduled = true;
+
+  nativeSetTimeout(() => {
+    isIdleCheckScheduled = false;
+    // A top-level await that never settles keeps the run live until it is stopped
+    if (pendingTasks > 0 || !isMainSettled) return;
+
+    postMessageToHost({ type: 'RUN_COMPLETE' });
+  }, 0);
+}
+
+function trackPromise(promise) {
+  beginTask();
+  return Promise.resolve(promise).finally(endTask);
+}
+
+function patchTimers() {
+  const clearTimer = (id) => {
+    nativeClearTimeout(id);
+    if (activeTimers.delete(id)) {
+      endTask();
+    }
+  };
+
+  self.setTimeout = (callback, delay, ...args) => {
+    const id = nativeSetTimeout(() => {
+      activeTimers.delete(id);
+      try {
+        if (typeof callback === 'function') callback(...args);
+      } finally {
+        endTask();
+      }
+    }, delay);
+    activeTimers.add(id);
+    beginTask();
+    return id;
+  };
+
+  // Intervals keep the run alive until they are cleared or the run is stopped
+  self.setInterval = (callback, delay, ...args) => {
+    const id = nativeSetInterval(() => {
+      if (typeof callback === 'function') callback(...args);
+    }, delay);
+    activeTimers.add(id);
+    beginTask();
+    return id;
+  };
+
+  self.clearTimeout = clearTimer;
+  self.clearInterval = clearTimer;
+}
+
+function patchFetch() {
+  if (typeof self.fetch !== 'function') return;
+
+  const nativeFetch = self.fetch.bind(self);
+  self.fetch = (...args) => trackPromise(nativeFetch(...args));
+
+  for (const method of RESPONSE_BODY_METHODS) {
+    const nativeMethod = Response.prototype[method];
+    if (typeof nativeMethod !== 'function') continue;
+
+    Response.prototype[method] = function(...args) {
+      return trackPromise(nativeMethod.apply(this, args));
+    };
+  }
+}
+
+// Errors thrown from timers and rejected promises nobody handled
+function reportUncaughtErrors() {
+  self.addEventListener('error', (event) => {
+    event.preventDefault();
+    const message = event.error !== undefined ? formatError(event.error) : event.message;
+    postOutput('error', 'Error:', `Uncaught ${message}`, { stack: getErrorStack(event.error) });
+  });
+
+  self.addEventListener('unhandledrejection', (event) => {
+    event.preventDefault();
+    postOutput('error', 'Error:', `Uncaught (in promise) ${formatError(event.reason)}`, {
+      stack: getErrorStack(event.reason),
+    });
+  });
+}
+
+async function handleRunCode({ files, entryName }) {
+  try {
+    // Modules run as async functions, which allows top-level await and awaits a returned Promise
+    loader = new ModuleLoader(files, { trackPromise });
+    const result = await loader.run(entryName);
+
+    // If the code returns a value, display it
+    if (result !== undefined) {
+      const part = serializeValue(result, SERIALIZE_OPTIONS);
+      postOutput('result', 'Result:', previewValue(part), { parts: [part] });
+    }
+  } catch (error) {
+    postOutput('error', 'Error:', formatError(error), { stack: getErrorStack(error) });
+  }
+
+  isMainSettled = true;
+  scheduleIdleCheck();
+}
+
+// A failed test's error, with the expected/actual pair of a failed expectation
+function serializeTestError(error) {
+  if (!error) return null;
+  return {
+    message: formatError(error),
+    expected: error.expected,
+    actual: error.actual,
+    stack: getErrorStack(error),
+  };
+}
+
+// Run each test file in its own module graph, with describe/it/expect as globals
+async function handleRunTests({ files, testFiles }) {
+  for (const testFile of testFiles) {
+    loader = new ModuleLoader(files, { trackPromise });
+    const fileLoader = loader;
+    const collector = new TestCollector({
+      // The innermost frame in the test file is the it() call
+      getLocation: () => fileLoader.mapStack(new Error()).find((frame) => frame.path === testFile) || null,
+      setTimeout: nativeSetTimeout,
+      clearTimeout: nativeClearTimeout,
+    });
+    Object.assign(self, collector.getGlobals());
+
+    try {
+      await loader.run(testFile);
+    } catch (error) {
+      postMessageToHost({
+        type: 'TEST_FILE_ERROR',
+        payload: { file: testFile, error: serializeTestError(error) },
+      });
+      continue;
+    }
+
+    await collector.run({
+      timeoutMs: TEST_TIMEOUT_MS,
+      onResult: (result) => {
+        postMessageToHost({
+          type: 'TEST_RESULT',
+          payload: { file: testFile, ...result, error: serializeTestError(result.error) },
+        });
+      },
+    });
+  }
+
+  postMessageToHost({ type: 'TESTS_COMPLETE' });
+}
+
+lockDownGlobals();
+patchConsole();
+patchTimers();
+patchFetch();
+reportUncaughtErrors();
+
+// Handle messages from the main thread
+self.onmessage = function(e) {
+  const { type, payload } = e.data;
+
+  switch (type) {
+    case 'RUN_CODE':
+      handleRunCode(payload);
+      break;
+
+    case 'RUN_TESTS':
+      handleRunTests(payload);
+      break;
+
+    default:
+      console.warn('Unknown message type:', type);
+  }
+};
@@ -0,0 +1,265 @@
+// settings.js - The user's editor, run and AI completion settings
+// Settings are a flat object validated against SETTINGS_SCHEMA. Only the values that differ
+// from the defaults are saved, in localStorage, so later versions can change the defaults.
+import { SETTINGS_STORAGE_KEY } from './storageConstants.js';
+import { RUN_TIMEOUT_MS, MIN_RUN_TIMEOUT_MS, MAX_RUN_TIMEOUT_MS } from './runnerConstants.js';
+import { COMPLETION_TIMEOUT_MS, COMPLETION_DEBOUNCE_MS } from './aiConstants.js';
+
+// Fonts offered in the settings; settings.json accepts any CSS font-family
+export const FONT_FAMILIES = [
+  { label: 'Consolas', value: 'Consolas, "Courier New", monospace' },
+  { label: 'Monaco', value: 'Monaco, "Courier New", monospace' },
+  { label: 'Fira Code', value: '"Fira Code", "Courier New", monospace' },
+  { label: 'Source Code Pro', value: '"Source Code Pro", "Courier New", monospace' },
+  { label: 'Courier New', value: '"Courier New", monospace' },
+];
+
+// Every setting, in the order the settings panel shows them
+// type is 'enum', 'string', 'integer' or 'number'; nullable settings use null for
+// "the model's recommended value", and configKey names the COMPLETION_CONFIG entry they override
+export const SETTINGS_SCHEMA = [
+  {
+    key: 'theme',
+    section: 'Editor',
+    label: 'Theme',
+    type: 'enum',
+    options: [
+      { label: 'Dark', value: 'vs-dark' },
+      { label: 'Light', value: 'vs' },
+    ],
+    default: 'vs-dark',
+  },
+  {
+    key: 'fontFamily',
+    section: 'Editor',
+    label: 'Font',
+    type: 'string',
+    options: FONT_FAMILIES,
+    default: FONT_FAMILIES[0].value,
+  },
+  { key: 'fontSize', section: 'Editor', label: 'Font size', type: 'integer', min: 10, max: 24, default: 14 },
+  {
+    key: 'outputPanelHeight',
+    section: 'Editor',
+    label: 'Output panel height (px)',
+    type: 'integer',
+    min: 100,
+    max: 600,
+    default: 200,
+  },
+  {
+    key: 'runTimeoutMs',
+    section: 'Run',
+    label: 'Run timeout (ms)',
+    description: 'Stop runs that take longer than this',
+    type: 'integer',
+    min: MIN_RUN_TIMEOUT_MS,
+    max: MAX_RUN_TIMEOUT_MS,
+    default: RUN_TIMEOUT_MS,
+  },
+  {
+    key: 'completionMaxNewTokens',
+    section: 'AI Completion',
+    label: 'Max new tokens',
+    description: 'Longest completion the model may write',
+    type: 'integer',
+    min: 1,
+    max: 512,
+    nullable: true,
+    default: null,
+    configKey: 'MAX_NEW_TOKENS',
+  },
+  {
+    key: 'completionTemperature',
+    section: 'AI Completion',
+    label: 'Temperature',
+    description: 'Lower is more predictable, higher more varied',
+    type: 'number',
+    min: 0,
+    max: 2,
+    step: 0.05,
+    nullable: true,
+    default: null,
+    configKey: 'TEMPERATURE',
+  },
+  {
+    key: 'completionCandidates',
+    section: 'AI Completion',
+    label: 'Candidates',
+    description: 'Suggestions per request; Alt+] and Alt+[ cycle through them',
+    type: 'integer',
+    min: 1,
+    max: 5,
+    nullable: true,
+    default: null,
+    configKey: 'NUM_CANDIDATES',
+  },
+  {
+    key: 'completionMinPromptLength',
+    section: 'AI Completion',
+    label: 'Min prompt length',
+    description: 'Characters of code needed before the cursor to ask for a completion',
+    type: 'integer',
+    min: 0,
+    max: 1000,
+    nullable: true,
+    default: null,
+    configKey: 'MIN_PROMPT_LENGTH',
+  },
+  {
+    key: 'completionMaxPromptTokens',
+    section: 'AI Completion',
+    label: 'Prompt tokens',
+    description: 'Token budget for the code around the cursor and other files',
+    type: 'integer',
+    min: 128,
+    max: 8192,
+    nullable: true,
+    default: null,
+    configKey: 'MAX_PROMPT_TOKENS',
+  },
+  {
+    key: 'completionSuffixShare',
+    section: 'AI Completion',
+    label: 'Suffix share',
+    description: 'Part of the prompt budget for code after the cursor',
+    type: 'number',
+    min: 0,
+    max: 0.9,
+    step: 0.05,
+    nullable: true,
+    default: null,
+    configKey: 'SUFFIX_TOKEN_SHARE',
+  },
+  {
+    key: 'completionCrossFileTokens',
+    section: 'AI Completion',
+    label: 'Cross-file tokens',
+    description: 'Part of the prompt budget for snippets from other files (0 turns them off)',
+    type: 'integer',
+    min: 0,
+    max: 4096,
+    nullable: true,
+    default: null,
+    configKey: 'MAX_CROSS_FILE_TOKENS',
+  },
+  {
+    key: 'completionDebounceMs',
+    section: 'AI Completion',
+    label: 'Delay (ms)',
+    description: 'Pause in typing before a completion is requested',
+    type: 'integer',
+    min: 0,
+    max: 5000,
+    default: COMPLETION_DEBOUNCE_MS,
+  },
+  {
+    key: 'completionTimeoutMs',
+    section: 'AI Completion',
+    label: 'Timeout (ms)',
+    description: 'Give up on completions that take longer than this',
+    type: 'integer',
+    min: 1000,
+    max: 600000,
+    default: COMPLETION_TIMEOUT_MS,
+  },
+];
+
+const SCHEMA_BY_KEY = new Map(SETTINGS_SCHEMA.map((setting) => [setting.key, setting]));
+
+export const DEFAULT_SETTINGS = Object.fromEntries(SETTINGS_SCHEMA.map((setting) => [setting.key, setting.default]));
+
+// Why a value is not valid for a setting, or null if it is
+function checkValue(setting, value) {
+  if (value === null && setting.nullable) return null;
+  switch (setting.type) {
+    case 'enum':
+      return setting.options.some((option) => option.value === value)
+        ? null
+        : `must be one of ${setting.options.map((option) => JSON.stringify(option.value)).join(', ')}`;
+    case 'string':
+      return typeof value === 'string' && value.trim() ? null : 'must be a non-empty string';
+    case 'integer':
+    case 'number': {
+      const isInteger = setting.type === 'integer';
+      if (typeof value !== 'number' || !Number.isFinite(value) || (isInteger && !Number.isInteger(value))) {
+        return `must be ${isInteger ? 'a whole number' : 'a number'}${setting.nullable ? ' or null' : ''}`;
+      }
+      if (value < setting.min || value > setting.max) {
+        return `must be between ${setting.min} and ${setting.max}`;
+      }
+      return null;
+    }
+    default:
+      return 'has an unknown type';
+  }
+}
+
+// Check settings read from storage, settings.json or an imported project
+// Returns { values, errors }: values holds the valid settings that were given,
+// errors a message for each unknown or invalid one
+export function validateSettings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { values: {}, errors: ['Settings must be a JSON object'] };
+  }
+
+  const values = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(input)) {
+    const setting = SCHEMA_BY_KEY.get(key);
+    if (!setting) {
+      errors.push(`"${key}" is not a known setting`);
+      continue;
+    }
+    const problem = checkValue(setting, value);
+    if (problem) {
+      errors.push(`"${key}" ${problem}`);
+    } else {
+      values[key] = value;
+    }
+  }
+  return { values, errors };
+}
+
+// Bring a number typed or dragged in the UI within a setting's bounds
+export function clampSetting(key, value) {
+  const setting = SCHEMA_BY_KEY.get(key);
+  const rounded = setting.type === 'integer' ? Math.round(value) : value;
+  return Math.max(setting.min, Math.min(setting.max, rounded));
+}
+
+// The saved settings on top of the defaults; invalid saved values are ignored
+export function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    return { ...DEFAULT_SETTINGS, ...(saved ? validateSettings(saved).values : {}) };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+export function saveSettings(settings) {
+  const changed = Object.fromEntries(
+    Object.entries(settings).filter(([key, value]) => SCHEMA_BY_KEY.has(key) && value !== DEFAULT_SETTINGS[key])
+  );
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(changed));
+  } catch (error) {
+    console.warn('Could not save settings:', error);
+  }
+}
+
+// The completion settings in the form aiCompletionProvider.updateCompletionSettings takes
+export function getCompletionSettings(settings) {
+  const configOverrides = {};
+  for (const setting of SETTINGS_SCHEMA) {
+    if (setting.configKey && settings[setting.key] !== null) {
+      configOverrides[setting.configKey] = settings[setting.key];
+    }
+  }
+  return {
+    configOverrides,
+    debounceDelayMs: settings.completionDebounceMs,
+    timeoutMs: settings.completionTimeoutMs,
+  };
+}
@@ -0,0 +1,38 @@
+// storageConstants.js - Shared constants for saving projects in the browser
+
+// IndexedDB database holding every project and its files
+// Bump the version when the stores in projectStorage.js change
+export const DB_NAME = 'js-ai-ide';
+export const DB_VERSION = 2;
+
+// Edits are written once typing pauses for this long (in milliseconds)
+export const SAVE_DEBOUNCE_MS = 500;
+
+// Local history: a file's earlier content is kept at most this often while it is edited
+// (in milliseconds); deletes, AI edits, Replace All and restores always keep one
+export const HISTORY_SNAPSHOT_INTERVAL_MS = 60 * 1000;
+
+// Local history limits: the oldest snapshots are dropped past these
+export const MAX_SNAPSHOTS_PER_FILE = 50;
+export const MAX_HISTORY_CHARS_PER_PROJECT = 10 * 1024 * 1024;
+
+// Files longer than this (in characters) are left out of local history
+export const MAX_SNAPSHOT_CHARS = 1024 * 1024;
+
+// Project created on first start, or from the files saved by earlier versions
+// Its id matches the one chat history was stored under before projects existed
+export const DEFAULT_PROJECT_ID = 'default';
+export const DEFAULT_PROJECT_NAME = 'My Project';
+
+// localStorage key that remembers the open project across reloads
+export const LAST_PROJECT_STORAGE_KEY = 'ide-last-project';
+
+// localStorage keys of earlier versions, moved into IndexedDB on first start
+export const LEGACY_FILES_STORAGE_KEY = 'ide-files';
+export const LEGACY_FOLDERS_STORAGE_KEY = 'ide-folders';
+
+// localStorage key holding the user's settings, kept apart from any project
+export const SETTINGS_STORAGE_KEY = 'ide-settings';
+
+// localStorage key holding the user's keybinding overrides
+export const KEYBINDINGS_STORAGE_KEY = 'ide-keybindings';
@@ -0,0 +1,517 @@
+// testFramework.js - describe/it/expect for *.test.js files, run inside the sandbox worker
+// A TestCollector gathers the suites a test file registers while it is evaluated, then
+// runs them one test at a time with their hooks and reports a result for each.
+
+// Thrown by failed expectations; expected and actual are formatted for a diff
+export class AssertionError extends Error {
+  constructor(message, { expected, actual } = {}) {
+    super(message);
+    this.name = 'AssertionError';
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+function isPlainObject(value) {
+  if (typeof value !== 'object' || value === null) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+}
+
+// Readable, multi-line form of a value for failure messages and diffs
+export function formatValue(value, indent = '', seen = new Set()) {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'bigint') return `${value}n`;
+  if (typeof value === 'symbol') return value.toString();
+  if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+  if (Object.is(value, -0)) return '-0';
+  if (typeof value !== 'object' || value === null) return String(value);
+
+  if (seen.has(value)) return '[Circular]';
+  if (value instanceof Date) return `Date(${Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()})`;
+  if (value instanceof RegExp) return String(value);
+  if (value instanceof Error) return `[${value.name}: ${value.message}]`;
+
+  seen.add(value);
+  const inner = `${indent}  `;
+  const format = (item) => formatValue(item, inner, seen);
+  let entries;
+  let open;
+  let close;
+
+  if (Array.isArray(value)) {
+    entries = value.map(format);
+    [open, close] = ['[', ']'];
+  } else if (value instanceof Map) {
+    entries = [...value].map(([key, item]) => `${format(key)} => ${format(item)}`);
+    [open, close] = ['Map {', '}'];
+  } else if (value instanceof Set) {
+    entries = [...value].map(format);
+    [open, close] = ['Set {', '}'];
+  } else {
+    entries = Object.keys(value).map((key) => {
+      const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+      return `${name}: ${format(value[key])}`;
+    });
+    const className = isPlainObject(value) ? '' : `${value.constructor?.name || 'Object'} `;
+    [open, close] = [`${className}{`, '}'];
+  }
+  seen.delete(value);
+
+  if (entries.length === 0) return `${open}${close}`;
+  return `${open}\n${entries.map((entry) => `${inner}${entry},`).join('\n')}\n${indent}${close}`;
+}
+
+// Deep equality; strict also compares prototypes, undefined properties and array holes
+function equals(a, b, strict, seen = new Map()) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+
+  // Assume equality for pairs already being compared, which ends cycles
+  if (seen.get(a) === b) return true;
+  seen.set(a, b);
+
+  if (strict && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && Object.is(a.getTime(), b.getTime());
+  }
+  if (a instanceof RegExp || b instanceof RegExp) {
+    return a instanceof RegExp && b instanceof RegExp && String(a) === String(b);
+  }
+  if (a instanceof Map || b instanceof Map) {
+    if (!(a instanceof Map && b instanceof Map) || a.size !== b.size) return false;
+    for (const [key, item] of a) {
+      if (!b.has(key) || !equals(item, b.get(key), strict, seen)) return false;
+    }
+    return true;
+  }
+  if (a instanceof Set || b instanceof Set) {
+    if (!(a instanceof Set && b instanceof Set) || a.size !== b.size) return false;
+    for (const item of a) {
+      if (!b.has(item) && ![...b].some((other) => equals(item, other, strict, seen))) return false;
+    }
+    return true;
+  }
+
+  if (Array.isArray(a) && a.length !== b.length) return false;
+
+  const keysOf = (value) => Object.keys(value).filter((key) => strict || value[key] !== undefined);
+  const keysA = keysOf(a);
+  const keysB = keysOf(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(
+    (key) => Object.prototype.hasOwnProperty.call(b, key) && equals(a[key], b[key], strict, seen)
+  );
+}
+
+function getProperty(value, path) {
+  const keys = Array.isArray(path) ? path : String(path).split('.');
+  let current = value;
+  for (const key of keys) {
+    if (current === null || current === undefined || !(key in Object(current))) {
+      return { found: false };
+    }
+    current = current[key];
+  }
+  return { found: true, value: current };
+}
+
+// Whether a thrown value matches toThrow's expectation: a message substring, a regex,
+// an error class or an error object with the same message
+function matchesThrown(thrown, expected) {
+  if (expected === undefined) return true;
+  const message = thrown instanceof Error ? thrown.message : String(thrown);
+  if (typeof expected === 'string') return message.includes(expected);
+  if (expected instanceof RegExp) return expected.test(message);
+  if (typeof expected === 'function') return thrown instanceof expected;
+  if (expected instanceof Error) return message === expected.message;
+  return false;
+}
+
+// Each matcher returns { pass, message, expected, actual }; message describes a failure
+// of the matcher without .not, and the negated one is derived from it unless notMessage is given
+const MATCHERS = {
+  toBe: (actual, expected) => ({
+    pass: Object.is(actual, expected),
+    message: equals(actual, expected, true)
+      ? 'Expected values to be the same reference (Object.is), but they are only deeply equal'
+      : 'Expected values to be identical (Object.is)',
+    notMessage: 'Expected values not to be identical (Object.is)',
+    expected,
+    actual,
+  }),
+  toEqual: (actual, expected) => ({
+    pass: equals(actual, expected, false),
+    message: 'Expected values to be deeply equal',
+    expected,
+    actual,
+  }),
+  toStrictEqual: (actual, expected) => ({
+    pass: equals(actual, expected, true),
+    message: 'Expected values to be strictly deeply equal',
+    expected,
+    actual,
+  }),
+  toBeTruthy: (actual) => ({ pass: Boolean(actual), message: `Expected ${formatValue(actual)} to be truthy` }),
+  toBeFalsy: (actual) => ({ pass: !actual, message: `Expected ${formatValue(actual)} to be falsy` }),
+  toBeNull: (actual) => ({ pass: actual === null, message: 'Expected value to be null', expected: null, actual }),
+  toBeUndefined: (actual) => ({
+    pass: actual === undefined,
+    message: 'Expected value to be undefined',
+    expected: undefined,
+    actual,
+  }),
+  toBeDefined: (actual) => ({ pass: actual !== undefined, message: 'Expected value to be defined' }),
+  toBeNaN: (actual) => ({ pass: Number.isNaN(actual), message: `Expected ${formatValue(actual)} to be NaN` }),
+  toBeGreaterThan: (actual, expected) => ({
+    pass: actual > expected,
+    message: `Expected ${formatValue(actual)} to be greater than ${formatValue(expected)}`,
+  }),
+  toBeGreaterThanOrEqual: (actual, expected) => ({
+    pass: actual >= expected,
+    message: `Expected ${formatValue(actual)} to be greater than or equal to ${formatValue(expected)}`,
+  }),
+  toBeLessThan: (actual, expected) => ({
+    pass: actual < expected,
+    message: `Expected ${formatValue(actual)} to be less than ${formatValue(expected)}`,
+  }),
+  toBeLessThanOrEqual: (actual, expected) => ({
+    pass: actual <= expected,
+    message: `Expected ${formatValue(actual)} to be less than or equal to ${formatValue(expected)}`,
+  }),
+  toBeCloseTo: (actual, expected, digits = 2) => ({
+    pass: Math.abs(actual - expected) < 10 ** -digits / 2,
+    message: `Expected ${formatValue(actual)} to be close to ${formatValue(expected)} (${digits} digits)`,
+    expected,
+    actual,
+  }),
+  toBeInstanceOf: (actual, expected) => ({
+    pass: actual instanceof expected,
+    message: `Expected value to be an instance of ${expected.name}`,
+    actual,
+  }),
+  toMatch: (actual, expected) => ({
+    pass: typeof actual === 'string' &&
+      (expected instanceof RegExp ? expected.test(actual) : actual.includes(expected)),
+    message: `Expected ${formatValue(actual)} to match ${expected instanceof RegExp ? expected : formatValue(expected)}`,
+  }),
+  toContain: (actual, expected) => ({
+    pass: typeof actual === 'string'
+      ? actual.includes(expected)
+      : Array.from(actual ?? []).includes(expected),
+    message: `Expected ${formatValue(actual)} to contain ${formatValue(expected)}`,
+  }),
+  toContainEqual: (actual, expected) => ({
+    pass: Array.from(actual ?? []).some((item) => equals(item, expected, false)),
+    message: `Expected ${formatValue(actual)} to contain an item equal to ${formatValue(expected)}`,
+  }),
+  toHaveLength: (actual, expected) => ({
+    pass: actual != null && actual.length === expected,
+    message: `Expected length ${formatValue(expected)}, received ${formatValue(actual?.length)}`,
+    expected,
+    actual: actual?.length,
+  }),
+  toHaveProperty: (actual, path, ...value) => {
+    const property = getProperty(actual, path);
+    const checksValue = value.length > 0;
+    return {
+      pass: property.found && (!checksValue || equals(property.value, value[0], false)),
+      message: checksValue
+        ? `Expected property ${formatValue(path)} to equal ${formatValue(value[0])}`
+        : `Expected value to have property ${formatValue(path)}`,
+      expected: checksValue ? value[0] : undefined,
+      actual: checksValue ? property.value : undefined,
+    };
+  },
+  toThrow: (actual, expected) => {
+    if (typeof actual !== 'function') {
+      return { pass: false, message: 'Expected a function to call for toThrow' };
+    }
+    try {
+      actual();
+    } catch (thrown) {
+      return {
+        pass: matchesThrown(thrown, expected),
+        message: `Expected the thrown error to match ${formatValue(expected)}, but it was ${formatValue(thrown)}`,
+        notMessage: expected === undefined
+          ? `Expected the function not to throw, but it threw ${formatValue(thrown)}`
+          : `Expected the thrown error not to match ${formatValue(expected)}`,
+      };
+    }
+    return { pass: false, message: 'Expected the function to throw' };
+  },
+};
+
+// Matchers that print an expected/actual pair when they fail
+const DIFF_MATCHERS = new Set(['toBe', 'toEqual', 'toStrictEqual', 'toHaveProperty', 'toHaveLength']);
+
+function createMatchers(actual, { isNot = false, promise = '' } = {}) {
+  const matchers = {};
+
+  for (const [name, matcher] of Object.entries(MATCHERS)) {
+    const check = (received, args) => {
+      const result = matcher(received, ...args);
+      if (result.pass !== isNot) return;
+
+      const message = isNot
+        ? result.notMessage || result.message.replace(/^Expected (.+?) to /, 'Expected $1 not to ')
+        : result.message;
+      const hasDiff = !isNot && DIFF_MATCHERS.has(name) && 'expected' in result;
+      throw new AssertionError(`expect(received)${promise}${isNot ? '.not' : ''}.${name}(): ${message}`, {
+        expected: hasDiff ? formatValue(result.expected) : undefined,
+        actual: hasDiff ? formatValue(result.actual) : undefined,
+      });
+    };
+
+    if (promise) {
+      // .resolves / .rejects unwrap the promise first, so the matcher has to be awaited
+      matchers[name] = async (...args) => {
+        let received;
+        try {
+          received = await actual;
+        } catch (error) {
+          if (promise === '.resolves') {
+            throw new AssertionError(`Expected the promise to resolve, but it rejected with ${formatValue(error)}`);
+          }
+          // toThrow on .rejects checks the rejection reason itself
+          return check(name === 'toThrow' ? () => { throw error; } : error, args);
+        }
+        if (promise === '.rejects') {
+          throw new AssertionError(`Expected the promise to reject, but it resolved with ${formatValue(received)}`);
+        }
+        return check(received, args);
+      };
+    } else {
+      matchers[name] = (...args) => check(actual, args);
+    }
+  }
+  return matchers;
+}
+
+export function expect(actual) {
+  const matchers = createMatchers(actual);
+  matchers.not = createMatchers(actual, { isNot: true });
+  matchers.resolves = createMatchers(actual, { promise: '.resolves' });
+  matchers.resolves.not = createMatchers(actual, { isNot: true, promise: '.resolves' });
+  matchers.rejects = createMatchers(actual, { promise: '.rejects' });
+  matchers.rejects.not = createMatchers(actual, { isNot: true, promise: '.rejects' });
+  return matchers;
+}
+
+function createSuite(name, parent, mode = 'run') {
+  return {
+    name,
+    parent,
+    mode, // run, skip or only
+    children: [], // Suites and tests in registration order
+    hooks: { beforeAll: [], afterAll: [], beforeEach: [], afterEach: [] },
+  };
+}
+
+function getTitlePath(item) {
+  const path = [];
+  for (let current = item; current && current.parent; current = current.parent) {
+    path.unshift(current.name);
+  }
+  return path;
+}
+
+export class TestCollector {
+  // getLocation returns the { path, line, column } in the test file that registered a test
+  // setTimeout and clearTimeout time the tests; the sandbox passes its unpatched ones
+  constructor({
+    getLocation = () => null,
+    setTimeout = self.setTimeout,
+    clearTimeout = self.clearTimeout,
+  } = {}) {
+    this.root = createSuite('', null);
+    this.currentSuite = this.root;
+    this.getLocation = getLocation;
+    this.setTimeout = setTimeout;
+    this.clearTimeout = clearTimeout;
+    this.hasOnly = false; // With .only anywhere, only focused tests run
+  }
+
+  // The functions test files call, installed as globals before the file is evaluated
+  getGlobals() {
+    const describe = (name, fn) => this.addSuite(name, fn, 'run');
+    describe.skip = (name, fn) => this.addSuite(name, fn, 'skip');
+    describe.only = (name, fn) => this.addSuite(name, fn, 'only');
+
+    const it = (name, fn, timeoutMs) => this.addTest(name, fn, timeoutMs, 'run');
+    it.skip = (name, fn, timeoutMs) => this.addTest(name, fn, timeoutMs, 'skip');
+    it.only = (name, fn, timeoutMs) => this.addTest(name, fn, timeoutMs, 'only');
+
+    const hook = (type) => (fn) => {
+      this.currentSuite.hooks[type].push(fn);
+    };
+
+    return {
+      describe,
+      it,
+      test: it,
+      expect,
+      beforeAll: hook('beforeAll'),
+      afterAll: hook('afterAll'),
+      beforeEach: hook('beforeEach'),
+      afterEach: hook('afterEach'),
+    };
+  }
+
+  addSuite(name, fn, mode) {
+    const suite = createSuite(String(name), this.currentSuite, mode);
+    this.currentSuite.children.push(suite);
+    if (mode === 'only') this.hasOnly = true;
+
+    this.currentSuite = suite;
+    try {
+      const result = fn();
+      if (result && typeof result.then === 'function') {
+        throw new Error(`describe("${name}") must not be async; register tests synchronously`);
+      }
+    } finally {
+      this.currentSuite = suite.parent;
+    }
+  }
+
+  addTest(name, fn, timeoutMs, mode) {
+    if (typeof fn !== 'function' && mode !== 'skip') {
+      throw new Error(`Test "${name}" needs a function`);
+    }
+    this.currentSuite.children.push({
+      name: String(name),
+      parent: this.currentSuite,
+      fn,
+      timeoutMs,
+      mode,
+      isTest: true,
+      location: this.getLocation(),
+    });
+    if (mode === 'only') this.hasOnly = true;
+  }
+
+  // Call fn, failing when it or its returned promise takes longer than timeoutMs
+  runWithTimeout(fn, timeoutMs, description) {
+    return new Promise((resolve, reject) => {
+      const timer = this.setTimeout(() => {
+        reject(new Error(`${description} timed out after ${timeoutMs} ms`));
+      }, timeoutMs);
+
+      Promise.resolve()
+        .then(fn)
+        .then(resolve, reject)
+        .finally(() => this.clearTimeout(timer));
+    });
+  }
+
+  // Run every registered test; onResult gets { titlePath, status, durationMs, error, location }
+  // where status is passed, failed or skipped
+  async run({ timeoutMs, onResult }) {
+    await this.runSuite(this.root, { timeoutMs, onResult, isSkipped: false, isFocused: false });
+  }
+
+  // isFocused: the suite or one around it is marked .only
+  async runSuite(suite, { timeoutMs, onResult, isSkipped, isFocused }) {
+    const report = (item, status, durationMs = 0, error = null) => {
+      onResult({ titlePath: getTitlePath(item), status, durationMs, error, location: item.location || null });
+    };
+
+    // A failing beforeAll fails every test of the suite
+    let setupError = null;
+    if (!isSkipped) {
+      try {
+        for (const hook of suite.hooks.beforeAll) {
+          await this.runWithTimeout(hook, timeoutMs, 'beforeAll hook');
+        }
+      } catch (error) {
+        setupError = error;
+      }
+    }
+
+    for (const child of suite.children) {
+      if (!child.isTest) {
+        if (setupError) {
+          this.reportAll(child, (test) => report(test, 'failed', 0, setupError));
+        } else {
+          await this.runSuite(child, {
+            timeoutMs,
+            onResult,
+            isSkipped: isSkipped || child.mode === 'skip',
+            isFocused: isFocused || child.mode === 'only',
+          });
+        }
+        continue;
+      }
+
+      const isSelected = !this.hasOnly || isFocused || child.mode === 'only';
+      if (isSkipped || child.mode === 'skip' || !isSelected) {
+        report(child, 'skipped');
+      } else if (setupError) {
+        report(child, 'failed', 0, setupError);
+      } else {
+        const start = performance.now();
+        const error = await this.runTest(child, timeoutMs);
+        report(child, error ? 'failed' : 'passed', Math.round(performance.now() - start), error);
+      }
+    }
+
+    if (!isSkipped && !setupError) {
+      try {
+        for (const hook of suite.hooks.afterAll) {
+          await this.runWithTimeout(hook, timeoutMs, 'afterAll hook');
+        }
+      } catch (error) {
+        onResult({
+          titlePath: [...getTitlePath(suite), 'afterAll'],
+          status: 'failed',
+          durationMs: 0,
+          error,
+          location: null,
+        });
+      }
+    }
+  }
+
+  reportAll(suite, callback) {
+    for (const child of suite.children) {
+      if (child.isTest) {
+        callback(child);
+      } else {
+        this.reportAll(child, callback);
+      }
+    }
+  }
+
+  // Run a test between the beforeEach hooks of its suites, outermost first, and their
+  // afterEach hooks, innermost first; returns the first error, or null if it passed
+  async runTest(test, defaultTimeoutMs) {
+    const suites = [];
+    for (let suite = test.parent; suite; suite = suite.parent) suites.unshift(suite);
+    const timeoutMs = test.timeoutMs ?? defaultTimeoutMs;
+
+    let error = null;
+    try {
+      for (const suite of suites) {
+        for (const hook of suite.hooks.beforeEach) {
+          await this.runWithTimeout(hook, timeoutMs, 'beforeEach hook');
+        }
+      }
+      await this.runWithTimeout(test.fn, timeoutMs, 'Test');
+    } catch (thrown) {
+      error = thrown;
+    }
+
+    for (const suite of [...suites].reverse()) {
+      for (const hook of suite.hooks.afterEach) {
+        try {
+          await this.runWithTimeout(hook, timeoutMs, 'afterEach hook');
+        } catch (thrown) {
+          error = error || thrown;
+        }
+      }
+    }
+    return error;
+  }
+}
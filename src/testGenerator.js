@@ -0,0 +1,167 @@
+// testGenerator.js - Finds the function to write tests for and merges generated tests
+// into its test file, so the tests can import it from the file under test
+import { parse } from 'acorn';
+import { TEST_FILE_SUFFIX } from './runnerConstants.js';
+import { getBaseName } from './fileTree.js';
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  sourceType: 'module',
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  allowHashBang: true,
+};
+
+function isFunctionNode(node) {
+  return node && ['FunctionExpression', 'ArrowFunctionExpression', 'ClassExpression'].includes(node.type);
+}
+
+// The top-level functions and classes of a module:
+// [{ name, start, end, declarationStart, isExported, isDefault }]
+function getTopLevelFunctions(ast) {
+  const functions = [];
+  const exportedNames = new Set();
+
+  for (const node of ast.body) {
+    const exportNode = node.type === 'ExportNamedDeclaration' || node.type === 'ExportDefaultDeclaration'
+      ? node
+      : null;
+    const declaration = exportNode ? exportNode.declaration : node;
+    if (!declaration) {
+      // export { a, b as c }
+      for (const specifier of node.specifiers || []) {
+        if (!node.source && specifier.local.name === specifier.exported.name) {
+          exportedNames.add(specifier.local.name);
+        }
+      }
+      continue;
+    }
+
+    const add = (name, declarationNode) => functions.push({
+      name,
+      start: node.start,
+      end: node.end,
+      declarationStart: declarationNode.start,
+      isExported: Boolean(exportNode),
+      isDefault: node.type === 'ExportDefaultDeclaration',
+    });
+
+    if (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') {
+      add(declaration.id ? declaration.id.name : null, declaration);
+    } else if (node.type === 'ExportDefaultDeclaration' && isFunctionNode(declaration)) {
+      add(declaration.id ? declaration.id.name : null, declaration);
+    } else if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier' && isFunctionNode(declarator.init)) {
+          add(declarator.id.name, declaration);
+        }
+      }
+    }
+  }
+
+  for (const item of functions) {
+    if (exportedNames.has(item.name)) item.isExported = true;
+  }
+  return functions;
+}
+
+// The top-level function or class around offset in a file's content
+// Returns { name, source, isExported, isDefault } or { error }
+export function findFunctionAt(content, offset) {
+  let ast;
+  try {
+    ast = parse(content, PARSE_OPTIONS);
+  } catch (error) {
+    return { error: `Fix the syntax error first: ${error.message}` };
+  }
+
+  const match = getTopLevelFunctions(ast).find((item) => offset >= item.start && offset <= item.end);
+  if (!match) {
+    return { error: 'Place the cursor inside a top-level function or class to generate tests for it' };
+  }
+  if (!match.name && !match.isDefault) {
+    return { error: 'Only named functions can be imported by a test file' };
+  }
+  return {
+    // An anonymous default export can be imported under any name
+    name: match.name || 'defaultExport',
+    source: content.slice(match.start, match.end),
+    isExported: match.isExported,
+    isDefault: match.isDefault,
+  };
+}
+
+// Export a top-level function or class by name, so a test file can import it
+// Returns the content unchanged when it is already exported or cannot be found
+export function addExport(content, name) {
+  let ast;
+  try {
+    ast = parse(content, PARSE_OPTIONS);
+  } catch {
+    return content;
+  }
+
+  const match = getTopLevelFunctions(ast).find((item) => item.name === name);
+  if (!match || match.isExported) return content;
+  return `${content.slice(0, match.declarationStart)}export ${content.slice(match.declarationStart)}`;
+}
+
+// The test file for a source file: utils.js -> utils.test.js
+export function getTestFileName(fileName) {
+  return fileName.replace(/\.js$/, '') + TEST_FILE_SUFFIX;
+}
+
+// How a test file next to fileName imports fn
+export function getImportLine({ name, isDefault }, fileName) {
+  const path = `./${getBaseName(fileName)}`;
+  return isDefault
+    ? `import ${name} from ${JSON.stringify(path)};`
+    : `import { ${name} } from ${JSON.stringify(path)};`;
+}
+
+// Local names bound by a module's import declarations, or null if it does not parse
+function getImportedNames(content) {
+  try {
+    const ast = parse(content, PARSE_OPTIONS);
+    return ast.body
+      .filter((node) => node.type === 'ImportDeclaration')
+      .flatMap((node) => node.specifiers.map((specifier) => specifier.local.name));
+  } catch {
+    return null;
+  }
+}
+
+// Drop the import declarations the model wrote; the test file imports the function
+// itself and describe/it/expect are globals
+function stripImports(code) {
+  let ast;
+  try {
+    ast = parse(code, PARSE_OPTIONS);
+  } catch {
+    return code.trim();
+  }
+
+  let result = code;
+  for (const node of [...ast.body].reverse()) {
+    if (node.type === 'ImportDeclaration') {
+      result = result.slice(0, node.start) + result.slice(node.end).replace(/^[^\S\n]*\n/, '');
+    }
+  }
+  return result.trim();
+}
+
+// Test file content with generated tests appended, importing fn from fileName
+// existingContent is the current test file, or '' when there is none yet
+export function mergeGeneratedTests(existingContent, generatedCode, fn, fileName) {
+  const tests = stripImports(generatedCode);
+  const existing = existingContent.trimEnd();
+  if (!existing) {
+    return `${getImportLine(fn, fileName)}\n\n${tests}\n`;
+  }
+
+  const importedNames = getImportedNames(existing);
+  if (importedNames && importedNames.includes(fn.name)) {
+    return `${existing}\n\n${tests}\n`;
+  }
+  return `${getImportLine(fn, fileName)}\n${existing}\n\n${tests}\n`;
+}
@@ -0,0 +1,47 @@
+// textDiff.js - Line diff of two texts, for showing expected vs actual values and file changes
+
+// Lines common to both texts are found with a longest common subsequence table; this
+// is quadratic, so texts beyond this many lines on either side are compared as a whole
+const MAX_DIFF_LINES = 2000;
+
+// Returns [{ type: 'equal' | 'removed' | 'added', text }], one entry per line;
+// removed lines are only in before, added lines only in after
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [
+      ...a.map((text) => ({ type: 'removed', text })),
+      ...b.map((text) => ({ type: 'added', text })),
+    ];
+  }
+
+  // lengths[i][j] is the LCS length of a[i:] and b[j:]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ type: 'removed', text: a[i++] });
+    } else {
+      diff.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) diff.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) diff.push({ type: 'added', text: b[j++] });
+  return diff;
+}
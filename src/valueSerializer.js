@@ -0,0 +1,395 @@
+// valueSerializer.js - Structured copies of logged values for the Output panel
+// The sandbox worker turns values into plain descriptors that survive postMessage
+// and the panel renders them as expandable trees; previewValue gives the one-line
+// form both sides use for text.
+//
+// Descriptors:
+//   { type: 'text', value, style }           a string written as-is, e.g. by a format string
+//   { type: 'string' | 'number' | 'boolean' | 'bigint' | 'symbol' | 'undefined' | 'null', value }
+//   { type: 'function', name, isClass, isAsync }
+//   { type: 'accessor' }                     a getter, which is not called
+//   { type: 'empty', count }                 a run of holes in a sparse array
+//   { type: 'unreadable', value }            an object that threw when inspected, e.g. a revoked Proxy
+//   { type: 'object', kind, className, description, size, properties, entries, truncated,
+//     isCircular, isDeep, stack }
+// where kind is object, array, map, set, error, date, regexp, promise, weak or typedarray,
+// properties are [{ key, value }], entries are [{ key, value }] of a Map or Set (no key)
+// and isCircular / isDeep mark references that were not expanded again.
+
+// Nesting levels copied in full; deeper objects only keep their summary
+const MAX_DEPTH = 6;
+
+// Properties or entries copied per object
+const MAX_PROPERTIES = 100;
+
+// Values copied per console call, so one huge structure cannot flood the panel
+const MAX_NODES = 2000;
+
+// Rows copied by console.table
+const MAX_TABLE_ROWS = 200;
+
+// CSS properties that %c may set
+const ALLOWED_STYLES = new Set([
+  'color',
+  'background',
+  'background-color',
+  'font-weight',
+  'font-style',
+  'font-size',
+  'text-decoration',
+  'padding',
+  'border-radius',
+]);
+
+function getClassName(value) {
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype === null) return 'Object';
+  const constructor = prototype.constructor;
+  if (typeof constructor === 'function' && constructor.name) return constructor.name;
+  return Object.prototype.toString.call(value).slice(8, -1);
+}
+
+function getKind(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Map) return 'map';
+  if (value instanceof Set) return 'set';
+  if (value instanceof Error) return 'error';
+  if (value instanceof Date) return 'date';
+  if (value instanceof RegExp) return 'regexp';
+  if (value instanceof Promise) return 'promise';
+  if (/^\[object Weak(Map|Set|Ref)\]$/.test(Object.prototype.toString.call(value))) return 'weak';
+  if (ArrayBuffer.isView(value) && !(value instanceof DataView)) return 'typedarray';
+  return 'object';
+}
+
+function describeFunction(value) {
+  const source = Function.prototype.toString.call(value);
+  return {
+    type: 'function',
+    name: value.name,
+    isClass: /^class\b/.test(source),
+    isAsync: /^async\b/.test(source),
+  };
+}
+
+// Index of an array element's key, or -1 for its other properties
+function getArrayIndex(key, array) {
+  if (typeof key !== 'string' || !/^(0|[1-9]\d*)$/.test(key)) return -1;
+  const index = Number(key);
+  return index < array.length ? index : -1;
+}
+
+function keyToString(key) {
+  return typeof key === 'symbol' ? `[${key.toString()}]` : key;
+}
+
+class Serializer {
+  // mapStack turns an Error into stack frames in the user's files, see ModuleLoader.mapStack
+  constructor({ mapStack } = {}) {
+    this.mapStack = mapStack;
+    this.nodes = 0;
+  }
+
+  serialize(value, depth = 0, ancestors = new Set()) {
+    this.nodes++;
+
+    // A revoked Proxy throws on any look inside, as can one whose traps throw
+    try {
+      return this.describe(value, depth, ancestors);
+    } catch (error) {
+      ancestors.delete(value);
+      const message = error instanceof Error ? error.message : String(error);
+      return { type: 'unreadable', value: /revoked/i.test(message) ? 'Proxy (revoked)' : `<unreadable: ${message}>` };
+    }
+  }
+
+  describe(value, depth, ancestors) {
+    switch (typeof value) {
+      case 'string':
+        return { type: 'string', value };
+      case 'boolean':
+        return { type: 'boolean', value: String(value) };
+      case 'number':
+        return { type: 'number', value: Object.is(value, -0) ? '-0' : String(value) };
+      case 'bigint':
+        return { type: 'bigint', value: `${value}n` };
+      case 'symbol':
+        return { type: 'symbol', value: value.toString() };
+      case 'undefined':
+        return { type: 'undefined', value: 'undefined' };
+      case 'function':
+        return describeFunction(value);
+    }
+    if (value === null) return { type: 'null', value: 'null' };
+
+    const kind = getKind(value);
+    const descriptor = { type: 'object', kind, className: getClassName(value) };
+
+    if (kind === 'array' || kind === 'typedarray') descriptor.size = value.length;
+    if (kind === 'map' || kind === 'set') descriptor.size = value.size;
+    if (kind === 'date') {
+      descriptor.description = Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+    }
+    if (kind === 'regexp') descriptor.description = String(value);
+    if (kind === 'error') {
+      descriptor.description = `${value.name}: ${value.message}`;
+      const stack = this.mapStack ? this.mapStack(value) : null;
+      if (stack && stack.length > 0) descriptor.stack = stack;
+    }
+
+    if (ancestors.has(value)) {
+      descriptor.isCircular = true;
+      return descriptor;
+    }
+    if (depth >= MAX_DEPTH || this.nodes >= MAX_NODES) {
+      descriptor.isDeep = true;
+      return descriptor;
+    }
+
+    ancestors.add(value);
+    const child = (item) => this.serialize(item, depth + 1, ancestors);
+    let truncated = 0;
+
+    if (kind === 'map' || kind === 'set') {
+      descriptor.entries = [];
+      for (const entry of value) {
+        if (descriptor.entries.length >= MAX_PROPERTIES || this.nodes >= MAX_NODES) {
+          truncated++;
+          continue;
+        }
+        descriptor.entries.push(kind === 'map'
+          ? { key: child(entry[0]), value: child(entry[1]) }
+          : { value: child(entry) });
+      }
+    }
+
+    descriptor.properties = [];
+    if (kind !== 'weak' && kind !== 'promise') {
+      const keys = Reflect.ownKeys(value).filter((key) => {
+        const property = Object.getOwnPropertyDescriptor(value, key);
+        return property && property.enumerable;
+      });
+      const addProperty = (key, getItem) => {
+        if (descriptor.properties.length >= MAX_PROPERTIES || this.nodes >= MAX_NODES) {
+          truncated++;
+          return;
+        }
+        descriptor.properties.push({ key: keyToString(key), value: getItem() });
+      };
+
+      // Missing indices of a sparse array show as runs of holes, in order
+      let nextIndex = 0;
+      const addHoles = (index) => {
+        if (index > nextIndex) addProperty(String(nextIndex), () => ({ type: 'empty', count: index - nextIndex }));
+        nextIndex = index + 1;
+      };
+
+      for (const key of keys) {
+        if (kind === 'array') {
+          const index = getArrayIndex(key, value);
+          addHoles(index === -1 ? value.length : index);
+        }
+        addProperty(key, () => {
+          const property = Object.getOwnPropertyDescriptor(value, key);
+          return property.get || property.set ? { type: 'accessor' } : child(property.value);
+        });
+      }
+      if (kind === 'array') addHoles(value.length);
+    }
+    ancestors.delete(value);
+
+    if (truncated > 0) descriptor.truncated = truncated;
+    return descriptor;
+  }
+}
+
+// Copy a value for postMessage; options are { mapStack }
+export function serializeValue(value, options) {
+  return new Serializer(options).serialize(value);
+}
+
+// Turn %c's CSS text into a style object for React, keeping only harmless properties
+function parseStyle(css) {
+  const style = {};
+  for (const declaration of String(css).split(';')) {
+    const index = declaration.indexOf(':');
+    if (index === -1) continue;
+    const name = declaration.slice(0, index).trim().toLowerCase();
+    const value = declaration.slice(index + 1).trim();
+    if (!ALLOWED_STYLES.has(name) || /url\s*\(/i.test(value)) continue;
+    style[name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+  }
+  return style;
+}
+
+// Console arguments as descriptors, applying a format string in the first argument:
+// %s string, %d / %i integer, %f float, %o / %O object, %c style, %% percent
+// The parts are shown one after another; the spaces between arguments are text parts
+export function formatConsoleArgs(args, options) {
+  const serializer = new Serializer(options);
+  const parts = [];
+  let rest = args;
+
+  if (typeof args[0] === 'string' && args[0].includes('%')) {
+    const format = args[0];
+    let argIndex = 1;
+    let style = null;
+    let text = '';
+    const pushText = () => {
+      if (text) parts.push({ type: 'text', value: text, ...(style ? { style } : {}) });
+      text = '';
+    };
+
+    for (let i = 0; i < format.length; i++) {
+      const char = format[i];
+      const directive = format[i + 1];
+      if (char !== '%' || directive === undefined) {
+        text += char;
+        continue;
+      }
+      if (directive === '%') {
+        text += '%';
+        i++;
+        continue;
+      }
+      if (!'sdifoOc'.includes(directive) || argIndex >= args.length) {
+        text += char;
+        continue;
+      }
+
+      const arg = args[argIndex++];
+      i++;
+      if (directive === 's') {
+        text += typeof arg === 'string' ? arg : previewValue(serializer.serialize(arg));
+      } else if (directive === 'd' || directive === 'i') {
+        text += typeof arg === 'symbol' ? 'NaN' : String(parseInt(arg, 10));
+      } else if (directive === 'f') {
+        text += typeof arg === 'symbol' ? 'NaN' : String(parseFloat(arg));
+      } else if (directive === 'c') {
+        pushText();
+        style = parseStyle(arg);
+      } else {
+        pushText();
+        parts.push(serializer.serialize(arg));
+      }
+    }
+    pushText();
+    rest = args.slice(argIndex);
+  }
+
+  for (const arg of rest) {
+    if (parts.length > 0) parts.push({ type: 'text', value: ' ' });
+    // Strings logged directly print without quotes
+    parts.push(typeof arg === 'string' ? { type: 'text', value: arg } : serializer.serialize(arg));
+  }
+  return parts;
+}
+
+// console.table's rows and columns: { columns, rows: [{ key, cells: { [column]: descriptor } }] }
+// Rows are the array items or object properties of data; a row that is an object
+// spreads over one column per property, anything else goes in the Value column
+export function buildTable(data, columnFilter, options) {
+  const serializer = new Serializer(options);
+  const rowEntries = data instanceof Map ? [...data] : Object.entries(data);
+  const columns = [];
+  const addColumn = (column) => {
+    if (!columns.includes(column)) columns.push(column);
+  };
+
+  const rows = rowEntries.slice(0, MAX_TABLE_ROWS).map(([key, row]) => {
+    const cells = {};
+    if (typeof row === 'object' && row !== null) {
+      for (const [column, value] of Object.entries(row)) {
+        if (columnFilter && !columnFilter.includes(column)) continue;
+        addColumn(column);
+        cells[column] = serializer.serialize(value, 1);
+      }
+    } else {
+      addColumn('Value');
+      cells.Value = serializer.serialize(row, 1);
+    }
+    return { key: typeof key === 'object' ? previewValue(serializer.serialize(key, 1)) : String(key), cells };
+  });
+
+  // Keep the requested column order, and put Value last
+  const ordered = columnFilter ? columnFilter.filter((column) => columns.includes(column)) : columns;
+  if (ordered.includes('Value')) ordered.push(ordered.splice(ordered.indexOf('Value'), 1)[0]);
+
+  return { columns: ordered, rows, truncated: Math.max(0, rowEntries.length - MAX_TABLE_ROWS) };
+}
+
+// Short summary of an object that is not expanded inline
+function summarize(descriptor) {
+  if (descriptor.kind === 'array' || descriptor.kind === 'typedarray') {
+    return `${descriptor.className}(${descriptor.size})`;
+  }
+  if (descriptor.kind === 'map' || descriptor.kind === 'set') {
+    return `${descriptor.className}(${descriptor.size})`;
+  }
+  if (descriptor.description) return descriptor.description;
+  return descriptor.className === 'Object' ? '{…}' : descriptor.className;
+}
+
+// One-line form of a descriptor, like a browser console shows before expanding it
+// depth counts the objects around it; nested objects are only summarized
+export function previewValue(descriptor, depth = 0) {
+  switch (descriptor.type) {
+    case 'text':
+      return descriptor.value;
+    case 'string':
+      return depth === 0 ? descriptor.value : JSON.stringify(descriptor.value);
+    case 'function':
+      if (descriptor.isClass) return `class ${descriptor.name || ''}`.trim();
+      return `${descriptor.isAsync ? 'async ' : ''}ƒ ${descriptor.name || ''}()`;
+    case 'accessor':
+      return '(...)';
+    case 'empty':
+      return descriptor.count > 1 ? `empty × ${descriptor.count}` : 'empty';
+    case 'object':
+      break;
+    default:
+      return descriptor.value;
+  }
+
+  if (descriptor.isCircular) return `[Circular ${summarize(descriptor)}]`;
+  if (depth > 0 || descriptor.isDeep) return summarize(descriptor);
+
+  const nested = (item) => previewValue(item, depth + 1);
+  const more = descriptor.truncated ? ', …' : '';
+  const properties = descriptor.properties || [];
+
+  switch (descriptor.kind) {
+    case 'array':
+    case 'typedarray': {
+      const items = properties.map(({ key, value }) => (/^\d+$/.test(key) ? nested(value) : `${key}: ${nested(value)}`));
+      const prefix = descriptor.kind === 'array' ? `(${descriptor.size}) ` : `${descriptor.className}(${descriptor.size}) `;
+      return `${prefix}[${items.join(', ')}${more}]`;
+    }
+    case 'map':
+    case 'set': {
+      const items = descriptor.entries.map((entry) =>
+        descriptor.kind === 'map' ? `${nested(entry.key)} => ${nested(entry.value)}` : nested(entry.value)
+      );
+      return `${descriptor.className}(${descriptor.size}) {${items.join(', ')}${more}}`;
+    }
+    case 'error':
+    case 'date':
+    case 'regexp':
+      return descriptor.description;
+    case 'promise':
+    case 'weak':
+      return `${descriptor.className} {}`;
+  }
+
+  const items = properties.map(({ key, value }) => `${key}: ${nested(value)}`);
+  const prefix = descriptor.className === 'Object' ? '' : `${descriptor.className} `;
+  return `${prefix}{${items.join(', ')}${more}}`;
+}
+
+// Whether a descriptor has anything to show when it is expanded
+export function isExpandable(descriptor) {
+  if (descriptor.type !== 'object' || descriptor.isCircular || descriptor.isDeep) return false;
+  return (descriptor.properties && descriptor.properties.some((property) => property.value.type !== 'empty')) ||
+    (descriptor.entries && descriptor.entries.length > 0) ||
+    Boolean(descriptor.stack);
+}
@@ -0,0 +1,197 @@
+// zipArchive.js - Minimal zip reader and writer for project import/export
+// Entries are deflated with the browser's CompressionStream when it is available and
+// stored uncompressed otherwise; reading handles stored and deflated entries.
+// Zip64, encryption and multi-disk archives are not supported.
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// General purpose flags: bit 0 marks encryption, bit 11 UTF-8 names
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+// MS-DOS directory attribute, set on folder entries
+const DIRECTORY_ATTRIBUTE = 0x10;
+
+// Sizes this large mean the real size is in a Zip64 record
+const ZIP64_MARKER = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Date and time in the MS-DOS format zip headers use
+function toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// Run bytes through a CompressionStream or DecompressionStream
+async function transform(data, stream) {
+  const response = new Response(new Blob([data]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+async function deflate(data) {
+  if (typeof CompressionStream === 'undefined') return null;
+  try {
+    return await transform(data, new CompressionStream('deflate-raw'));
+  } catch {
+    return null; // deflate-raw is not supported by this browser
+  }
+}
+
+async function inflate(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot read compressed zip files');
+  }
+  return transform(data, new DecompressionStream('deflate-raw'));
+}
+
+// Build a zip file from [{ path, data }], where data is a string or Uint8Array and a
+// path ending in '/' is a folder; returns a Blob
+export async function createZip(entries, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const chunks = [];
+  const centralHeaders = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const isDirectory = entry.path.endsWith('/');
+    const data = isDirectory ? new Uint8Array(0) : typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+
+    // Keep the compressed form only when it is smaller
+    const deflated = data.length > 0 ? await deflate(data) : null;
+    const method = deflated && deflated.length < data.length ? METHOD_DEFLATED : METHOD_STORED;
+    const stored = method === METHOD_DEFLATED ? deflated : data;
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, FLAG_UTF8, true);
+    central.setUint16(10, method, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, stored.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(38, isDirectory ? DIRECTORY_ATTRIBUTE : 0, true);
+    central.setUint32(42, offset, true);
+
+    chunks.push(local, name, stored);
+    centralHeaders.push(central, name);
+    offset += 30 + name.length + stored.length;
+  }
+
+  const centralSize = centralHeaders.reduce((size, chunk) => size + chunk.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...chunks, ...centralHeaders, end], { type: 'application/zip' });
+}
+
+// The end of central directory record is the last thing in the file, before an
+// optional comment of up to 64 KB
+function findEndOfCentralDirectory(view) {
+  const last = view.byteLength - 22;
+  for (let i = last; i >= Math.max(0, last - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) return i;
+  }
+  throw new Error('Not a zip file');
+}
+
+// Read a zip file (Blob or ArrayBuffer) into [{ path, data, isDirectory, error }]
+// data is a Uint8Array; entries that cannot be read have an error message instead
+export async function readZip(source) {
+  const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  const decoder = new TextDecoder();
+
+  const endOffset = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  if (offset === ZIP64_MARKER) throw new Error('Zip64 archives are not supported');
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error('The zip file is damaged');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    const entry = { path, isDirectory: path.endsWith('/'), data: null, error: null };
+    entries.push(entry);
+    if (entry.isDirectory) continue;
+
+    if (flags & FLAG_ENCRYPTED) {
+      entry.error = 'encrypted';
+    } else if (compressedSize === ZIP64_MARKER || localOffset === ZIP64_MARKER) {
+      entry.error = 'too large';
+    } else if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      entry.error = 'unsupported compression';
+    } else {
+      // The local header's name and extra field can differ in length from the central one
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = bytes.subarray(dataStart, dataStart + compressedSize);
+      try {
+        entry.data = method === METHOD_DEFLATED ? await inflate(data) : data;
+      } catch (error) {
+        entry.error = error.message;
+      }
+    }
+  }
+  return entries;
+}